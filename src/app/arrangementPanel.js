@@ -0,0 +1,165 @@
+import { ARRANGEMENT_TRANSITIONS } from '../engine/arrangement.js';
+
+const STORAGE_KEY = 'blokken:arrangement';
+const TRANSITION_LABELS = { crossfade: 'Crossfade', cut: 'Harde cut', filter: 'Filtersweep' };
+
+function readStoredArrangement() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && Array.isArray(stored.sections) ? stored : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Song mode: a list of saved states with a length in loops and a transition,
+// played back to back by the engine.
+export function createArrangementPanel({ engine, listId = 'arrangementList' } = {}) {
+  const listElement = document.getElementById(listId);
+  const addButton = document.getElementById('addSectionButton');
+  const playButton = document.getElementById('arrangementPlayButton');
+  const repeatInput = document.getElementById('arrangementRepeat');
+  if (!listElement) {
+    throw new Error(`Arrangement list with id "${listId}" not found`);
+  }
+
+  function persist() {
+    const { sections, repeat } = engine.getArrangement();
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ sections, repeat }));
+    } catch (e) {
+      console.warn('Could not store arrangement:', e);
+    }
+  }
+
+  function update(sections) {
+    engine.setArrangement(sections, { repeat: repeatInput.checked });
+  }
+
+  function updateSection(index, changes) {
+    const { sections } = engine.getArrangement();
+    sections[index] = { ...sections[index], ...changes };
+    update(sections);
+  }
+
+  function move(index, direction) {
+    const { sections } = engine.getArrangement();
+    const target = index + direction;
+    if (target < 0 || target >= sections.length) return;
+    [sections[index], sections[target]] = [sections[target], sections[index]];
+    update(sections);
+  }
+
+  function remove(index) {
+    const { sections } = engine.getArrangement();
+    sections.splice(index, 1);
+    update(sections);
+  }
+
+  function makeButton(text, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bypass-button';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function makeLoopsInput(section, index) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'modern-button w-12';
+    input.min = '1';
+    input.max = '64';
+    input.value = section.loops;
+    input.title = 'Lengte in loops';
+    input.addEventListener('change', () => updateSection(index, { loops: parseInt(input.value, 10) || 1 }));
+    return input;
+  }
+
+  function makeTransitionSelect(section, index) {
+    const select = document.createElement('select');
+    select.className = 'modern-button';
+    select.title = 'Overgang naar dit deel';
+    ARRANGEMENT_TRANSITIONS.forEach(transition => {
+      const option = document.createElement('option');
+      option.value = transition;
+      option.textContent = TRANSITION_LABELS[transition];
+      select.appendChild(option);
+    });
+    select.value = section.transition;
+    select.addEventListener('change', () => updateSection(index, { transition: select.value }));
+    return select;
+  }
+
+  function render() {
+    const { sections, active, index: activeIndex, loopsPlayed, repeat } = engine.getArrangement();
+    repeatInput.checked = repeat;
+    playButton.textContent = active ? 'Stop' : 'Start';
+    playButton.disabled = !sections.length;
+    listElement.innerHTML = '';
+    sections.forEach((section, index) => {
+      const isCurrent = active && index === activeIndex;
+      const row = document.createElement('div');
+      row.className = 'arrangement-row';
+      row.classList.toggle('is-active', isCurrent);
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'rhythm-name';
+      name.textContent = isCurrent ? `${section.label} (${loopsPlayed + 1}/${section.loops})` : section.label;
+      name.title = 'Start hier';
+      name.addEventListener('click', () => engine.startArrangement(index));
+      row.appendChild(name);
+      row.appendChild(makeLoopsInput(section, index));
+      row.appendChild(makeTransitionSelect(section, index));
+      row.appendChild(makeButton('↑', 'Omhoog', () => move(index, -1), index === 0));
+      row.appendChild(makeButton('↓', 'Omlaag', () => move(index, 1), index === sections.length - 1));
+      row.appendChild(makeButton('×', 'Verwijder', () => remove(index)));
+      listElement.appendChild(row);
+    });
+  }
+
+  addButton.addEventListener('click', () => {
+    const { sections } = engine.getArrangement();
+    update([...sections, {
+      label: `Deel ${sections.length + 1}`,
+      state: engine.getState(),
+      loops: 4,
+      transition: 'crossfade'
+    }]);
+  });
+
+  playButton.addEventListener('click', () => {
+    if (engine.getArrangement().active) {
+      engine.stopArrangement();
+    } else {
+      engine.startArrangement(0);
+    }
+  });
+
+  repeatInput.addEventListener('change', () => {
+    update(engine.getArrangement().sections);
+  });
+
+  // Called when the engine reports a changed arrangement or position.
+  function handleArrangementChanged() {
+    persist();
+    render();
+  }
+
+  const stored = readStoredArrangement();
+  if (stored) {
+    try {
+      engine.setArrangement(stored.sections, { repeat: stored.repeat !== false });
+    } catch (e) {
+      console.warn('Ignoring stored arrangement:', e);
+    }
+  }
+  render();
+
+  return {
+    handleArrangementChanged,
+  };
+}
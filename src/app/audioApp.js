@@ -1,676 +1,101 @@
 
-import * as Tone from 'tone';
-import ThreeSistersSVF from '../audio/ThreeSistersSVF.js';
-import SimpleThreeBandFilter from '../audio/SimpleThreeBandFilter.js';
-import { Random, mapValue, mapLayerFilterValue } from '../utils/random.js';
 import { createVisualizer } from '../visualizer/index.js';
-import { resolveBaseAudioContext } from '../utils/audioContext.js';
+import { createBlokkenEngine, STEM_NAMES } from '../engine/index.js';
+import { createDrumSequencer } from './drumSequencer.js';
+import { createRhythmLibrary } from './rhythmLibrary.js';
+import { createPianoRoll } from './pianoRoll.js';
+import { createArrangementPanel } from './arrangementPanel.js';
+import { createMorphPanel } from './morphPanel.js';
+import { createStateLink, readStateFromHash } from './stateLink.js';
+import { createPresetLibrary } from './presetLibrary.js';
+import { createMidiPanel } from './midiPanel.js';
+import { createMidiLearn } from './midiLearn.js';
+import { createMidiClockPanel } from './midiClockPanel.js';
+import { createMidiOutputPanel } from './midiOutputPanel.js';
+import { createScaleLibrary } from './scaleLibrary.js';
+import { createProgressionPanel } from './progressionPanel.js';
+import { createGroovePanel } from './groovePanel.js';
+import { getScaleDefinition } from '../engine/params.js';
+import { getRhythmLabel } from '../engine/rhythms.js';
+import { STATE_VERSION } from '../engine/state.js';
+import { encodeWav } from '../utils/wav.js';
+import { downloadBlob } from '../utils/download.js';
+import { createZip } from '../utils/zip.js';
+import { createPatternMidiFile } from '../midi/midiFile.js';
+import { createMidiInput } from '../midi/midiInput.js';
 
 export function initAudioApp() {
-        const SYNTH_FILTER_FREQUENCY_MIN = 80;
-        const SYNTH_FILTER_FREQUENCY_MAX = 6000;
-        const SYNTH_FILTER_SPAN_MIN = 40;
-        const SYNTH_FILTER_SPAN_MAX = 1800;
-        const SYNTH_FILTER_DEFAULT_FREQUENCY = 1200;
-        const SYNTH_FILTER_DEFAULT_SPAN = 400;
-        const SYNTH_FILTER_Q_MIN = 2;
-        const SYNTH_FILTER_Q_MAX = 30;
-        const SYNTH_FILTER_DEFAULT_Q = 12;
-        const SYNTH_FILTER_DEFAULT_FEEDBACK = 0.08;
-        const SYNTH_FILTER_MIX_DEFAULT = 1;
-
-        let synthFilter = null;
-        let synthFilterIsSVF = false;
-        let synthFilterMixAmount = SYNTH_FILTER_MIX_DEFAULT;
-        let synthFilterDryGain = null;
-        let synthFilterWetGain = null;
-        let synthFilterBlendBus = null;
-        let layerFilter = null;
-        let pendingSynthFilterSettings = null;
-
-        let isSetup = false;
+        let engine = null;
         const visualizer = createVisualizer({
-            isAudioReady: () => isSetup
+            isAudioReady: () => Boolean(engine && engine.isReady())
         });
-        pendingSynthFilterSettings = readSynthFilterSettingsFromUI();
-
-        function clampSynthFilterSpan(span) {
-            return Math.min(Math.max(span, SYNTH_FILTER_SPAN_MIN), SYNTH_FILTER_SPAN_MAX);
-        }
-
-        function readSynthFilterSettingsFromUI() {
-            const frequencyInput = document.getElementById('synthFilterFrequency');
-            const spanInput = document.getElementById('synthFilterSpan');
-            const qInput = document.getElementById('synthFilterQ');
-            return {
-                frequency: frequencyInput ? parseFloat(frequencyInput.value) : SYNTH_FILTER_DEFAULT_FREQUENCY,
-                span: spanInput ? parseFloat(spanInput.value) : SYNTH_FILTER_DEFAULT_SPAN,
-                q: qInput ? parseFloat(qInput.value) : SYNTH_FILTER_DEFAULT_Q
-            };
-        }
-
-        function applySynthFilterSettings(settings = {}) {
-            const current = pendingSynthFilterSettings || readSynthFilterSettingsFromUI();
-            const merged = {
-                frequency: settings.frequency !== undefined ? settings.frequency : current.frequency,
-                span: settings.span !== undefined ? settings.span : current.span,
-                q: settings.q !== undefined ? settings.q : current.q
-            };
-            pendingSynthFilterSettings = merged;
-
-            if (!synthFilter) return;
-            const clampedFrequency = Math.min(Math.max(merged.frequency, SYNTH_FILTER_FREQUENCY_MIN), SYNTH_FILTER_FREQUENCY_MAX);
-            const clampedSpan = clampSynthFilterSpan(merged.span);
-            const clampedQ = Math.min(Math.max(merged.q, SYNTH_FILTER_Q_MIN), SYNTH_FILTER_Q_MAX);
-            if (synthFilterIsSVF) {
-                synthFilter.center = clampedFrequency;
-                synthFilter.span = clampedSpan;
-                synthFilter.q = clampedQ;
-            } else if (typeof synthFilter.update === 'function') {
-                synthFilter.update(clampedFrequency, clampedSpan);
-                if ('q' in synthFilter) {
-                    synthFilter.q = clampedQ;
-                }
-            } else if (synthFilter.frequency) {
-                synthFilter.frequency.value = clampedFrequency;
-                if (synthFilter.Q) synthFilter.Q.value = clampedQ;
-            }
-        }
-
-        function applyLayerLowpassCenter(centerFreq) {
-            if (!layerFilter) return;
-            if (layerFilter.frequency) {
-                layerFilter.frequency.value = centerFreq;
-            }
-        }
-
-        function canUseThreeSistersSVF() {
-            const raw = resolveBaseAudioContext();
-            return Boolean(
-                raw &&
-                raw.audioWorklet &&
-                typeof raw.audioWorklet.addModule === 'function' &&
-                typeof AudioWorkletNode !== 'undefined'
-            );
-        }
-
-        // --- TONE.JS APPLICATIE ---
-        const DRUM_SCHEDULE_EPSILON = 0.002;
-        let drumLastTrigger = { kick: 0, snare: 0, hihat: 0, clap: 0 };
-
-        function getDrumScheduleTime(drum, targetTime) {
-            const last = drumLastTrigger[drum] || 0;
-            return Math.max(targetTime, last + DRUM_SCHEDULE_EPSILON);
-        }
-
-        function safeTriggerAttackRelease(node, drum, note, duration, time, velocity) {
-            if (!node || node.disposed) return;
-            let safeTime = getDrumScheduleTime(drum, time);
-            let attempts = 0;
-            while (attempts < 5) {
-                try {
-                    if (note !== undefined && note !== null) {
-                        node.triggerAttackRelease(note, duration, safeTime, velocity);
-                    } else {
-                        node.triggerAttackRelease(duration, safeTime, velocity);
-                    }
-                    drumLastTrigger[drum] = safeTime;
-                    return;
-                } catch (err) {
-                    const message = err && err.message;
-                    if (message && (message.includes('Start time must be strictly greater') || message.includes('greater than or equal'))) {
-                        safeTime = Math.max(safeTime + DRUM_SCHEDULE_EPSILON, (drumLastTrigger[drum] || 0) + DRUM_SCHEDULE_EPSILON);
-                        attempts++;
-                        continue;
-                    }
-                    throw err;
-                }
-            }
-        }
-
-
-        let synth, layerSynth, notePart, granularPart, reverb, masterVolume, layerVolume, drumBus, lowTap;
-        let kickDrum, snareDrum, hihatDrum, clapDrum;
-        let kickVolume, snareVolume, hihatVolume, clapVolume;
-        let drumPart;
-        let delays = [];
-        const SOUND_FADE_DURATION = 0.18;
-        const SILENCE_DB = -60;
-        const DEFAULT_MASTER_DB = -18;
-        const MAX_DELAY_WET = 0.6;
-        const SPREAD_DETUNE_RANGE = 12;
-        const MIN_GRAIN_COUNT = 8;
-        const MAX_GRAIN_COUNT = 220;
-        const DRUM_VOLUME_DB_RANGE = { min: -60, max: -6 };
-        const KICK_VOLUME_DB_RANGE = { min: -60, max: 0 };
-        const HIHAT_DB_RANGE = { min: -30, max: -6 };
-        const CLAP_DB_RANGE = { min: -18, max: 0 };
-        const CLAP_FLAM_OFFSET = Tone.Time('64n').toSeconds();
-        const MAX_HUMANIZE_TIME = 0.07;
-        const FLUTTER_WOW_MAX_DEPTH = 40;
-        const FLUTTER_WOW_RATE_RANGE = { min: 0.08, max: 1.1 };
-        const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const SCALE_DEFINITIONS = [
-            { name: 'Major', semitones: [0, 2, 4, 5, 7, 9, 11] },
-            { name: 'Natural Minor', semitones: [0, 2, 3, 5, 7, 8, 10] },
-            { name: 'Blues Minor', semitones: [0, 3, 5, 6, 7, 10] },
-            { name: 'Hungarian Minor', semitones: [0, 2, 3, 6, 7, 8, 11] },
-            { name: 'Phrygian', semitones: [0, 1, 3, 5, 7, 8, 10] }
-        ];
-        const PATTERN_STRUCTURE_MEASURES = 16;
-        let currentPatternStructure = null;
-        let patternPlaybackLength = 4;
-        let scaleCyclePosition = 0;
-        const DRUM_FILTER_SETTINGS = {
-            kick: { type: 'lowpass', frequency: 220, rolloff: -48, Q: 0.9 },
-            snare: { type: 'bandpass', frequency: 1900, rolloff: -24, Q: 1.1 },
-            hihat: { type: 'highpass', frequency: 6500, rolloff: -24, Q: 0.7 },
-            clap: { type: 'bandpass', frequency: 1800, rolloff: -24, Q: 1.2 }
+        engine = createBlokkenEngine({}, { visualizer });
+
+        // Slider ids whose engine parameter has a different name or unit.
+        const CONTROL_PARAM_BINDINGS = {
+            layerFilterControl: { param: 'layerFilter' },
+            synthFilterMix: { param: 'synthFilterMix', scale: 100 },
+            gevoel: { param: 'scaleIndex' },
+            reverb: { param: 'reverbWet' },
+            kickVolume: { param: 'kickVol' },
+            snareVolume: { param: 'snareVol' },
+            hihatVolume: { param: 'hihatVol' },
+            clapVolume: { param: 'clapVol' },
+            kickChance: { param: 'kickChance', scale: 100 },
+            snareChance: { param: 'snareChance', scale: 100 },
+            hihatChance: { param: 'hihatChance', scale: 100 },
+            clapChance: { param: 'clapChance', scale: 100 }
         };
-        const DEFAULT_DRUM_FILTER_BYPASS = {
-            kick: true,
-            snare: false,
-            hihat: false,
-            clap: false
-        };
-        let drumFilters = {
-            kick: null,
-            snare: null,
-            hihat: null,
-            clap: null
-        };
-        let drumFilterBypassStates = { ...DEFAULT_DRUM_FILTER_BYPASS };
-        let flutterWowLFO = null;
-        const drumVolumeSliders = {
-            kick: document.getElementById('kickVolume'),
-            snare: document.getElementById('snareVolume'),
-            hihat: document.getElementById('hihatVolume'),
-            clap: document.getElementById('clapVolume')
-        };
-        const drumFilterSliders = {
-            kick: document.getElementById('kickFilter'),
-            snare: document.getElementById('snareFilter'),
-            hihat: document.getElementById('hihatFilter'),
-            clap: document.getElementById('clapFilter')
-        };
-        const drumChanceSliders = {
-            kick: document.getElementById('kickChance'),
-            snare: document.getElementById('snareChance'),
-            hihat: document.getElementById('hihatChance'),
-            clap: document.getElementById('clapChance')
-        };
-        const drumFilterBypassButtons = {};
-        const DRUM_FILTER_RANGES = {
-            kick: { min: 40, max: 320 },
-            snare: { min: 400, max: 4000 },
-            hihat: { min: 3000, max: 14000 },
-            clap: { min: 500, max: 5000 }
-        };
-        let drumFilterTargets = {
-            kick: DRUM_FILTER_SETTINGS.kick.frequency,
-            snare: DRUM_FILTER_SETTINGS.snare.frequency,
-            hihat: DRUM_FILTER_SETTINGS.hihat.frequency,
-            clap: DRUM_FILTER_SETTINGS.clap.frequency
-        };
-        const DRUM_DEFAULT_DB = DEFAULT_MASTER_DB;
-        let drumsMuted = false;
+        const SCALE_CYCLE_STEP_IDS = ['scaleCycleStep1', 'scaleCycleStep2', 'scaleCycleStep3', 'scaleCycleStep4'];
+
         let isVisualizerFrozen = false;
         let previousUILayoutState = null;
-
-        function applyDrumFilterTarget(drum) {
-            const node = drumFilters[drum];
-            if (node && !node.disposed && drumFilterTargets[drum] !== undefined) {
-                node.frequency.value = drumFilterTargets[drum];
-            }
-        }
-
-        function updateDrumFilterFrequency(drum) {
-            const slider = drumFilterSliders[drum];
-            if (!slider) return;
-            const range = DRUM_FILTER_RANGES[drum] || { min: 20, max: 20000 };
-            const value = Math.min(Math.max(parseFloat(slider.value) || range.min, range.min), range.max);
-            drumFilterTargets[drum] = value;
-            applyDrumFilterTarget(drum);
-        }
-
-        function getDrumChanceValue(drum) {
-            const slider = drumChanceSliders[drum];
-            if (!slider) return 1;
-            const raw = Math.min(Math.max(parseFloat(slider.value) || 100, 0), 100);
-            return raw / 100;
-        }
-
-        function disposeDrumFilters() {
-            Object.keys(drumFilters).forEach(key => {
-                const node = drumFilters[key];
-                if (node && !node.disposed) {
-                    node.disconnect();
-                    node.dispose();
-                }
-                drumFilters[key] = null;
-            });
-        }
-
-        function maybeCreateDrumFilter(filterKey) {
-            if (!DRUM_FILTER_SETTINGS[filterKey]) return null;
-            if (isDrumFilterBypassed(filterKey)) {
-                return null;
-            }
-            if (!drumFilters[filterKey] || drumFilters[filterKey].disposed) {
-                drumFilters[filterKey] = new Tone.Filter(DRUM_FILTER_SETTINGS[filterKey]);
-                applyDrumFilterTarget(filterKey);
-            }
-            return drumFilters[filterKey];
-        }
-
-        function createDrumFilters() {
-            disposeDrumFilters();
-            Object.keys(DRUM_FILTER_SETTINGS).forEach(key => {
-                if (isDrumFilterBypassed(key)) {
-                    drumFilters[key] = null;
-                    return;
-                }
-                drumFilters[key] = new Tone.Filter(DRUM_FILTER_SETTINGS[key]);
-                applyDrumFilterTarget(key);
-            });
-        }
-
-        function connectDrumToVolume({ drumNode, filterKey, volumeNode, tapLow = false }) {
-            if (!drumNode || !volumeNode || !drumBus) return;
-            drumNode.disconnect();
-            volumeNode.disconnect();
-            let filterNode = drumFilters[filterKey];
-            if (!filterNode && DRUM_FILTER_SETTINGS[filterKey]) {
-                filterNode = maybeCreateDrumFilter(filterKey);
-            }
-            const shouldBypass = !filterNode;
-            if (!shouldBypass) {
-                filterNode.disconnect();
-                drumNode.connect(filterNode);
-                filterNode.connect(volumeNode);
-                applyDrumFilterTarget(filterKey);
-            } else {
-                if (filterNode) {
-                    filterNode.disconnect();
-                }
-                drumNode.connect(volumeNode);
-            }
-            volumeNode.connect(drumBus);
-            if (tapLow && lowTap) {
-                volumeNode.connect(lowTap);
-            }
-        }
-
-        function wireDrumRouting() {
-            if (!drumBus) return;
-            refreshSingleDrumRouting('kick');
-            refreshSingleDrumRouting('snare');
-            refreshSingleDrumRouting('hihat');
-            refreshSingleDrumRouting('clap');
-        }
-
-        function refreshSingleDrumRouting(drum) {
-            if (!drumBus) return;
-            switch (drum) {
-                case 'kick':
-                    connectDrumToVolume({ drumNode: kickDrum, filterKey: 'kick', volumeNode: kickVolume, tapLow: true });
-                    break;
-                case 'snare':
-                    connectDrumToVolume({ drumNode: snareDrum, filterKey: 'snare', volumeNode: snareVolume });
-                    break;
-                case 'hihat':
-                    connectDrumToVolume({ drumNode: hihatDrum, filterKey: 'hihat', volumeNode: hihatVolume });
-                    break;
-                case 'clap':
-                    connectDrumToVolume({ drumNode: clapDrum, filterKey: 'clap', volumeNode: clapVolume });
-                    break;
-            }
-        }
-
-        function disconnectSynthRouting() {
-            if (masterVolume) masterVolume.disconnect();
-            if (synthFilterDryGain) synthFilterDryGain.disconnect();
-            if (synthFilterWetGain) synthFilterWetGain.disconnect();
-            if (synthFilterBlendBus) synthFilterBlendBus.disconnect();
-            if (synthFilter && !synthFilter.disposed) {
-                synthFilter.disconnect();
-            }
-        }
-
-        function ensureSynthFilterMixNodes() {
-            if (!synthFilterDryGain || synthFilterDryGain.disposed) {
-                synthFilterDryGain = new Tone.Gain(1);
-            }
-            if (!synthFilterWetGain || synthFilterWetGain.disposed) {
-                synthFilterWetGain = new Tone.Gain(1);
-            }
-            if (!synthFilterBlendBus || synthFilterBlendBus.disposed) {
-                synthFilterBlendBus = new Tone.Gain(1);
-            }
-        }
-
-        function applySynthFilterMixLevels() {
-            if (synthFilterDryGain && !synthFilterDryGain.disposed) {
-                synthFilterDryGain.gain.value = 1 - synthFilterMixAmount;
-            }
-            if (synthFilterWetGain && !synthFilterWetGain.disposed) {
-                synthFilterWetGain.gain.value = synthFilterMixAmount;
-            }
-        }
-
-        function setSynthFilterMixAmount(amount) {
-            const clamped = Math.min(Math.max(amount, 0), 1);
-            synthFilterMixAmount = clamped;
-            applySynthFilterMixLevels();
-        }
-
-        function connectSourceToEffects(source) {
-            if (!source) return;
-            source.connect(reverb);
-            delays.forEach(delay => source.connect(delay));
-        }
-
-        function refreshSynthRouting() {
-            if (!masterVolume || !reverb) return;
-            disconnectSynthRouting();
-            ensureSynthFilterMixNodes();
-            if (!synthFilterBlendBus) return;
-            masterVolume.connect(synthFilterDryGain);
-            synthFilterDryGain.connect(synthFilterBlendBus);
-            if (synthFilter && !synthFilter.disposed) {
-                masterVolume.connect(synthFilter);
-                synthFilter.connect(synthFilterWetGain);
-                synthFilterWetGain.connect(synthFilterBlendBus);
-            }
-            connectSourceToEffects(synthFilterBlendBus);
-            applySynthFilterMixLevels();
-        }
-
-        const RHYTHM_PATTERNS = [
-            {
-                label: 'Trip Hop',
-                kick: [[0, 0, 0, 1.0], [2, 2, 0, 0.9]],
-                snare: [[1, 0, 0, 0.8], [3, 1, 0, 0.7]],
-                hihat: [[0, 2, 0, 0.3], [1, 2, 0, 0.4], [2, 2, 0, 0.3], [3, 2, 0, 0.5]],
-                clap: []
-            },
-            {
-                label: 'Chillhop',
-                kick: [[0, 0, 0, 1.0], [1, 3, 0, 0.6], [2, 2, 0, 0.8]],
-                snare: [[1, 2, 0, 0.7], [3, 0, 0, 0.7]],
-                hihat: [[0, 2, 0, 0.35], [0, 3, 0, 0.25], [1, 2, 0, 0.4], [1, 3, 0, 0.3], [2, 2, 0, 0.4], [3, 2, 0, 0.45]],
-                clap: [[1, 2, 2, 0.3], [3, 2, 2, 0.3]]
-            },
-            {
-                label: 'Boom Bap',
-                kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.6], [2, 3, 0, 0.8]],
-                snare: [[1, 0, 0, 0.9], [3, 0, 0, 0.9]],
-                hihat: [[0, 2, 0, 0.4], [0, 3, 2, 0.3], [1, 2, 0, 0.5], [2, 2, 0, 0.4], [2, 3, 2, 0.3], [3, 2, 0, 0.5]],
-                clap: [[1, 0, 2, 0.3], [3, 0, 2, 0.3]]
-            },
-            {
-                label: 'Afrobeat',
-                kick: [[0, 0, 0, 1.0], [1, 1, 0, 0.8], [2, 3, 0, 0.7], [3, 1, 0, 0.9]],
-                snare: [[1, 2, 0, 0.65], [2, 0, 2, 0.5], [3, 2, 0, 0.65]],
-                hihat: [[0, 2, 0, 0.45], [1, 1, 0, 0.35], [1, 3, 0, 0.4], [2, 2, 0, 0.45], [3, 1, 0, 0.35], [3, 3, 0, 0.4]],
-                clap: [[1, 2, 1, 0.45], [3, 2, 1, 0.45]]
-            },
-            {
-                label: 'Breakbeat',
-                kick: [[0, 0, 0, 1.0], [0, 3, 0, 0.7], [2, 2, 0, 0.9], [3, 1, 0, 0.6]],
-                snare: [[1, 0, 0, 0.9], [2, 0, 2, 0.5], [3, 0, 0, 0.8]],
-                hihat: [[0, 2, 0, 0.5], [1, 2, 0, 0.6], [1, 3, 0, 0.4], [2, 2, 0, 0.5], [3, 2, 0, 0.6], [3, 3, 0, 0.4]],
-                clap: []
-            },
-            {
-                label: 'Electro',
-                kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.9], [2, 0, 0, 1.0], [3, 2, 0, 0.9]],
-                snare: [[1, 0, 0, 0.9], [3, 0, 0, 0.9]],
-                hihat: [[0, 2, 0, 0.45], [0, 3, 0, 0.35], [1, 2, 0, 0.5], [2, 2, 0, 0.45], [2, 3, 0, 0.35], [3, 2, 0, 0.5]],
-                clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6]]
-            },
-            {
-                label: 'House',
-                kick: [[0, 0, 0, 1.0], [1, 0, 0, 1.0], [2, 0, 0, 1.0], [3, 0, 0, 1.0]],
-                snare: [[1, 0, 0, 0.8], [3, 0, 0, 0.8]],
-                hihat: [[0, 2, 0, 0.4], [1, 2, 0, 0.5], [2, 2, 0, 0.4], [3, 2, 0, 0.5]],
-                clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6]]
-            },
-            {
-                label: 'Techno',
-                kick: [[0, 0, 0, 1.0], [1, 0, 0, 1.0], [2, 0, 0, 1.0], [3, 0, 0, 1.0], [1, 2, 0, 0.6], [3, 2, 0, 0.6]],
-                snare: [[1, 0, 0, 0.7], [3, 0, 0, 0.7]],
-                hihat: [[0, 2, 0, 0.6], [0, 3, 0, 0.4], [1, 2, 0, 0.65], [1, 3, 0, 0.45], [2, 2, 0, 0.6], [2, 3, 0, 0.4], [3, 2, 0, 0.65], [3, 3, 0, 0.45]],
-                clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
-            },
-            {
-                label: 'UK Garage',
-                kick: [[0, 0, 0, 1.0], [1, 3, 0, 0.7], [2, 2, 0, 0.9], [3, 3, 0, 0.65]],
-                snare: [[1, 0, 0, 0.85], [2, 3, 0, 0.5], [3, 0, 0, 0.85]],
-                hihat: [[0, 2, 0, 0.5], [0, 3, 0, 0.3], [1, 1, 0, 0.35], [1, 2, 0, 0.55], [2, 2, 0, 0.5], [3, 1, 0, 0.35], [3, 2, 0, 0.55]],
-                clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6], [2, 2, 2, 0.4]]
-            },
-            {
-                label: 'Drum & Bass',
-                kick: [[0, 0, 0, 1.0], [1, 1, 0, 0.8], [2, 2, 0, 0.9], [3, 0, 0, 0.7]],
-                snare: [[1, 0, 0, 0.9], [1, 2, 2, 0.5], [2, 3, 0, 0.6], [3, 0, 0, 0.9]],
-                hihat: [[0, 2, 0, 0.5], [0, 3, 0, 0.3], [1, 2, 0, 0.6], [1, 3, 0, 0.4], [2, 2, 0, 0.5], [2, 3, 0, 0.3], [3, 2, 0, 0.6], [3, 3, 0, 0.4]],
-                clap: []
-            },
-            {
-                label: 'Jungle',
-                kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.8], [2, 1, 0, 0.75], [3, 3, 0, 0.85]],
-                snare: [[1, 0, 0, 0.9], [2, 2, 0, 0.7], [3, 0, 0, 0.9]],
-                hihat: [[0, 2, 0, 0.55], [0, 3, 0, 0.45], [1, 1, 0, 0.35], [1, 2, 0, 0.55], [1, 3, 0, 0.45], [2, 2, 0, 0.55], [2, 3, 0, 0.45], [3, 2, 0, 0.55], [3, 3, 0, 0.45]],
-                clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
-            },
-            {
-                label: 'Rock',
-                kick: [[0, 0, 0, 1.0], [2, 0, 0, 1.0]],
-                snare: [[1, 0, 0, 1.0], [3, 0, 0, 1.0]],
-                hihat: [[0, 2, 0, 0.6], [1, 2, 0, 0.7], [2, 2, 0, 0.6], [3, 2, 0, 0.7]],
-                clap: []
-            },
-            {
-                label: 'Pop',
-                kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.7], [3, 0, 0, 0.8]],
-                snare: [[1, 0, 0, 0.85], [3, 0, 0, 0.85]],
-                hihat: [[0, 2, 0, 0.4], [1, 2, 0, 0.45], [2, 2, 0, 0.4], [3, 2, 0, 0.45]],
-                clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
-            }
-        ];
-        const RHYTHM_STYLE_NAMES = RHYTHM_PATTERNS.map(pattern => pattern.label);
-        const DEFAULT_DRUM_RHYTHM = 0.5;
+        const drumFilterBypassButtons = {};
         const drumRhythmDisplay = document.getElementById('drumRhythmValue');
-        const drumRhythmSlider = document.getElementById('drumRhythm');
-
-        function getRhythmLabel(value) {
-            if (!RHYTHM_STYLE_NAMES.length) {
-                return `${Math.round(value * 100)}%`;
-            }
-            const maxIndex = RHYTHM_STYLE_NAMES.length - 1;
-            const clampedValue = Math.min(Math.max(value, 0), 1);
-            const position = clampedValue * maxIndex;
-            const lowerIndex = Math.floor(position);
-            const upperIndex = Math.min(maxIndex, lowerIndex + 1);
-            const blend = position - lowerIndex;
-            const lowerName = RHYTHM_STYLE_NAMES[lowerIndex];
-            const upperName = RHYTHM_STYLE_NAMES[upperIndex];
-            if (blend < 0.05 || lowerIndex === upperIndex) return lowerName;
-            if (blend > 0.95) return upperName;
-            return `${lowerName} -> ${upperName} (${Math.round(blend * 100)}%)`;
-        }
 
         function updateRhythmDisplay(value) {
             if (!drumRhythmDisplay) return;
-            drumRhythmDisplay.textContent = getRhythmLabel(value);
+            // A picked rhythm takes the place of the slider's blend.
+            const customRhythm = engine && engine.getParams().customRhythm;
+            drumRhythmDisplay.textContent = customRhythm ? customRhythm.label : getRhythmLabel(value);
         }
 
-        if (drumRhythmSlider) {
-            updateRhythmDisplay(parseFloat(drumRhythmSlider.value) || DEFAULT_DRUM_RHYTHM);
-        } else if (drumRhythmDisplay) {
-            updateRhythmDisplay(DEFAULT_DRUM_RHYTHM);
+        function updateDrumFilterBypassButton(drum) {
+            const button = drumFilterBypassButtons[drum];
+            if (!button) return;
+            const bypassed = engine.isDrumFilterBypassed(drum);
+            button.textContent = bypassed ? 'Bypassed' : 'Filter On';
+            button.classList.toggle('is-bypassed', bypassed);
         }
+
         document.querySelectorAll('[data-drum-filter-bypass]').forEach(button => {
             const drum = button.getAttribute('data-drum-filter-bypass');
             if (!drum) return;
             drumFilterBypassButtons[drum] = button;
             button.addEventListener('click', () => {
-                setDrumFilterBypassState(drum, !isDrumFilterBypassed(drum));
+                engine.setDrumFilterBypass(drum, !engine.isDrumFilterBypassed(drum));
             });
         });
-        Object.keys(drumFilterBypassStates).forEach(updateDrumFilterBypassButton);
-
-        function wait(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
-        }
-
-        function getDrumSliderValue(drum) {
-            const slider = drumVolumeSliders[drum];
-            return slider ? parseFloat(slider.value) : 0;
-        }
-
-        function timeStringToSteps(timeStr) {
-            const parts = timeStr.split(':').map(num => parseInt(num, 10) || 0);
-            const [measure = 0, quarter = 0, sixteenth = 0] = parts;
-            return (measure * 16) + (quarter * 4) + sixteenth;
-        }
-
-        function stepsToTimeString(steps) {
-            const measure = Math.floor(steps / 16);
-            const remainder = steps % 16;
-            const quarter = Math.floor(remainder / 4);
-            const sixteenth = remainder % 4;
-            return `${measure}:${quarter}:${sixteenth}`;
-        }
-
-        function setDrumMuteState(muted, immediate = false) {
-            drumsMuted = Boolean(muted);
-            if (!drumBus || drumBus.disposed) return;
-            const targetDb = drumsMuted ? SILENCE_DB : DRUM_DEFAULT_DB;
-            const now = Tone.now();
-            drumBus.volume.cancelScheduledValues(now);
-            if (immediate) {
-                drumBus.volume.setValueAtTime(targetDb, now);
-                return;
-            }
-            drumBus.volume.setValueAtTime(drumBus.volume.value, now);
-            drumBus.volume.linearRampToValueAtTime(targetDb, now + SOUND_FADE_DURATION);
-        }
 
-        function isDrumFilterBypassed(drum) {
-            return Boolean(drumFilterBypassStates[drum]);
-        }
+        const partLockButtons = {};
 
-        function updateDrumFilterBypassButton(drum) {
-            const button = drumFilterBypassButtons[drum];
+        function updatePartLockButton(part) {
+            const button = partLockButtons[part];
             if (!button) return;
-            const bypassed = isDrumFilterBypassed(drum);
-            button.textContent = bypassed ? 'Bypassed' : 'Filter On';
-            button.classList.toggle('is-bypassed', bypassed);
-        }
-
-        function setDrumFilterBypassState(drum, bypassed, options = {}) {
-            if (!Object.prototype.hasOwnProperty.call(drumFilterBypassStates, drum)) return;
-            const normalized = Boolean(bypassed);
-            if (drumFilterBypassStates[drum] === normalized) {
-                updateDrumFilterBypassButton(drum);
-                if (!options.skipStateUpdate) {
-                    updateStateDisplay();
-                }
-                return;
-            }
-            drumFilterBypassStates[drum] = normalized;
-            if (normalized) {
-                if (drumFilters[drum] && !drumFilters[drum].disposed) {
-                    drumFilters[drum].disconnect();
-                    drumFilters[drum].dispose();
-                }
-                drumFilters[drum] = null;
-            } else if (!drumFilters[drum] || drumFilters[drum].disposed) {
-                drumFilters[drum] = new Tone.Filter(DRUM_FILTER_SETTINGS[drum]);
-                applyDrumFilterTarget(drum);
-            }
-            updateDrumFilterBypassButton(drum);
-            if (!options.skipRouting && isSetup) {
-                refreshSingleDrumRouting(drum);
-            }
-            if (!options.skipStateUpdate) {
-                updateStateDisplay();
-            }
+            button.classList.toggle('is-locked', engine.isPartLocked(part));
         }
 
-
-        let currentLayerTranspose = 0;
-        let currentLayerDepth = 0;
-        let currentLayerOffsetSeconds = 0;
-        let currentGranularWet = 0;
-        let currentEchoWet = 0;
-        let currentSpreadDetune = 0;
-        let currentFundamental = 110;
-
-        function updateDelayWetness(value) {
-            const numeric = parseFloat(value);
-            currentEchoWet = mapValue(numeric, 0, 8, 0, MAX_DELAY_WET);
-            delays.forEach(delay => {
-                if (delay && delay.wet) {
-                    delay.wet.value = currentEchoWet;
-                }
+        document.querySelectorAll('[data-part-lock]').forEach(button => {
+            const part = button.getAttribute('data-part-lock');
+            if (!part) return;
+            partLockButtons[part] = button;
+            button.addEventListener('click', () => {
+                engine.setPartLock(part, !engine.isPartLocked(part));
             });
-        }
-
-        function applySpreadDetune(value) {
-            const clamped = Math.min(5, Math.max(1, parseFloat(value)));
-            currentSpreadDetune = mapValue(clamped, 1, 5, -SPREAD_DETUNE_RANGE, SPREAD_DETUNE_RANGE);
-            if (synth && !synth.disposed) {
-                synth.set({ detune: currentSpreadDetune });
-            }
-            if (layerSynth && !layerSynth.disposed) {
-                layerSynth.set({ detune: currentSpreadDetune });
-            }
-        }
-
-        function ensureFlutterWowLFO() {
-            if (!flutterWowLFO) {
-                flutterWowLFO = new Tone.LFO(0.25, 0, 0);
-                flutterWowLFO.phase = 90;
-                flutterWowLFO.start();
-            }
-            return flutterWowLFO;
-        }
-
-        function connectFlutterWowToVoices() {
-            if (!flutterWowLFO) return;
-            flutterWowLFO.disconnect();
-            const tryConnectDetune = (node) => {
-                if (!node || node.disposed) return;
-                const detuneSignal = node.detune;
-                if (detuneSignal && typeof detuneSignal.connect === 'function') {
-                    flutterWowLFO.connect(detuneSignal);
-                }
-            };
-            tryConnectDetune(synth);
-            tryConnectDetune(layerSynth);
-        }
+        });
 
-        function applyFlutterWowSettings(params) {
-            if (!params) return;
-            const depthAmount = Math.max(0, Math.min(1, params.flutterDepth ?? 0));
-            const rateAmount = Math.max(0, Math.min(1, params.flutterRate ?? 0.5));
-            if (depthAmount <= 0) {
-                if (flutterWowLFO) {
-                    flutterWowLFO.disconnect();
-                    flutterWowLFO.min = 0;
-                    flutterWowLFO.max = 0;
-                }
-                return;
-            }
-            const lfo = ensureFlutterWowLFO();
-            const mappedDepth = mapValue(depthAmount, 0, 1, 0, FLUTTER_WOW_MAX_DEPTH);
-            lfo.min = -mappedDepth;
-            lfo.max = mappedDepth;
-            lfo.frequency.value = mapValue(rateAmount, 0, 1, FLUTTER_WOW_RATE_RANGE.min, FLUTTER_WOW_RATE_RANGE.max);
-            connectFlutterWowToVoices();
+        function wait(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
         }
 
         const uiContainer = document.getElementById('ui-container');
@@ -686,19 +111,15 @@ export function initAudioApp() {
         const statePanel = document.getElementById('statePanel');
         const stateInput = document.getElementById('stateInput');
         const copyStateButton = document.getElementById('copyStateButton');
+        const copyLinkButton = document.getElementById('copyLinkButton');
         const pasteStateButton = document.getElementById('pasteStateButton');
-        // No manual drum mute toggle; drums start silent via sliders.
-        ['kick', 'snare', 'hihat', 'clap'].forEach(drum => {
-            updateSlider(`${drum}Volume`, 0, 2);
-            const filterId = `${drum}Filter`;
-            const chanceId = `${drum}Chance`;
-            const defaultFilter = DRUM_FILTER_SETTINGS[drum]?.frequency;
-            if (defaultFilter !== undefined) {
-                updateSlider(filterId, defaultFilter, 0);
-            }
-            updateSlider(chanceId, 100, 0);
-            updateDrumFilterFrequency(drum);
-        });
+        const seedInput = document.getElementById('seedInput');
+        const renderButton = document.getElementById('renderButton');
+        const renderStemsButton = document.getElementById('renderStemsButton');
+        const exportMidiButton = document.getElementById('exportMidiButton');
+        const renderBarsInput = document.getElementById('renderBars');
+        const renderSampleRateSelect = document.getElementById('renderSampleRate');
+        const renderBitDepthSelect = document.getElementById('renderBitDepth');
 
         // --- TAB SWITCHING ---
         const tabs = document.querySelectorAll('.tab');
@@ -826,948 +247,6 @@ export function initAudioApp() {
         syncPanelToggleIcons();
 
 
-        // --- Hoofdfuncties ---
-        async function setupAndPlay() {
-            if (Tone.context.state !== 'running') {
-                await Tone.start();
-            }
-            
-            await generateSoundscape();
-            Tone.Transport.start();
-            isSetup = true;
-            playPauseButton.textContent = 'Pause';
-            applySynthFilterSettings(readSynthFilterSettingsFromUI());
-        }
-
-        function cleanupAudio(fullCleanup = false) {
-            if (notePart) {
-                notePart.stop(0).dispose();
-                notePart = null;
-            }
-
-            if (granularPart) {
-                granularPart.stop(0).dispose();
-                granularPart = null;
-            }
-
-            if (drumPart) {
-                drumPart.stop(0).dispose();
-                drumPart = null;
-            }
-
-            if (synth) {
-                synth.releaseAll();
-                synth.disconnect();
-                if (fullCleanup) {
-                    synth.dispose();
-                    synth = null;
-                }
-            }
-
-            if (layerSynth) {
-                layerSynth.releaseAll();
-                layerSynth.disconnect();
-                if (fullCleanup) {
-                    layerSynth.dispose();
-                    layerSynth = null;
-                }
-            }
-
-            [kickDrum, snareDrum, hihatDrum, clapDrum].forEach(drum => {
-                if (drum) {
-                    drum.disconnect();
-                    if (fullCleanup) {
-                        drum.dispose();
-                    }
-                }
-            });
-            if (fullCleanup) {
-                kickDrum = null;
-                snareDrum = null;
-                hihatDrum = null;
-                clapDrum = null;
-            }
-
-            [...delays, reverb, masterVolume, layerVolume, layerFilter, synthFilter, synthFilterDryGain, synthFilterWetGain, synthFilterBlendBus, drumBus, kickVolume, snareVolume, hihatVolume, clapVolume, lowTap].forEach(node => {
-                if (node && !node.disposed) {
-                    node.disconnect();
-                    node.dispose();
-                }
-            });
-            disposeDrumFilters();
-            delays = [];
-            reverb = null;
-            masterVolume = null;
-            layerVolume = null;
-            layerFilter = null;
-            synthFilter = null;
-            synthFilterIsSVF = false;
-            synthFilterDryGain = null;
-            synthFilterWetGain = null;
-            synthFilterBlendBus = null;
-            drumBus = null;
-            drumLastTrigger = { kick: 0, snare: 0, hihat: 0, clap: 0 };
-            kickVolume = null;
-            snareVolume = null;
-            hihatVolume = null;
-            clapVolume = null;
-            if (typeof window !== 'undefined') {
-                window.lowTapNode = null;
-            }
-            lowTap = null;
-            if (flutterWowLFO) {
-                flutterWowLFO.disconnect();
-            }
-        }
-
-        let automationLoopEvent = null;
-
-        function triggerLayeredClap(time, velocity) {
-            if (velocity <= 0 || !clapDrum || clapDrum.disposed) return;
-            const boostedVelocity = Math.min(1, velocity * 1.25);
-            safeTriggerAttackRelease(clapDrum, 'clap', null, '16n', time, boostedVelocity);
-            safeTriggerAttackRelease(clapDrum, 'clap', null, '16n', time + CLAP_FLAM_OFFSET, boostedVelocity * 0.8);
-        }
-
-        function updateDrumPart(params) {
-            if (!params) return;
-            if (drumPart) {
-                drumPart.stop(0).dispose();
-                drumPart = null;
-            }
-            const drumPattern = generateDrumPattern(params);
-            const feelAmount = params.drumFeel || 0;
-            drumPart = new Tone.Part((time, value) => {
-                if (Tone.Transport.state !== 'started') return;
-                const sliderLevel = Math.max(0, getDrumSliderValue(value.drum));
-                if (sliderLevel <= 0) return;
-                let hitVelocity = Math.min(1, value.velocity * sliderLevel);
-
-                if (feelAmount > 0) {
-                    const accentRange = feelAmount * 0.65;
-                    // Use time-based variation instead of Random for consistency
-                    const timeHash = ((time * 1000) % 100) / 100;
-                    const accentVariance = (timeHash - 0.5) * accentRange * 0.8;
-                    hitVelocity = Math.min(1, Math.max(0.05, hitVelocity * (1 + accentVariance)));
-
-                    const ghostChance = feelAmount * 0.25;
-                    const ghostHash = ((time * 731) % 100) / 100;
-                    if (ghostHash < ghostChance) {
-                        const ghostAmount = 0.5 + ((time * 523) % 30) / 100;
-                        hitVelocity *= ghostAmount;
-                    }
-                }
-
-                const hitChance = getDrumChanceValue(value.drum);
-                if (hitChance < 1 && Random.float(0, 1) > hitChance) {
-                    return;
-                }
-
-                switch(value.drum) {
-                    case 'kick':
-                        if (kickDrum && !kickDrum.disposed) {
-                            safeTriggerAttackRelease(kickDrum, 'kick', 'C1', '8n', time, hitVelocity);
-                            visualizer.triggerDrumVisual('kick', hitVelocity);
-                        }
-                        break;
-                    case 'snare':
-                        if (snareDrum && !snareDrum.disposed) {
-                            safeTriggerAttackRelease(snareDrum, 'snare', null, '8n', time, hitVelocity);
-                            visualizer.triggerDrumVisual('snare', hitVelocity);
-                        }
-                        break;
-                    case 'hihat':
-                        if (hihatDrum && !hihatDrum.disposed) {
-                            safeTriggerAttackRelease(hihatDrum, 'hihat', null, '32n', time, hitVelocity);
-                            visualizer.triggerDrumVisual('hihat', hitVelocity);
-                        }
-                        break;
-                    case 'clap':
-                        if (clapDrum && !clapDrum.disposed) {
-                            triggerLayeredClap(time, hitVelocity);
-                            visualizer.triggerDrumVisual('clap', hitVelocity);
-                        }
-                        break;
-                }
-            }, drumPattern).start(0);
-
-            drumPart.loop = true;
-            drumPart.loopEnd = `${params.patternLength}m`;
-            drumPart.humanize = feelAmount > 0 ? feelAmount * MAX_HUMANIZE_TIME : false;
-        }
-
-        // --- Drum Pattern Generation ---
-        function addRandomRepeats(pattern, params) {
-            if (!pattern || pattern.length === 0) return pattern;
-            const totalSteps = Math.max(16, params.patternLength * 16);
-            const configs = [
-                { drum: 'kick', amount: params.kickRepeat, spread: 2 },
-                { drum: 'snare', amount: params.snareRepeat, spread: 3 },
-                { drum: 'hihat', amount: params.hihatRepeat, spread: 1 },
-                { drum: 'clap', amount: params.clapRepeat, spread: 2 }
-            ];
-            const augmented = [...pattern];
-
-            configs.forEach(({ drum, amount, spread }, configIdx) => {
-                if (!amount || amount <= 0) return;
-                const baseHits = pattern.filter(hit => hit.drum === drum);
-                const repeatsPerHit = Math.max(1, Math.round(mapValue(amount, 0, 1, 0, 3)));
-                baseHits.forEach((hit, hitIdx) => {
-                    const baseSteps = timeStringToSteps(hit.time);
-                    for (let i = 0; i < repeatsPerHit; i++) {
-                        // Deterministic threshold based on amount and indices
-                        const threshold = ((configIdx + hitIdx + i) % 10) / 10;
-                        if (threshold > amount) continue;
-                        // Deterministic direction based on index
-                        const direction = ((hitIdx + i) % 2 === 0) ? 1 : -1;
-                        // Deterministic offset based on indices
-                        const offset = 1 + ((configIdx + hitIdx + i) % spread);
-                        let newSteps = baseSteps + direction * offset;
-                        if (newSteps < 0) newSteps += totalSteps;
-                        if (newSteps >= totalSteps) newSteps -= totalSteps;
-                        augmented.push({
-                            time: stepsToTimeString(newSteps),
-                            drum,
-                            velocity: Math.min(1, hit.velocity * mapValue(amount, 0, 1, 0.4, 0.95))
-                        });
-                    }
-                });
-            });
-
-            return augmented;
-        }
-
-        function generateDrumPattern(params) {
-            const rhythmPatterns = RHYTHM_PATTERNS;
-            // Interpolate between patterns based on rhythm value
-            const rhythmValue = params.drumRhythm;
-            const patternCount = rhythmPatterns.length;
-            const position = rhythmValue * (patternCount - 1);
-            const lowerIndex = Math.floor(position);
-            const upperIndex = Math.min(lowerIndex + 1, patternCount - 1);
-            const blend = position - lowerIndex;
-
-            const lowerPattern = rhythmPatterns[lowerIndex];
-            const upperPattern = rhythmPatterns[upperIndex];
-
-            // Blend patterns
-            const blendedPattern = [];
-
-            // Helper function to blend two hit arrays
-            const blendHits = (lower, upper, drumType) => {
-                const allHits = new Map();
-
-                // Add lower pattern hits
-                lower.forEach(hit => {
-                    const key = `${hit[0]}:${hit[1]}:${hit[2]}`;
-                    allHits.set(key, {
-                        quarter: hit[0],
-                        sixteenth: hit[1],
-                        offset: hit[2],
-                        velocity: hit[3] * (1 - blend),
-                        drum: drumType
-                    });
-                });
-
-                // Add or blend upper pattern hits
-                upper.forEach(hit => {
-                    const key = `${hit[0]}:${hit[1]}:${hit[2]}`;
-                    if (allHits.has(key)) {
-                        allHits.get(key).velocity += hit[3] * blend;
-                    } else if (blend > 0.5) { // Only add new upper hits if blend is > 0.5
-                        allHits.set(key, {
-                            quarter: hit[0],
-                            sixteenth: hit[1],
-                            offset: hit[2],
-                            velocity: hit[3] * blend,
-                            drum: drumType
-                        });
-                    }
-                });
-
-                return Array.from(allHits.values());
-            };
-
-            // Blend all drum types
-            const kickHits = blendHits(lowerPattern.kick, upperPattern.kick, 'kick');
-            const snareHits = blendHits(lowerPattern.snare, upperPattern.snare, 'snare');
-            const hihatHits = blendHits(lowerPattern.hihat, upperPattern.hihat, 'hihat');
-            const clapHits = blendHits(lowerPattern.clap, upperPattern.clap, 'clap');
-
-            // Convert to Tone.js format and repeat for pattern length
-            for (let measure = 0; measure < params.patternLength; measure++) {
-                [...kickHits, ...snareHits, ...hihatHits, ...clapHits].forEach(hit => {
-                    blendedPattern.push({
-                        time: `${measure}:${hit.quarter}:${hit.sixteenth}`,
-                        drum: hit.drum,
-                        velocity: Math.min(1.0, hit.velocity)
-                    });
-                });
-            }
-
-            const hiHatExtras = [];
-            const hiHatDensity = mapValue(params.drumRhythm, 0, 1, 0.4, 0.85);
-            const hiHatVelocity = mapValue(params.drumRhythm, 0, 1, 0.35, 0.75);
-            // Deterministic hi-hat pattern based on rhythm value
-            const hiHatSteps = Math.floor(hiHatDensity * params.patternLength * 4);
-            for (let i = 0; i < hiHatSteps; i++) {
-                const totalSteps = params.patternLength * 4;
-                const step = Math.floor((i * totalSteps) / hiHatSteps);
-                const measure = Math.floor(step / 4);
-                const quarter = step % 4;
-                const sixteenth = (i % 2) + 1; // Alternate between 1 and 2
-                const velocityVar = 0.15 * Math.sin(i * 2.5); // Subtle variation
-                hiHatExtras.push({
-                    time: `${measure}:${quarter}:${sixteenth}`,
-                    drum: 'hihat',
-                    velocity: hiHatVelocity + velocityVar * hiHatVelocity
-                });
-            }
-
-            const clapExtras = [];
-            const clapDensity = mapValue(params.drumRhythm, 0, 1, 0.25, 0.65);
-            // Deterministic clap pattern based on rhythm value
-            const clapCount = Math.floor(clapDensity * params.patternLength * 1.5);
-            for (let i = 0; i < clapCount; i++) {
-                const measure = Math.floor((i * params.patternLength) / Math.max(1, clapCount));
-                const quarter = (i % 3) + 1; // Distribute across beats
-                const sixteenth = (i % 2) * 2; // 0 or 2
-                const velocityBase = 0.35 + (0.4 * clapDensity);
-                const velocityVar = 0.1 * Math.sin(i * 3.7);
-                clapExtras.push({
-                    time: `${measure}:${quarter}:${sixteenth}`,
-                    drum: 'clap',
-                    velocity: velocityBase + velocityVar
-                });
-            }
-
-            const basePattern = [...blendedPattern, ...hiHatExtras, ...clapExtras];
-            return addRandomRepeats(basePattern, params);
-        }
-
-        async function generateSoundscape(options = {}) {
-            const { skipFade = false } = options || {};
-            const params = getUIParams();
-            const patternParams = { ...params, patternLength: PATTERN_STRUCTURE_MEASURES };
-            setSynthFilterMixAmount(params.synthFilterMix ?? SYNTH_FILTER_MIX_DEFAULT);
-
-            if (!skipFade && isSetup && masterVolume && !masterVolume.disposed) {
-                const now = Tone.now();
-                masterVolume.volume.cancelScheduledValues(now);
-                masterVolume.volume.setValueAtTime(masterVolume.volume.value, now);
-                masterVolume.volume.linearRampToValueAtTime(SILENCE_DB, now + SOUND_FADE_DURATION);
-                await wait(SOUND_FADE_DURATION * 1000);
-            }
-
-            if (isSetup) {
-                 cleanupAudio(false);
-            }
-
-            loopCounter = 0; // Reset loop counter when regenerating
-            scaleCyclePosition = 0;
-            currentLayerTranspose = params.laag;
-            currentLayerDepth = params.gelaagdheid;
-            currentLayerOffsetSeconds = mapValue(params.layerOffset, 0, 1, 0, 0.6);
-            currentGranularWet = params.granular;
-            currentFundamental = params.fundamental;
-            visualizer.resetSimpleColors();
-
-            recalcBaseHueFromParams(params);
-
-            const mainEnvelope = buildMainSynthEnvelope(params);
-            const layerEnvelope = buildLayerSynthEnvelope(params);
-
-            if (!synth || synth.disposed) {
-                 synth = new Tone.PolySynth(Tone.FMSynth).toDestination();
-            }
-
-            if (!layerSynth || layerSynth.disposed) {
-                 // Create 101-style square wave synth
-                    layerSynth = new Tone.PolySynth(Tone.MonoSynth, {
-                    oscillator: { type: 'square' },
-                    envelope: layerEnvelope
-                 }).toDestination();
-            }
-
-            if (!kickDrum || kickDrum.disposed) {
-                // Create 909-style kick drum
-                kickDrum = new Tone.MembraneSynth({
-                    pitchDecay: 0.05,
-                    octaves: 10,
-                    oscillator: { type: 'sine' },
-                    envelope: {
-                        attack: 0.001,
-                        decay: 0.4,
-                        sustain: 0.01,
-                        release: 1.4,
-                        attackCurve: 'exponential'
-                    }
-                }).toDestination();
-            }
-
-            if (!snareDrum || snareDrum.disposed) {
-                // Create 909-style snare drum
-                snareDrum = new Tone.NoiseSynth({
-                    noise: { type: 'white' },
-                    envelope: {
-                        attack: 0.001,
-                        decay: 0.2,
-                        sustain: 0.0,
-                        release: 0.2
-                    }
-                }).toDestination();
-            }
-
-            if (!hihatDrum || hihatDrum.disposed) {
-                // Softer noise-based hi-hat
-                hihatDrum = new Tone.NoiseSynth({
-                    noise: { type: 'white' },
-                    envelope: {
-                        attack: 0.001,
-                        decay: 0.11,
-                        sustain: 0,
-                        release: 0.05
-                    }
-                }).toDestination();
-            }
-
-            if (!clapDrum || clapDrum.disposed) {
-                // Distinct clap with a longer, filtered tail
-                clapDrum = new Tone.NoiseSynth({
-                    noise: { type: 'pink' },
-                    envelope: {
-                        attack: 0.001,
-                        decay: 0.25,
-                        sustain: 0,
-                        release: 0.25,
-                        attackCurve: 'linear'
-                    }
-                }).toDestination();
-            }
-
-            const harmonicity = mapValue(params.fmTimbre, 0, 20, 1, 4);
-            const modulationIndex = mapValue(params.fmTimbre, 0, 20, 0, 20);
-
-            synth.set({
-                harmonicity,
-                modulationIndex,
-                envelope: mainEnvelope,
-                modulationEnvelope: {
-                    attack: 0.01,
-                    decay: params.fmModDepth,
-                    sustain: 1,
-                    release: 0.5
-                }
-            });
-
-            // Update layer synth envelope based on main synth params
-            updateLayerSynthEnvelope(params);
-            applySpreadDetune(params.noteSpread);
-            applyFlutterWowSettings(params);
-
-            reverb = new Tone.Reverb({ decay: 8, preDelay: 0.01, wet: params.reverbWet }).toDestination();
-            delays = Array.from({ length: Math.max(0, Math.round(params.nDelayChains)) }, () =>
-                new Tone.FeedbackDelay({
-                    delayTime: Random.select(["8n", "4n.", "4n"]),
-                    feedback: Random.float(0.2, 0.5),
-                    wet: Random.float(0.2, 0.45)
-                }).connect(reverb)
-            );
-            updateDelayWetness(params.nDelayChains);
-            masterVolume = new Tone.Volume(DEFAULT_MASTER_DB);
-            masterVolume.volume.value = SILENCE_DB;
-            masterVolume.volume.linearRampToValueAtTime(DEFAULT_MASTER_DB, Tone.now() + SOUND_FADE_DURATION);
-
-            drumBus = new Tone.Volume(DEFAULT_MASTER_DB).toDestination();
-            lowTap = new Tone.Gain(1);
-            if (typeof window !== 'undefined') {
-                window.lowTapNode = lowTap;
-            }
-            setDrumMuteState(drumsMuted, true);
-
-            // Layer filter and depth (simple low-pass for the layer voice)
-            const layerFilterFreq = mapLayerFilterValue(params.layerFilter);
-            layerFilter = new Tone.Filter(layerFilterFreq, 'lowpass', -24);
-            layerVolume = new Tone.Volume(mapValue(params.gelaagdheid, 0, 1, -72, -18));
-            applyLayerLowpassCenter(layerFilterFreq);
-
-            // Synth filter (Three Sisters SVF) for the main klank path
-            const liveSynthFilterSettings = pendingSynthFilterSettings || readSynthFilterSettingsFromUI();
-            const synthFilterFrequency = Math.min(Math.max(liveSynthFilterSettings.frequency ?? SYNTH_FILTER_DEFAULT_FREQUENCY, SYNTH_FILTER_FREQUENCY_MIN), SYNTH_FILTER_FREQUENCY_MAX);
-            const synthFilterSpan = clampSynthFilterSpan(liveSynthFilterSettings.span ?? SYNTH_FILTER_DEFAULT_SPAN);
-            const synthFilterQ = Math.min(Math.max(liveSynthFilterSettings.q ?? SYNTH_FILTER_DEFAULT_Q, SYNTH_FILTER_Q_MIN), SYNTH_FILTER_Q_MAX);
-            let filterNode = null;
-            synthFilterIsSVF = false;
-            const supportsSVF = canUseThreeSistersSVF();
-            if (supportsSVF) {
-                try {
-                    filterNode = new ThreeSistersSVF({
-                        center: synthFilterFrequency,
-                        span: synthFilterSpan,
-                        q: synthFilterQ,
-                        feedback: SYNTH_FILTER_DEFAULT_FEEDBACK
-                    });
-                    await filterNode.ready();
-                    synthFilterIsSVF = true;
-                } catch (error) {
-                    console.warn('ThreeSistersSVF init failed, falling back to simple filter:', error && error.message ? error.message : error);
-                    if (filterNode) {
-                        filterNode.dispose();
-                        filterNode = null;
-                    }
-                    synthFilterIsSVF = false;
-                }
-            }
-            if (!filterNode) {
-                filterNode = new SimpleThreeBandFilter({
-                    center: synthFilterFrequency,
-                    span: synthFilterSpan,
-                    q: synthFilterQ
-                });
-                synthFilterIsSVF = false;
-            }
-            synthFilter = filterNode;
-            applySynthFilterSettings(pendingSynthFilterSettings);
-
-            // Drum volume controls
-            kickVolume = new Tone.Volume(mapValue(params.kickVol, 0, 1, KICK_VOLUME_DB_RANGE.min, KICK_VOLUME_DB_RANGE.max));
-            snareVolume = new Tone.Volume(mapValue(params.snareVol, 0, 1, DRUM_VOLUME_DB_RANGE.min, DRUM_VOLUME_DB_RANGE.max));
-            hihatVolume = new Tone.Volume(mapValue(params.hihatVol, 0, 1, HIHAT_DB_RANGE.min, HIHAT_DB_RANGE.max));
-            clapVolume = new Tone.Volume(mapValue(params.clapVol, 0, 1, CLAP_DB_RANGE.min, CLAP_DB_RANGE.max));
-            createDrumFilters();
-
-            synth.connect(masterVolume);
-            refreshSynthRouting();
-
-            layerSynth.connect(layerFilter);
-            layerFilter.connect(layerVolume);
-            layerVolume.connect(reverb);
-            delays.forEach(delay => layerVolume.connect(delay));
-            if (lowTap) {
-                layerVolume.connect(lowTap);
-            }
-
-            // Connect drums to their dedicated filters and bus
-            wireDrumRouting();
-
-            currentPatternStructure = generatePatternStructure(patternParams);
-            const melodicEvents = renderPatternStructure(currentPatternStructure, patternParams);
-            patternPlaybackLength = Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, params.patternLength));
-            if (notePart) {
-                notePart.stop(0).dispose();
-                notePart = null;
-            }
-            notePart = createMelodicPart(melodicEvents, params);
-
-            const grainNotes = generateGranularNotes(patternParams);
-            rebuildGranularPart(patternParams, grainNotes);
-
-            // Create drum patterns based on rhythm slider
-            updateDrumPart(patternParams);
-
-            updatePatternPlaybackLength(params.patternLength);
-
-            Tone.Transport.bpm.value = params.bpm;
-        }
-
-        // --- Pattern Generation ---
-        function beatToTimeString(beat) {
-            const measure = Math.floor(beat / 4);
-            const quarter = Math.floor(beat % 4);
-            const sixteenth = Math.floor((beat * 4) % 4);
-            return `${measure}:${quarter}:${sixteenth}`;
-        }
-
-        function generatePatternStructure(params) {
-            const structure = [];
-            const rhythmicMotifs = [[0.5, 0.25, 0.25], [0.25, 0.25, 0.5], [1], [0.5, 0.5], [0.25, 0.75]];
-            const totalBeats = PATTERN_STRUCTURE_MEASURES * 4;
-            const degreeRange = {
-                min: -Math.max(1, params.noteSpread) * 3,
-                max: Math.max(4, params.noteSpread * 4)
-            };
-            let currentBeat = 0;
-
-            const pickDegree = () => Random.int(degreeRange.min, degreeRange.max);
-
-            while (currentBeat < totalBeats) {
-                const motif = Random.select(rhythmicMotifs);
-                for (const durationInBeats of motif) {
-                    if (currentBeat >= totalBeats) break;
-                    if (!Random.coinToss(0.65)) {
-                        currentBeat += durationInBeats;
-                        continue;
-                    }
-
-                    const noteTime = beatToTimeString(currentBeat);
-                    if (Random.coinToss(0.15)) {
-                        const chordRoot = pickDegree();
-                        const chordSize = Random.int(2, 3);
-                        const chordDegrees = [];
-                        for (let j = 0; j < chordSize; j++) {
-                            chordDegrees.push(chordRoot + j * 2);
-                        }
-                        structure.push({
-                            time: noteTime,
-                            duration: '16n',
-                            velocity: Random.float(0.1, 0.45),
-                            degrees: chordDegrees
-                        });
-                    } else {
-                        structure.push({
-                            time: noteTime,
-                            duration: Random.select(['8n', '4n']),
-                            velocity: Random.float(0.2, 0.7),
-                            degrees: [pickDegree()]
-                        });
-                    }
-                    currentBeat += durationInBeats;
-                }
-            }
-            return structure;
-        }
-
-        function renderPatternStructure(structure, params) {
-            if (!structure || !structure.length) return [];
-            const scaleSemitones = params.scaleDefinition.semitones;
-            const events = [];
-            structure.forEach(event => {
-                const degrees = event.degrees || [];
-                degrees.forEach(degree => {
-                    events.push({
-                        time: event.time,
-                        duration: event.duration,
-                        velocity: event.velocity,
-                        semitoneOffset: degreeToSemitone(degree, scaleSemitones)
-                    });
-                });
-            });
-            return events;
-        }
-
-        function createMelodicPart(events, params) {
-            if (!events || !events.length) return null;
-            const part = new Tone.Part((time, value) => {
-                if (Tone.Transport.state !== 'started') return;
-
-                const noteDuration = value.duration || '8n';
-                const fundamental = Math.max(10, currentFundamental);
-                const semitoneOffset = value.semitoneOffset || 0;
-                const finalNote = fundamental * Math.pow(2, semitoneOffset / 12);
-
-                if (synth && !synth.disposed) {
-                    synth.triggerAttackRelease(finalNote, noteDuration, time, value.velocity);
-                    visualizer.triggerGridPattern(value.velocity, false, false, 0);
-                }
-
-                if (currentLayerDepth > 0 && layerSynth && !layerSynth.disposed) {
-                    const transposeMultiplier = Math.pow(2, currentLayerTranspose / 12);
-                    const offsetTime = time + currentLayerOffsetSeconds;
-                    layerSynth.triggerAttackRelease(finalNote * transposeMultiplier, noteDuration, offsetTime, value.velocity * currentLayerDepth);
-                    visualizer.triggerGridPattern(value.velocity * currentLayerDepth, false, true, currentLayerTranspose);
-                }
-            }, events).start(0);
-
-            part.loop = true;
-            part.loopEnd = `${patternPlaybackLength}m`;
-            return part;
-        }
-
-        function rebuildMelodicPart(params = null) {
-            if (!isSetup || !currentPatternStructure) return;
-            const activeParams = params || getUIParams();
-            const events = renderPatternStructure(currentPatternStructure, activeParams);
-            if (notePart) {
-                notePart.stop(0).dispose();
-                notePart = null;
-            }
-            notePart = createMelodicPart(events, activeParams);
-        }
-
-        function recalcBaseHueFromParams(params) {
-            const fundamentalHue = mapValue(params.fundamentalMidi, 36, 84, 30, 330);
-            const timbreShift = mapValue(params.fmTimbre, 0, 20, 0, 120);
-            const scaleHue = mapValue(params.scaleIndex, 0, SCALE_DEFINITIONS.length - 1, 0, 360);
-            visualizer.setBaseHue((fundamentalHue + timbreShift + scaleHue) % 360);
-        }
-
-        function handleFundamentalChange() {
-            const params = getUIParams();
-            currentFundamental = params.fundamental;
-            recalcBaseHueFromParams(params);
-        }
-
-        function handleScaleChange() {
-            const params = getUIParams();
-            recalcBaseHueFromParams(params);
-            if (currentPatternStructure) {
-                rebuildMelodicPart(params);
-            }
-            refreshGranularLayerFromUI();
-        }
-
-        function scheduleLoopAutomation(patternLength) {
-            if (automationLoopEvent !== null) {
-                Tone.Transport.clear(automationLoopEvent);
-            }
-            const loopDuration = `${patternLength}m`;
-            automationLoopEvent = Tone.Transport.scheduleRepeat((time) => {
-                loopCounter++;
-
-                const automationTiming = parseInt(document.getElementById('automationTiming').value);
-                if (automationTiming > 0 && loopCounter % automationTiming === 0) {
-                    Tone.Draw.schedule(() => {
-                        automateParameter();
-                    }, time);
-                }
-                Tone.Draw.schedule(() => {
-                    handleScaleCycle(loopCounter);
-                }, time);
-            }, loopDuration, loopDuration);
-        }
-
-        function updatePatternPlaybackLength(length) {
-            const clamped = Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, parseInt(length, 10) || 1));
-            patternPlaybackLength = clamped;
-            if (!notePart && !granularPart && !drumPart) return;
-            if (notePart) {
-                notePart.loopEnd = `${clamped}m`;
-            }
-            if (granularPart) {
-                granularPart.loopEnd = `${clamped}m`;
-            }
-            if (drumPart) {
-                drumPart.loopEnd = `${clamped}m`;
-            }
-            loopCounter = 0;
-            scaleCyclePosition = 0;
-            scheduleLoopAutomation(clamped);
-        }
-
-        function collectScaleCycleSteps() {
-            return [
-                document.getElementById('scaleCycleStep1').value,
-                document.getElementById('scaleCycleStep2').value,
-                document.getElementById('scaleCycleStep3').value,
-                document.getElementById('scaleCycleStep4').value
-            ].filter(step => NOTE_NAMES.includes(step));
-        }
-
-        function applyScaleCycleStep(note) {
-            if (!note) return;
-            const noteSelect = document.getElementById('fundamentalNote');
-            if (!noteSelect) return;
-            noteSelect.value = note;
-            refreshSliderDisplay('fundamentalNote');
-            handleFundamentalChange();
-            updateStateDisplay();
-        }
-
-        function handleScaleCycle(currentLoop) {
-            if (!isSetup) return;
-            const interval = parseInt(document.getElementById('scaleCycleInterval').value);
-            if (!interval || interval <= 0) return;
-            if (currentLoop % interval !== 0) return;
-            const steps = collectScaleCycleSteps();
-            if (!steps.length) return;
-            const stepIndex = scaleCyclePosition % steps.length;
-            const note = steps[stepIndex];
-            scaleCyclePosition = (scaleCyclePosition + 1) % steps.length;
-            applyScaleCycleStep(note);
-        }
-
-        function generateGranularNotes(params) {
-            // Derive granular behavior from mix + texture controls
-            const texture = Math.max(0, Math.min(1, params.granularTexture ?? 0.5));
-            const grainDensity = Math.max(params.granular, 0.2);
-            const grainSize = mapValue(texture, 0, 1, 0.18, 0.015); // Higher texture = shorter grains
-            const grainSpray = mapValue(texture, 0, 1, 0.02, 0.45);
-
-            const grainNotes = [];
-            const totalBeats = params.patternLength * 4;
-            const scaleSemitones = params.scaleDefinition.semitones;
-            const scaleRatios = scaleSemitones.map(semi => Math.pow(2, semi / 12));
-            const octaveChoices = {
-                1: [1],
-                2: [0.5, 1],
-                3: [0.5, 1, 2],
-                4: [0.25, 0.5, 1, 2],
-                5: [0.25, 0.5, 1, 2, 4]
-            };
-            const octaves = octaveChoices[params.noteSpread];
-
-            // Calculate number of grains based on density
-            const baseGrainCount = totalBeats * 2 * grainDensity;
-            const numGrains = Math.max(MIN_GRAIN_COUNT, Math.min(Math.floor(baseGrainCount), MAX_GRAIN_COUNT));
-
-            for (let i = 0; i < numGrains; i++) {
-                // Random position within the pattern
-                let beat = Random.float(0, totalBeats);
-
-                // Apply spray (randomization)
-                beat += Random.float(-grainSpray * 0.5, grainSpray * 0.5);
-                beat = Math.max(0, Math.min(totalBeats - 0.01, beat));
-
-                const measure = Math.floor(beat / 4);
-                const quarter = Math.floor(beat % 4);
-                const sixteenth = Math.floor((beat * 4) % 4);
-                const noteTime = `${measure}:${quarter}:${sixteenth}`;
-
-                // Grain pitch with spray variation
-                const baseRatio = Random.select(scaleRatios);
-                const octave = Random.select(octaves);
-                const pitchSpray = grainSpray * Random.float(-0.05, 0.05);
-                const ratio = baseRatio * octave * (1 + pitchSpray);
-
-                grainNotes.push({
-                    time: noteTime,
-                    ratio,
-                    duration: `${grainSize}n`,
-                    velocity: Random.float(0.05, 0.15), // Quieter grains
-                    isGrain: true
-                });
-            }
-
-            return grainNotes;
-        }
-
-        function rebuildGranularPart(params, providedNotes = null) {
-            const sourceParams = params
-                ? { ...params, patternLength: PATTERN_STRUCTURE_MEASURES }
-                : { ...getUIParams(), patternLength: PATTERN_STRUCTURE_MEASURES };
-            if (granularPart) {
-                granularPart.stop(0).dispose();
-                granularPart = null;
-            }
-
-            const grainNotes = providedNotes || generateGranularNotes(sourceParams);
-            if (!grainNotes || !grainNotes.length) return;
-
-            granularPart = new Tone.Part((time, value) => {
-                if (Tone.Transport.state !== 'started' || currentGranularWet <= 0) return;
-                const noteDuration = value.duration || '16n';
-                const fundamental = Math.max(10, currentFundamental);
-                const ratio = value.ratio ?? 1;
-                const finalNote = ratio * fundamental;
-                const wetVelocity = (value.velocity || 0.1) * currentGranularWet;
-
-                if (synth && !synth.disposed && wetVelocity > 0) {
-                    synth.triggerAttackRelease(finalNote, noteDuration, time, wetVelocity);
-                    visualizer.triggerGridPattern(wetVelocity, true, false, 0);
-                }
-            }, grainNotes).start(0);
-
-            granularPart.loop = true;
-            granularPart.loopEnd = `${patternPlaybackLength}m`;
-        }
-
-        function refreshGranularLayerFromUI() {
-            if (!isSetup) return;
-            const params = getUIParams();
-            rebuildGranularPart(params);
-        }
-
-        function getUIParams() {
-            const fundamentalNote = document.getElementById('fundamentalNote').value;
-            const fundamentalOctave = parseInt(document.getElementById('fundamentalOctave').value);
-            const scaleIndex = clampScaleIndex(parseInt(document.getElementById('gevoel').value));
-            const scaleCycleSteps = [
-                document.getElementById('scaleCycleStep1').value,
-                document.getElementById('scaleCycleStep2').value,
-                document.getElementById('scaleCycleStep3').value,
-                document.getElementById('scaleCycleStep4').value
-            ];
-
-            return {
-                fmTimbre: parseFloat(document.getElementById('fmTimbre').value),
-                fmModDepth: parseFloat(document.getElementById('fmModDepth').value),
-                attackTime: parseFloat(document.getElementById('attackTime').value),
-                decayTime: parseFloat(document.getElementById('decayTime').value),
-                sustainLevel: parseFloat(document.getElementById('sustainLevel').value),
-                releaseTime: parseFloat(document.getElementById('releaseTime').value),
-                laag: parseInt(document.getElementById('laag').value),
-                gelaagdheid: parseFloat(document.getElementById('gelaagdheid').value),
-                layerFilter: parseFloat(document.getElementById('layerFilterControl').value),
-                layerOffset: parseFloat(document.getElementById('layerOffset').value),
-                layerAttack: parseFloat(document.getElementById('layerAttack').value),
-                layerDecay: parseFloat(document.getElementById('layerDecay').value),
-                layerSustain: parseFloat(document.getElementById('layerSustain').value),
-                layerRelease: parseFloat(document.getElementById('layerRelease').value),
-                synthFilterFrequency: parseFloat(document.getElementById('synthFilterFrequency').value),
-                synthFilterSpan: parseFloat(document.getElementById('synthFilterSpan').value),
-                synthFilterQ: parseFloat(document.getElementById('synthFilterQ').value),
-                synthFilterMix: parseFloat(document.getElementById('synthFilterMix').value) / 100,
-                fundamentalNote,
-                fundamentalOctave,
-                fundamental: noteToFrequency(fundamentalNote, fundamentalOctave),
-                fundamentalMidi: noteNameToMidi(fundamentalNote, fundamentalOctave),
-                scaleIndex,
-                scaleDefinition: getScaleDefinition(scaleIndex),
-                gevoel: scaleIndex,
-                noteSpread: parseInt(document.getElementById('noteSpread').value),
-                patternLength: parseInt(document.getElementById('patternLength').value),
-                nDelayChains: parseInt(document.getElementById('nDelayChains').value),
-                bpm: parseInt(document.getElementById('bpm').value),
-                reverbWet: parseFloat(document.getElementById('reverb').value),
-                granular: parseFloat(document.getElementById('granular').value),
-                granularTexture: parseFloat(document.getElementById('granularTexture').value),
-                automation: parseFloat(document.getElementById('automation').value),
-                automationTiming: parseInt(document.getElementById('automationTiming').value),
-                automationSpeed: parseFloat(document.getElementById('automationSpeed').value),
-                scaleCycleInterval: parseInt(document.getElementById('scaleCycleInterval').value),
-                scaleCycleSteps,
-                flutterDepth: parseFloat(document.getElementById('flutterDepth').value),
-                flutterRate: parseFloat(document.getElementById('flutterRate').value),
-                drumRhythm: drumRhythmSlider ? parseFloat(drumRhythmSlider.value) : DEFAULT_DRUM_RHYTHM,
-                kickVol: parseFloat(document.getElementById('kickVolume').value),
-                snareVol: parseFloat(document.getElementById('snareVolume').value),
-                hihatVol: parseFloat(document.getElementById('hihatVolume').value),
-                clapVol: parseFloat(document.getElementById('clapVolume').value),
-                kickFilter: parseFloat(document.getElementById('kickFilter').value),
-                snareFilter: parseFloat(document.getElementById('snareFilter').value),
-                hihatFilter: parseFloat(document.getElementById('hihatFilter').value),
-                clapFilter: parseFloat(document.getElementById('clapFilter').value),
-                kickChance: parseFloat(document.getElementById('kickChance').value) / 100,
-                snareChance: parseFloat(document.getElementById('snareChance').value) / 100,
-                hihatChance: parseFloat(document.getElementById('hihatChance').value) / 100,
-                clapChance: parseFloat(document.getElementById('clapChance').value) / 100,
-                kickRepeat: parseFloat(document.getElementById('kickRepeat').value),
-                snareRepeat: parseFloat(document.getElementById('snareRepeat').value),
-                hihatRepeat: parseFloat(document.getElementById('hihatRepeat').value),
-                clapRepeat: parseFloat(document.getElementById('clapRepeat').value)
-            };
-        }
-
-        function buildMainSynthEnvelope(params) {
-            return {
-                attack: params.attackTime,
-                decay: params.decayTime,
-                sustain: params.sustainLevel,
-                release: params.releaseTime
-            };
-        }
-
-        function buildLayerSynthEnvelope(params) {
-            return {
-                attack: params.layerAttack,
-                decay: params.layerDecay,
-                sustain: params.layerSustain,
-                release: params.layerRelease
-            };
-        }
-
-        function updateMainSynthEnvelope(params = null) {
-            if (!synth || synth.disposed) return;
-            const source = params || getUIParams();
-            synth.set({ envelope: buildMainSynthEnvelope(source) });
-        }
-
-        function updateLayerSynthEnvelope(params = null) {
-            if (!layerSynth || layerSynth.disposed) return;
-            const source = params || getUIParams();
-            layerSynth.set({ envelope: buildLayerSynthEnvelope(source) });
-        }
-
         // --- Auto-start on first click ---
         let hasStarted = false;
         const clickToStart = document.getElementById('clickToStart');
@@ -1782,39 +261,29 @@ export function initAudioApp() {
                 controlsPanel.classList.add('hidden');
                 syncPanelToggleIcons();
                 // Auto-start the music
-                await setupAndPlay();
+                await engine.play();
             }
         }, { once: true });
 
         // --- Event Handlers ---
         playPauseButton.addEventListener('click', async () => {
-            if (!isSetup) {
+            if (!engine.isReady()) {
                 if (uiContainer.classList.contains('is-centered')) {
                     uiContainer.classList.remove('is-centered');
                     controlsPanel.classList.add('hidden');
                     syncPanelToggleIcons();
                 }
-                await setupAndPlay();
-            } else if (Tone.Transport.state === 'started') {
-                Tone.Transport.pause();
-                playPauseButton.textContent = 'Play';
+                await engine.play();
+            } else if (engine.getTransportState() === 'started') {
+                engine.pause();
             } else {
-                Tone.Transport.start();
-                playPauseButton.textContent = 'Pause';
+                await engine.play();
             }
         });
 
         stopButton.addEventListener('click', () => {
-            if (!isSetup) return;
-            Tone.Transport.stop();
-            if (automationLoopEvent !== null) {
-                Tone.Transport.clear(automationLoopEvent);
-                automationLoopEvent = null;
-            }
-            cleanupAudio(true);
-            isSetup = false;
-            playPauseButton.textContent = 'Play';
-            loopCounter = 0; // Reset loop counter on stop
+            if (!engine.isReady()) return;
+            engine.stop();
 
             if (!uiContainer.classList.contains('is-centered')) {
                 uiContainer.classList.add('is-centered');
@@ -1829,6 +298,8 @@ export function initAudioApp() {
             'layerAttack', 'layerDecay', 'layerSustain', 'layerRelease',
             'synthFilterFrequency', 'synthFilterSpan', 'synthFilterQ', 'synthFilterMix',
             'fundamentalNote', 'fundamentalOctave', 'gevoel', 'noteSpread', 'patternLength',
+            'grooveTemplate', 'swingAmount',
+            'melodyStyle', 'melodyStepLimit', 'harmonyMode', 'chordDensity', 'chordColor',
             'nDelayChains', 'bpm', 'reverb', 'granular', 'granularTexture',
             'automation', 'automationTiming', 'automationSpeed', 'scaleCycleInterval', 'drumRhythm',
             'flutterDepth', 'flutterRate',
@@ -1836,7 +307,9 @@ export function initAudioApp() {
             'clapVolume', 'kickFilter', 'snareFilter', 'hihatFilter',
             'clapFilter', 'kickChance', 'snareChance', 'hihatChance',
             'clapChance', 'kickRepeat', 'snareRepeat', 'hihatRepeat',
-            'clapRepeat'
+            'clapRepeat', 'drumGenerator',
+            'kickHits', 'kickSteps', 'kickRotation', 'snareHits', 'snareSteps', 'snareRotation',
+            'hihatHits', 'hihatSteps', 'hihatRotation', 'clapHits', 'clapSteps', 'clapRotation'
         ];
 
         function refreshSliderDisplay(id, decimalsOverride = null) {
@@ -1849,7 +322,9 @@ export function initAudioApp() {
             const display = document.getElementById(`${id}Value`);
             if (!display) return;
             if (id === 'gevoel') {
-                const scale = getScaleDefinition(parseInt(slider.value, 10));
+                // A custom tuning takes the place of the slider's scale.
+                const { customScale } = engine.getParams();
+                const scale = customScale || getScaleDefinition(parseInt(slider.value, 10));
                 display.textContent = scale.name;
                 return;
             }
@@ -1871,447 +346,178 @@ export function initAudioApp() {
             refreshSliderDisplay(id, decimals);
         }
 
-        function syncSliderDisplays(ids = sliderIds) {
-            ids.forEach(id => refreshSliderDisplay(id));
-        }
-
-        function noteNameToIndex(note) {
-            return NOTE_NAMES.indexOf(note);
+        function getControlBinding(id) {
+            return CONTROL_PARAM_BINDINGS[id] || { param: id };
         }
 
-        function midiToFrequency(midi) {
-            return 440 * Math.pow(2, (midi - 69) / 12);
+        function findControlIdForParam(name) {
+            return sliderIds.find(id => getControlBinding(id).param === name) || null;
         }
 
-        function noteNameToMidi(note, octave) {
-            const noteIndex = Math.max(0, noteNameToIndex(note));
-            return ((octave + 1) * 12) + noteIndex;
+        function syncControlFromEngine(id, params = engine.getParams()) {
+            const { param, scale } = getControlBinding(id);
+            const value = params[param];
+            if (value === undefined) return;
+            updateSlider(id, scale ? Math.round(value * scale) : value);
         }
 
-        function noteToFrequency(note, octave) {
-            const midi = noteNameToMidi(note, octave);
-            return midiToFrequency(midi);
-        }
-
-        function clampScaleIndex(value) {
-            return Math.max(0, Math.min(SCALE_DEFINITIONS.length - 1, Math.round(value)));
-        }
-
-        function getScaleDefinition(index) {
-            return SCALE_DEFINITIONS[clampScaleIndex(index)];
-        }
-
-        function degreeToSemitone(degree, scaleSemitones) {
-            if (!scaleSemitones || !scaleSemitones.length) return degree * 2;
-            const len = scaleSemitones.length;
-            const normalizedDegree = Math.floor(degree);
-            const octave = Math.floor(normalizedDegree / len);
-            const idx = ((normalizedDegree % len) + len) % len;
-            return scaleSemitones[idx] + octave * 12;
+        function syncScaleCycleSelects(params = engine.getParams()) {
+            SCALE_CYCLE_STEP_IDS.forEach((id, idx) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+                select.value = params.scaleCycleSteps[idx] || '';
+            });
         }
 
-        function randomizeParameters(initialLoad = false) {
-            // Initial load uses shorter attack (0-0.2), randomize button uses wider range (0-0.9)
-            const attackRange = initialLoad ? Random.float(0.0, 0.2) : Random.float(0.0, 0.9);
-            updateSlider('attackTime', attackRange, 2);
-            updateSlider('decayTime', Random.float(0.05, 2.5), 2);
-            updateSlider('sustainLevel', Random.float(0.1, 0.9), 2);
-            updateSlider('releaseTime', Random.float(0.1, 5.0), 1);
-            updateSlider('layerAttack', Random.float(0.01, 0.6), 2);
-            updateSlider('layerDecay', Random.float(0.1, 2.0), 2);
-            updateSlider('layerSustain', Random.float(0.1, 0.9), 2);
-            updateSlider('layerRelease', Random.float(0.2, 4.5), 1);
-            const randomNote = Random.select(NOTE_NAMES);
-            const randomOctave = Random.int(2, 5);
-            const newFmTimbre = parseFloat(document.getElementById('fmTimbre').value);
-            const newScaleIndex = Random.int(0, SCALE_DEFINITIONS.length - 1);
-            updateSlider('fundamentalNote', randomNote);
-            updateSlider('fundamentalOctave', randomOctave, 0);
-            updateSlider('gevoel', newScaleIndex, 0);
-            updateSlider('nDelayChains', Random.int(0, 3), 0);
-            updateSlider('reverb', Random.float(0.0, 0.5), 2);
-            updateSlider('bpm', Random.int(70, 150), 0);
-            updateSlider('patternLength', Random.select([2, 4, 8, 16]), 0);
-            updateSlider('automationSpeed', Random.float(0.8, 3.5), 1);
-            updateSlider('drumRhythm', Random.float(0, 1), 2);
-            updateSlider('layerFilterControl', Random.float(0.2, 0.85), 2);
-            updateSlider('layerOffset', Random.float(0, 0.7), 2);
-            updateSlider('synthFilterFrequency', Random.float(200, 3200), 0);
-            updateSlider('synthFilterSpan', Random.float(80, 1200), 0);
-            updateSlider('synthFilterQ', Random.float(6, 18), 1);
-            const blendPercent = Math.round(Random.float(60, 100));
-            updateSlider('synthFilterMix', blendPercent, 0);
-            setSynthFilterMixAmount(blendPercent / 100);
-            updateSlider('granularTexture', Random.float(0.2, 0.9), 2);
-            updateSlider('flutterDepth', Random.float(0, 0.6), 2);
-            updateSlider('flutterRate', Random.float(0.1, 0.9), 2);
-
-            const randomMidi = noteNameToMidi(randomNote, randomOctave);
-            const fundamentalHue = mapValue(randomMidi, 36, 84, 30, 330);
-            const timbreShift = mapValue(newFmTimbre, 0, 10, 0, 120);
-            const gevoelHue = mapValue(newScaleIndex, 0, SCALE_DEFINITIONS.length - 1, 0, 360);
-            visualizer.setBaseHue((fundamentalHue + timbreShift + gevoelHue) % 360);
-            syncSliderDisplays();
+        function syncControlsFromEngine() {
+            const params = engine.getParams();
+            sliderIds.forEach(id => syncControlFromEngine(id, params));
+            syncScaleCycleSelects(params);
+            Object.keys(drumFilterBypassButtons).forEach(updateDrumFilterBypassButton);
         }
 
         randomizeButton.addEventListener('click', () => {
-            randomizeParameters(false); // Use wider attack range
-            startAutomation();
-            if (isSetup) {
-                generateSoundscape();
-            }
+            engine.randomize(); // Use wider attack range
         });
 
         // --- Real-time Parameter Updates ---
-        let regenerateTimeout = null;
-        let regenerateSkipFade = false;
-        const scheduleRegeneration = (skipFade = false) => {
-            if (skipFade) regenerateSkipFade = true;
-            if (regenerateTimeout) clearTimeout(regenerateTimeout);
-            regenerateTimeout = setTimeout(() => {
-                generateSoundscape({ skipFade: regenerateSkipFade });
-                regenerateSkipFade = false;
-            }, 0);
-        };
-
         sliderIds.forEach(id => {
             const slider = document.getElementById(id);
-            const display = document.getElementById(`${id}Value`);
-
-            const updateFunction = (e) => {
-                const value = e.target.value;
-                if (id === 'drumRhythm') {
-                    updateRhythmDisplay(parseFloat(value));
-                } else {
-                    refreshSliderDisplay(id);
-                }
-
-                if (id === 'synthFilterMix') {
-                    setSynthFilterMixAmount(parseFloat(value) / 100);
-                }
-
-                if (id === 'synthFilterFrequency' || id === 'synthFilterSpan' || id === 'synthFilterQ') {
-                    applySynthFilterSettings(readSynthFilterSettingsFromUI());
-                }
+            const { param, scale } = getControlBinding(id);
 
-                if (isSetup) {
-                    switch(id) {
-                        case 'fmTimbre': {
-                            if (synth) synth.set({ modulationIndex: mapValue(value, 0, 10, 0, 20) });
-                            // Update hue based on fmTimbre
-                            const baseNote = document.getElementById('fundamentalNote').value;
-                            const baseOctave = parseInt(document.getElementById('fundamentalOctave').value);
-                            const fundamentalHue = mapValue(noteNameToMidi(baseNote, baseOctave), 36, 84, 30, 330);
-                            const timbreShift = mapValue(value, 0, 20, 0, 120);
-                            visualizer.setBaseHue((fundamentalHue + timbreShift) % 360);
-                            break;
-                        }
-                        case 'fmModDepth':
-                             if (synth) synth.set({ modulationEnvelope: { decay: value } });
-                            break;
-                        case 'attackTime':
-                        case 'decayTime':
-                        case 'sustainLevel':
-                        case 'releaseTime':
-                            updateMainSynthEnvelope();
-                            break;
-                        case 'layerAttack':
-                        case 'layerDecay':
-                        case 'layerSustain':
-                        case 'layerRelease':
-                            updateLayerSynthEnvelope();
-                            break;
-                        case 'laag':
-                            currentLayerTranspose = parseInt(value);
-                            break;
-                        case 'gelaagdheid':
-                            // Update filter and volume in real-time
-                            if (layerVolume) {
-                                layerVolume.volume.value = mapValue(value, 0, 1, -72, -18);
-                            }
-                            currentLayerDepth = parseFloat(value);
-                            break;
-                        case 'layerFilterControl': {
-                            applyLayerLowpassCenter(mapLayerFilterValue(value));
-                            break;
-                        }
-                        case 'layerOffset': {
-                            currentLayerOffsetSeconds = mapValue(value, 0, 1, 0, 0.6);
-                            break;
-                        }
-                        case 'synthFilterMix':
-                            break;
-                        case 'reverb':
-                            if (reverb) reverb.wet.value = value;
-                            break;
-                        case 'drumRhythm':
-                            updateDrumPart(getUIParams());
-                            break;
-                        case 'kickRepeat':
-                        case 'snareRepeat':
-                        case 'hihatRepeat':
-                        case 'clapRepeat':
-                            if (isSetup) {
-                                const params = getUIParams();
-                                updateDrumPart(params);
-                            }
-                            break;
-                        case 'kickFilter':
-                        case 'snareFilter':
-                        case 'hihatFilter':
-                        case 'clapFilter':
-                            updateDrumFilterFrequency(id.replace('Filter', ''));
-                            break;
-                        case 'kickChance':
-                        case 'snareChance':
-                        case 'hihatChance':
-                        case 'clapChance':
-                            break;
-                        case 'kickVolume':
-                            if (kickVolume) {
-                                kickVolume.volume.value = mapValue(value, 0, 1, KICK_VOLUME_DB_RANGE.min, KICK_VOLUME_DB_RANGE.max);
-                            }
-                            break;
-                        case 'snareVolume':
-                            if (snareVolume) {
-                                snareVolume.volume.value = mapValue(value, 0, 1, DRUM_VOLUME_DB_RANGE.min, DRUM_VOLUME_DB_RANGE.max);
-                            }
-                            break;
-                        case 'hihatVolume':
-                            if (hihatVolume) {
-                                hihatVolume.volume.value = mapValue(value, 0, 1, HIHAT_DB_RANGE.min, HIHAT_DB_RANGE.max);
-                            }
-                            break;
-                        case 'clapVolume':
-                            if (clapVolume) {
-                                clapVolume.volume.value = mapValue(value, 0, 1, CLAP_DB_RANGE.min, CLAP_DB_RANGE.max);
-                            }
-                            break;
-                        case 'bpm':
-                             Tone.Transport.bpm.value = value;
-                            break;
-                        case 'fundamentalNote':
-                        case 'fundamentalOctave':
-                            handleFundamentalChange();
-                            break;
-                        case 'noteSpread': {
-                            applySpreadDetune(value);
-                            break;
-                        }
-                        case 'nDelayChains':
-                            updateDelayWetness(value);
-                            break;
-                        case 'patternLength':
-                            updatePatternPlaybackLength(parseInt(value, 10));
-                            break;
-                        case 'gevoel': {
-                            handleScaleChange();
-                            break;
-                        }
-                        case 'automation':
-                        case 'automationTiming':
-                        case 'automationSpeed':
-                            startAutomation();
-                            break;
-                        case 'granular':
-                            currentGranularWet = parseFloat(value);
-                            break;
-                        case 'granularTexture':
-                            refreshGranularLayerFromUI();
-                            break;
-                        case 'scaleCycleInterval':
-                            scaleCyclePosition = 0;
-                            break;
-                        case 'flutterDepth':
-                        case 'flutterRate':
-                            applyFlutterWowSettings(getUIParams());
-                            break;
-                    }
-                }
-            };
-
-            slider.addEventListener('input', updateFunction);
+            slider.addEventListener('input', (e) => {
+                refreshSliderDisplay(id);
+                const value = scale ? parseFloat(e.target.value) / scale : e.target.value;
+                engine.setParam(param, value);
+            });
         });
 
-        // --- State Management ---
-        function getCurrentState() {
-            const params = getUIParams();
-            const stateData = {
-                fmTimbre: params.fmTimbre,
-                fmModDepth: params.fmModDepth,
-                attackTime: params.attackTime,
-                decayTime: params.decayTime,
-                sustainLevel: params.sustainLevel,
-                releaseTime: params.releaseTime,
-                laag: params.laag,
-                gelaagdheid: params.gelaagdheid,
-                layerFilter: params.layerFilter,
-                layerOffset: params.layerOffset,
-                layerAttack: params.layerAttack,
-                layerDecay: params.layerDecay,
-                layerSustain: params.layerSustain,
-                layerRelease: params.layerRelease,
-                synthFilterFrequency: params.synthFilterFrequency,
-                synthFilterSpan: params.synthFilterSpan,
-                synthFilterQ: params.synthFilterQ,
-                synthFilterMix: params.synthFilterMix,
-                fundamentalNote: params.fundamentalNote,
-                fundamentalOctave: params.fundamentalOctave,
-                fundamental: params.fundamental,
-                scaleIndex: params.scaleIndex,
-                gevoel: params.gevoel,
-                noteSpread: params.noteSpread,
-                patternLength: params.patternLength,
-                nDelayChains: params.nDelayChains,
-                bpm: params.bpm,
-                reverb: params.reverbWet,
-                granular: params.granular,
-                granularTexture: params.granularTexture,
-                automation: params.automation,
-                automationTiming: params.automationTiming,
-                automationSpeed: params.automationSpeed,
-                scaleCycleInterval: params.scaleCycleInterval,
-                scaleCycleSteps: params.scaleCycleSteps,
-                flutterDepth: params.flutterDepth,
-                flutterRate: params.flutterRate,
-                drumRhythm: params.drumRhythm,
-                kickVol: params.kickVol,
-                snareVol: params.snareVol,
-                hihatVol: params.hihatVol,
-                clapVol: params.clapVol,
-                kickFilter: params.kickFilter,
-                snareFilter: params.snareFilter,
-                hihatFilter: params.hihatFilter,
-                clapFilter: params.clapFilter,
-                kickChance: params.kickChance,
-                snareChance: params.snareChance,
-                hihatChance: params.hihatChance,
-                clapChance: params.clapChance,
-                kickRepeat: params.kickRepeat,
-                snareRepeat: params.snareRepeat,
-                hihatRepeat: params.hihatRepeat,
-                clapRepeat: params.clapRepeat,
-                drumFilterBypass: { ...drumFilterBypassStates }
-            };
-            return btoa(JSON.stringify(stateData));
-        }
+        SCALE_CYCLE_STEP_IDS.forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.addEventListener('input', () => {
+                const steps = SCALE_CYCLE_STEP_IDS.map(stepId => {
+                    const stepSelect = document.getElementById(stepId);
+                    return stepSelect ? stepSelect.value : '';
+                });
+                engine.setParam('scaleCycleSteps', steps);
+            });
+        });
 
-        function applyState(stateString) {
-            try {
-                const stateData = JSON.parse(atob(stateString));
-
-                updateSlider('fmTimbre', stateData.fmTimbre, 1);
-                updateSlider('fmModDepth', stateData.fmModDepth, 2);
-                updateSlider('attackTime', stateData.attackTime, 2);
-                updateSlider('decayTime', stateData.decayTime ?? 0.8, 2);
-                updateSlider('sustainLevel', stateData.sustainLevel ?? 0.4, 2);
-                updateSlider('releaseTime', stateData.releaseTime, 1);
-                updateSlider('laag', stateData.laag || 0, 0);
-                updateSlider('gelaagdheid', stateData.gelaagdheid || 0, 2);
-                updateSlider('layerFilterControl', stateData.layerFilter ?? 0.5, 2);
-                updateSlider('layerOffset', stateData.layerOffset || 0, 2);
-                updateSlider('layerAttack', stateData.layerAttack ?? 0.08, 2);
-                updateSlider('layerDecay', stateData.layerDecay ?? 0.6, 2);
-                updateSlider('layerSustain', stateData.layerSustain ?? 0.5, 2);
-                updateSlider('layerRelease', stateData.layerRelease ?? 2.2, 1);
-                updateSlider('synthFilterFrequency', stateData.synthFilterFrequency ?? SYNTH_FILTER_DEFAULT_FREQUENCY, 0);
-                updateSlider('synthFilterSpan', stateData.synthFilterSpan ?? SYNTH_FILTER_DEFAULT_SPAN, 0);
-                updateSlider('synthFilterQ', stateData.synthFilterQ ?? SYNTH_FILTER_DEFAULT_Q, 1);
-                const storedFilterMix = Math.max(0, Math.min(1, stateData.synthFilterMix ?? 1));
-                updateSlider('synthFilterMix', Math.round(storedFilterMix * 100), 0);
-                setSynthFilterMixAmount(storedFilterMix);
-                const fallbackMidi = (() => {
-                    if (stateData.fundamentalNote && typeof stateData.fundamentalOctave === 'number') {
-                        return noteNameToMidi(stateData.fundamentalNote, stateData.fundamentalOctave);
+        // Keep the controls in sync with whatever drives the engine (automation, scale cycle, state)
+        const rhythmLibrary = createRhythmLibrary({ engine });
+        const drumSequencer = createDrumSequencer({ engine });
+        const pianoRoll = createPianoRoll({ engine });
+        const arrangementPanel = createArrangementPanel({ engine });
+        const morphPanel = createMorphPanel({ engine });
+        createPresetLibrary({ engine, visualizer });
+        const midiInput = createMidiInput();
+        createMidiPanel({ engine, midiInput });
+        createMidiLearn({ midiInput, controlIds: sliderIds });
+        const midiClockPanel = createMidiClockPanel({ engine, midiInput });
+        const midiOutputPanel = createMidiOutputPanel({ engine, midiInput });
+        const scaleLibrary = createScaleLibrary({ engine });
+        const progressionPanel = createProgressionPanel({ engine });
+        const groovePanel = createGroovePanel({ engine, onRender: () => refreshSliderDisplay('grooveTemplate') });
+
+        engine.subscribe(event => {
+            switch (event.type) {
+                case 'param': {
+                    const id = findControlIdForParam(event.name);
+                    if (id) syncControlFromEngine(id);
+                    if (event.name === 'scaleCycleSteps') syncScaleCycleSelects();
+                    if (event.name === 'drumRhythm') drumSequencer.refresh();
+                    if (event.name === 'customRhythm') {
+                        drumSequencer.refresh();
+                        refreshSliderDisplay('drumRhythm');
                     }
-                    if (stateData.fundamental) {
-                        return Math.round(69 + 12 * Math.log2(stateData.fundamental / 440));
+                    if (event.name === 'patternLength') pianoRoll.draw();
+                    if (event.name === 'progression') progressionPanel.render();
+                    if (event.name === 'customGroove') groovePanel.render();
+                    if (event.name === 'customScale') {
+                        scaleLibrary.render();
+                        refreshSliderDisplay('gevoel');
                     }
-                    return 60;
-                })();
-                const fallbackNote = NOTE_NAMES[((fallbackMidi % 12) + 12) % 12] || 'C';
-                const fallbackOctave = Math.max(1, Math.min(6, Math.floor(fallbackMidi / 12) - 1));
-                updateSlider('fundamentalNote', stateData.fundamentalNote || fallbackNote);
-                updateSlider('fundamentalOctave', stateData.fundamentalOctave ?? fallbackOctave, 0);
-                const restoredScaleIndex = (typeof stateData.scaleIndex === 'number')
-                    ? stateData.scaleIndex
-                    : clampScaleIndex((stateData.gevoel ?? 0) * (SCALE_DEFINITIONS.length - 1));
-                updateSlider('gevoel', restoredScaleIndex, 0);
-                updateSlider('noteSpread', stateData.noteSpread, 0);
-                updateSlider('patternLength', stateData.patternLength, 0);
-                updateSlider('nDelayChains', stateData.nDelayChains, 0);
-                updateSlider('bpm', stateData.bpm, 0);
-                updateSlider('reverb', stateData.reverb, 2);
-                updateSlider('granular', stateData.granular || 0, 2);
-                updateSlider('granularTexture', stateData.granularTexture ?? 0.5, 2);
-                updateSlider('automation', stateData.automation || 0, 2);
-                updateSlider('automationTiming', stateData.automationTiming || 0, 0);
-                updateSlider('automationSpeed', stateData.automationSpeed || 2, 1);
-                updateSlider('scaleCycleInterval', stateData.scaleCycleInterval ?? 0, 0);
-                const storedSteps = stateData.scaleCycleSteps || [];
-                ['scaleCycleStep1', 'scaleCycleStep2', 'scaleCycleStep3', 'scaleCycleStep4'].forEach((id, idx) => {
-                    const select = document.getElementById(id);
-                    if (!select) return;
-                    select.value = storedSteps[idx] || '';
-                });
-                scaleCyclePosition = 0;
-                updateSlider('flutterDepth', stateData.flutterDepth || 0, 2);
-                updateSlider('flutterRate', stateData.flutterRate ?? 0.5, 2);
-                updateSlider('drumRhythm', stateData.drumRhythm ?? DEFAULT_DRUM_RHYTHM, 2);
-                updateSlider('kickVolume', stateData.kickVol || 0, 2);
-                updateSlider('snareVolume', stateData.snareVol || 0, 2);
-                updateSlider('hihatVolume', stateData.hihatVol || 0, 2);
-                updateSlider('clapVolume', stateData.clapVol || 0, 2);
-                updateSlider('kickFilter', stateData.kickFilter ?? DRUM_FILTER_SETTINGS.kick.frequency, 0);
-                updateSlider('snareFilter', stateData.snareFilter ?? DRUM_FILTER_SETTINGS.snare.frequency, 0);
-                updateSlider('hihatFilter', stateData.hihatFilter ?? DRUM_FILTER_SETTINGS.hihat.frequency, 0);
-                updateSlider('clapFilter', stateData.clapFilter ?? DRUM_FILTER_SETTINGS.clap.frequency, 0);
-                updateSlider('kickChance', Math.round((stateData.kickChance ?? 1) * 100), 0);
-                updateSlider('snareChance', Math.round((stateData.snareChance ?? 1) * 100), 0);
-                updateSlider('hihatChance', Math.round((stateData.hihatChance ?? 1) * 100), 0);
-                updateSlider('clapChance', Math.round((stateData.clapChance ?? 1) * 100), 0);
-                updateDrumFilterFrequency('kick');
-                updateDrumFilterFrequency('snare');
-                updateDrumFilterFrequency('hihat');
-                updateDrumFilterFrequency('clap');
-                updateSlider('kickRepeat', stateData.kickRepeat || 0, 2);
-                updateSlider('snareRepeat', stateData.snareRepeat || 0, 2);
-                updateSlider('hihatRepeat', stateData.hihatRepeat || 0, 2);
-                updateSlider('clapRepeat', stateData.clapRepeat || 0, 2);
-
-                const drumBypassState = stateData.drumFilterBypass || {};
-                Object.keys(DRUM_FILTER_SETTINGS).forEach(drum => {
-                    const stored = Object.prototype.hasOwnProperty.call(drumBypassState, drum)
-                        ? drumBypassState[drum]
-                        : DEFAULT_DRUM_FILTER_BYPASS[drum];
-                    setDrumFilterBypassState(drum, stored, { skipRouting: true, skipStateUpdate: true });
-                });
-
-                const fundamentalHue = mapValue(fallbackMidi, 36, 84, 30, 330);
-                const timbreShift = mapValue(stateData.fmTimbre, 0, 20, 0, 120);
-                const gevoelHue = mapValue(restoredScaleIndex, 0, SCALE_DEFINITIONS.length - 1, 0, 360);
-                visualizer.setBaseHue((fundamentalHue + timbreShift + gevoelHue) % 360);
-
-                if (isSetup) {
-                    generateSoundscape();
+                    updateStateDisplay();
+                    break;
                 }
+                case 'params':
+                    syncControlsFromEngine();
+                    scaleLibrary.render();
+                    progressionPanel.render();
+                    groovePanel.render();
+                    drumSequencer.refresh();
+                    pianoRoll.refresh();
+                    updateStateDisplay();
+                    break;
+                case 'drumFilterBypass':
+                    updateDrumFilterBypassButton(event.drum);
+                    updateStateDisplay();
+                    break;
+                case 'history':
+                    renderHistory();
+                    break;
+                case 'stateLoad':
+                    showStateLoadResult(event);
+                    break;
+                case 'morph':
+                    morphPanel.render();
+                    break;
+                case 'arrangement':
+                    arrangementPanel.handleArrangementChanged();
+                    break;
+                case 'partLock':
+                    updatePartLockButton(event.part);
+                    break;
+                case 'transport':
+                    playPauseButton.textContent = event.state === 'started' ? 'Pause' : 'Play';
+                    midiClockPanel.handleTransport(event.state);
+                    midiOutputPanel.handleTransport(event.state);
+                    break;
+                case 'rhythms':
+                    rhythmLibrary.handleRhythmsChanged();
+                    drumSequencer.refresh();
+                    break;
+                case 'seed':
+                    seedInput.value = event.seed;
+                    pianoRoll.refresh();
+                    updateStateDisplay();
+                    break;
+                case 'soundscape':
+                case 'patternStructure':
+                    pianoRoll.refresh();
+                    progressionPanel.renderPosition();
+                    break;
+                case 'progression':
+                    progressionPanel.renderPosition();
+                    break;
+            }
+        });
 
-                startAutomation();
-                syncSliderDisplays();
+        // --- State Management ---
+        const stateMessage = document.getElementById('stateMessage');
 
-                return true;
-            } catch (e) {
-                console.error('Invalid state:', e);
-                return false;
-            }
+        function updateStateDisplay() {
+            stateInput.value = engine.getState();
         }
 
-        function updateStateDisplay() {
-            stateInput.value = getCurrentState();
+        // Explains what happened to a pasted state that was old or damaged.
+        function showStateLoadResult({ ok, version, issues = [], error }) {
+            const lines = [];
+            if (!ok) {
+                lines.push(`State niet geladen: ${error}`);
+            } else if (version < STATE_VERSION) {
+                lines.push(`State bijgewerkt van versie ${version} naar ${STATE_VERSION}.`);
+            }
+            issues.forEach(issue => {
+                lines.push(`${issue.field} ${issue.message} (${JSON.stringify(issue.value)})`);
+            });
+            stateMessage.textContent = lines.join('\n');
+            stateMessage.classList.toggle('hidden', lines.length === 0);
         }
 
         copyStateButton.addEventListener('click', async () => {
-            const state = getCurrentState();
+            const state = engine.getState();
             try {
                 await navigator.clipboard.writeText(state);
                 copyStateButton.textContent = 'Copied!';
@@ -2328,10 +534,93 @@ export function initAudioApp() {
             }
         });
 
+        // --- History ---
+        const undoButton = document.getElementById('undoButton');
+        const redoButton = document.getElementById('redoButton');
+        const historySelect = document.getElementById('historySelect');
+        const HISTORY_SOURCE_LABELS = {
+            user: 'Gebruiker',
+            automation: 'Automation',
+            randomize: 'Randomize',
+            scaleCycle: 'Toonsoort-cyclus',
+            morph: 'Morph',
+            clock: 'MIDI-klok',
+            state: 'State'
+        };
+
+        function renderHistory() {
+            const { entries, index, canUndo, canRedo } = engine.getHistory();
+            undoButton.disabled = !canUndo;
+            redoButton.disabled = !canRedo;
+            historySelect.innerHTML = '';
+            entries.slice().reverse().forEach(entry => {
+                const option = document.createElement('option');
+                const time = new Date(entry.time).toLocaleTimeString();
+                const source = HISTORY_SOURCE_LABELS[entry.source] || entry.source;
+                option.value = entries.indexOf(entry);
+                option.textContent = entry.source === 'user' ? `${time} · ${source} · ${entry.label}` : `${time} · ${source}`;
+                historySelect.appendChild(option);
+            });
+            historySelect.value = String(index);
+        }
+
+        function reportHistoryError(error) {
+            console.error('Could not restore history entry:', error);
+            stateMessage.textContent = `Herstellen mislukt: ${error.message}`;
+            stateMessage.classList.remove('hidden');
+        }
+
+        undoButton.addEventListener('click', () => engine.undo().catch(reportHistoryError));
+        redoButton.addEventListener('click', () => engine.redo().catch(reportHistoryError));
+        historySelect.addEventListener('change', () => {
+            engine.goToHistory(parseInt(historySelect.value, 10)).catch(reportHistoryError);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            const target = e.target;
+            const isTextField = target.tagName === 'TEXTAREA' ||
+                (target.tagName === 'INPUT' && ['text', 'number', 'search'].includes(target.type));
+            if (isTextField) return;
+            e.preventDefault();
+            const restoring = e.shiftKey ? engine.redo() : engine.undo();
+            restoring.catch(reportHistoryError);
+        });
+
+        copyLinkButton.addEventListener('click', async () => {
+            try {
+                const link = await createStateLink(engine.getState());
+                await navigator.clipboard.writeText(link);
+                copyLinkButton.textContent = 'Copied!';
+            } catch (e) {
+                console.error('Could not copy link:', e);
+                copyLinkButton.textContent = 'Failed!';
+            }
+            setTimeout(() => {
+                copyLinkButton.textContent = 'Link';
+            }, 1500);
+        });
+
+        // Returns true when the URL fragment held a state that could be loaded.
+        async function loadStateFromUrl() {
+            try {
+                const stateString = await readStateFromHash();
+                return Boolean(stateString) && engine.loadState(stateString);
+            } catch (e) {
+                console.error('Invalid state link:', e);
+                showStateLoadResult({ ok: false, error: 'link kon niet gelezen worden' });
+                return false;
+            }
+        }
+
+        window.addEventListener('hashchange', () => {
+            loadStateFromUrl();
+        });
+
         pasteStateButton.addEventListener('click', async () => {
             try {
                 const stateString = await navigator.clipboard.readText();
-                if (applyState(stateString)) {
+                if (engine.loadState(stateString)) {
                     updateStateDisplay();
                     pasteStateButton.textContent = 'Applied!';
                     setTimeout(() => {
@@ -2345,7 +634,7 @@ export function initAudioApp() {
                 }
             } catch (e) {
                 const stateString = prompt('Paste your state here:');
-                if (stateString && applyState(stateString)) {
+                if (stateString && engine.loadState(stateString)) {
                     updateStateDisplay();
                     pasteStateButton.textContent = 'Applied!';
                     setTimeout(() => {
@@ -2360,93 +649,77 @@ export function initAudioApp() {
             }
         });
 
-        // Update state display whenever sliders change
-        sliderIds.forEach(id => {
-            document.getElementById(id).addEventListener('input', updateStateDisplay);
+        seedInput.addEventListener('change', () => {
+            try {
+                engine.setSeed(seedInput.value);
+            } catch (e) {
+                seedInput.value = engine.getSeed();
+            }
         });
 
-        ['scaleCycleStep1', 'scaleCycleStep2', 'scaleCycleStep3', 'scaleCycleStep4'].forEach(id => {
-            const select = document.getElementById(id);
-            if (!select) return;
-            select.addEventListener('input', () => {
-                scaleCyclePosition = 0;
-                updateStateDisplay();
+        function getRenderOptions() {
+            return {
+                bars: Math.max(1, parseInt(renderBarsInput.value, 10) || 1),
+                sampleRate: parseInt(renderSampleRateSelect.value, 10),
+                bitDepth: parseInt(renderBitDepthSelect.value, 10)
+            };
+        }
+
+        async function runRender(button, label, task) {
+            renderButton.disabled = true;
+            renderStemsButton.disabled = true;
+            button.textContent = 'Rendering...';
+            try {
+                await task();
+                button.textContent = 'Done!';
+            } catch (e) {
+                console.error('Render failed:', e);
+                button.textContent = 'Failed!';
+            }
+            renderButton.disabled = false;
+            renderStemsButton.disabled = false;
+            setTimeout(() => {
+                button.textContent = label;
+            }, 1500);
+        }
+
+        renderButton.addEventListener('click', () => runRender(renderButton, 'Render', async () => {
+            const { bars, sampleRate, bitDepth } = getRenderOptions();
+            const buffer = await engine.render({ bars, sampleRate });
+            const wav = encodeWav(buffer, { bitDepth });
+            downloadBlob(new Blob([wav], { type: 'audio/wav' }), `blokken-${bars}-maten.wav`);
+        }));
+
+        renderStemsButton.addEventListener('click', () => runRender(renderStemsButton, 'Stems', async () => {
+            const { bars, sampleRate, bitDepth } = getRenderOptions();
+            const { mix, stems } = await engine.renderStems({ bars, sampleRate });
+            const files = [{ name: 'mix.wav', data: encodeWav(mix, { bitDepth }) }];
+            STEM_NAMES.forEach(name => {
+                files.push({ name: `${name}.wav`, data: encodeWav(stems[name], { bitDepth }) });
             });
+            downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), `blokken-stems-${bars}-maten.zip`);
+        }));
+
+        exportMidiButton.addEventListener('click', () => {
+            const midi = createPatternMidiFile(engine.getPatternData());
+            downloadBlob(new Blob([midi], { type: 'audio/midi' }), `blokken-${engine.getSeed()}.mid`);
+            exportMidiButton.textContent = 'Done!';
+            setTimeout(() => {
+                exportMidiButton.textContent = 'MIDI';
+            }, 1500);
         });
 
-        // --- Automation System ---
-        let automationInterval = null;
-        let loopCounter = 0;
-        const automatableSliders = [
-            'fmTimbre', 'fmModDepth', 'attackTime', 'decayTime', 'sustainLevel', 'releaseTime',
-            'reverb', 'bpm', 'gelaagdheid', 'gevoel',
-            'noteSpread', 'patternLength', 'nDelayChains',
-            'laag', 'layerFilterControl', 'layerOffset',
-            'layerAttack', 'layerDecay', 'layerSustain', 'layerRelease',
-            'synthFilterFrequency', 'synthFilterSpan', 'synthFilterQ', 'synthFilterMix',
-            'granular', 'granularTexture', 'flutterDepth', 'flutterRate'
-        ];
-
-        function automateParameter() {
-            const automationAmount = parseFloat(document.getElementById('automation').value);
-
-            if (automationAmount > 0 && isSetup) {
-                const iterations = 1 + Math.floor(automationAmount * 3);
-                for (let i = 0; i < iterations; i++) {
-                    const sliderId = Random.select(automatableSliders);
-                    const slider = document.getElementById(sliderId);
-                    if (!slider) continue;
-
-                    const min = parseFloat(slider.min);
-                    const max = parseFloat(slider.max);
-                    const current = parseFloat(slider.value);
-                    const range = max - min;
-
-                    // Calculate subtle change based on automation amount
-                    const maxChange = range * (0.05 + automationAmount * 0.1);
-                    const change = Random.float(-maxChange, maxChange);
-                    let newValue = Math.max(min, Math.min(max, current + change));
-
-                    const step = parseFloat(slider.step) || 0;
-                    if (step > 0) {
-                        newValue = Math.round(newValue / step) * step;
-                        newValue = Math.max(min, Math.min(max, newValue));
-                    }
-
-                    slider.value = newValue;
-                    const event = new Event('input', { bubbles: true });
-                    slider.dispatchEvent(event);
-                }
+        // Load a shared link if there is one, otherwise randomize, then start
+        // the drawing loop
+        loadStateFromUrl().then(loaded => {
+            if (!loaded) {
+                engine.randomize({ initialLoad: true }); // Use short attack range on initial load
             }
-        }
-
-        function startAutomation() {
-            if (automationInterval) clearInterval(automationInterval);
-
-            const speed = Math.max(0.4, parseFloat(document.getElementById('automationSpeed').value) || 2);
-            const intervalTime = speed * 1000;
-
-            // Time-based automation (when timing is 0)
-            automationInterval = setInterval(() => {
-                const automationTiming = parseInt(document.getElementById('automationTiming').value);
-
-                // Only use time-based automation when timing is set to 0
-                if (automationTiming === 0) {
-                    if (Random.coinToss(0.35)) { // 35% chance each interval
-                        automateParameter();
-                    }
-                }
-            }, intervalTime);
-        }
-
-        // Start automation system
-        startAutomation();
-
-        // Initial randomization and start drawing loop on load
-        randomizeParameters(true); // Use short attack range on initial load
-        syncSliderDisplays();
-        updateStateDisplay();
-        visualizer.draw();
+            syncControlsFromEngine();
+            seedInput.value = engine.getSeed();
+            updateStateDisplay();
+            visualizer.draw();
+        });
         
 
 }
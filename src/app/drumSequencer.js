@@ -0,0 +1,148 @@
+import { DRUM_VOICES, HIT_OFFSETS_PER_STEP, RHYTHM_STEPS } from '../engine/rhythms.js';
+
+const VOICE_LABELS = { kick: 'Kick', snare: 'Snare', hihat: 'Hi-Hat', clap: 'Clap' };
+const DEFAULT_HIT_VELOCITY = 0.8;
+
+// 16-step x 4-voice grid over the engine's current drum rhythm. Edits are
+// auditioned through engine.previewDrumRhythm and can be saved as a named
+// rhythm that joins the drumRhythm morph list.
+export function createDrumSequencer({ engine, gridId = 'drumStepGrid' } = {}) {
+  const gridElement = document.getElementById(gridId);
+  const selectionLabel = document.getElementById('drumStepSelection');
+  const velocityInput = document.getElementById('drumStepVelocity');
+  const velocityValue = document.getElementById('drumStepVelocityValue');
+  const offsetInput = document.getElementById('drumStepOffset');
+  const nameInput = document.getElementById('drumRhythmName');
+  const saveButton = document.getElementById('saveDrumRhythmButton');
+  const resetButton = document.getElementById('resetDrumRhythmButton');
+  if (!gridElement) {
+    throw new Error(`Step grid with id "${gridId}" not found`);
+  }
+
+  let rhythm = engine.getDrumRhythm();
+  let selected = null;
+  const cells = {};
+
+  function stepOf(hit) {
+    return hit[0] * 4 + hit[1];
+  }
+
+  function findHit(drum, step) {
+    return rhythm[drum].find(hit => stepOf(hit) === step) || null;
+  }
+
+  function buildGrid() {
+    gridElement.innerHTML = '';
+    DRUM_VOICES.forEach(drum => {
+      const label = document.createElement('div');
+      label.className = 'drum-label';
+      label.textContent = VOICE_LABELS[drum];
+      gridElement.appendChild(label);
+      cells[drum] = [];
+      for (let step = 0; step < RHYTHM_STEPS; step++) {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'step-cell';
+        if (step % 4 === 0) cell.classList.add('is-beat');
+        cell.setAttribute('aria-label', `${VOICE_LABELS[drum]} stap ${step + 1}`);
+        cell.addEventListener('click', () => handleCellClick(drum, step));
+        gridElement.appendChild(cell);
+        cells[drum].push(cell);
+      }
+    });
+  }
+
+  function render() {
+    DRUM_VOICES.forEach(drum => {
+      cells[drum].forEach((cell, step) => {
+        const hit = findHit(drum, step);
+        cell.classList.toggle('is-active', Boolean(hit));
+        cell.classList.toggle('is-selected', Boolean(selected && selected.drum === drum && selected.step === step));
+        cell.style.opacity = hit ? String(0.35 + hit[3] * 0.65) : '';
+      });
+    });
+    const hit = selected ? findHit(selected.drum, selected.step) : null;
+    velocityInput.disabled = !hit;
+    offsetInput.disabled = !hit;
+    if (hit) {
+      selectionLabel.textContent = `${VOICE_LABELS[selected.drum]} ${selected.step + 1}`;
+      velocityInput.value = hit[3];
+      velocityValue.textContent = hit[3].toFixed(2);
+      offsetInput.value = hit[2];
+    } else {
+      selectionLabel.textContent = '-';
+      velocityValue.textContent = '-';
+    }
+  }
+
+  function applyEdit() {
+    engine.previewDrumRhythm(rhythm);
+    render();
+  }
+
+  // Empty cell: add a hit. Active cell: select it, or remove it when it is
+  // already selected.
+  function handleCellClick(drum, step) {
+    const hit = findHit(drum, step);
+    const isSelected = selected && selected.drum === drum && selected.step === step;
+    if (!hit) {
+      rhythm[drum].push([Math.floor(step / 4), step % 4, 0, DEFAULT_HIT_VELOCITY]);
+      selected = { drum, step };
+    } else if (isSelected) {
+      rhythm[drum] = rhythm[drum].filter(other => stepOf(other) !== step);
+      selected = null;
+    } else {
+      selected = { drum, step };
+      render();
+      return;
+    }
+    applyEdit();
+  }
+
+  function updateSelectedHit(index, value) {
+    const hit = selected ? findHit(selected.drum, selected.step) : null;
+    if (!hit) return;
+    hit[index] = value;
+    applyEdit();
+  }
+
+  // Reloads the grid from the engine, e.g. after the drumRhythm slider moved.
+  function refresh() {
+    rhythm = engine.getDrumRhythm();
+    if (selected && !findHit(selected.drum, selected.step)) {
+      selected = null;
+    }
+    render();
+  }
+
+  velocityInput.addEventListener('input', (e) => {
+    updateSelectedHit(3, parseFloat(e.target.value));
+  });
+
+  offsetInput.addEventListener('change', (e) => {
+    updateSelectedHit(2, Math.min(HIT_OFFSETS_PER_STEP - 1, Math.max(0, parseInt(e.target.value, 10) || 0)));
+  });
+
+  saveButton.addEventListener('click', () => {
+    const label = nameInput.value.trim();
+    if (!label) {
+      nameInput.focus();
+      return;
+    }
+    engine.saveDrumRhythm(label, rhythm);
+    nameInput.value = '';
+    refresh();
+  });
+
+  resetButton.addEventListener('click', () => {
+    engine.previewDrumRhythm(null);
+    refresh();
+  });
+
+  buildGrid();
+  render();
+
+  return {
+    refresh,
+  };
+}
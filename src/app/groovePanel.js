@@ -0,0 +1,46 @@
+import { CUSTOM_GROOVE_INDEX, DRUM_ACCENTS_NAME } from '../engine/groove.js';
+
+// Extracts a groove from the playing drum pattern or from notes played live
+// and offers it as the last groove template.
+export function createGroovePanel({ engine, onRender = () => {} } = {}) {
+  const select = document.getElementById('grooveTemplate');
+  const drumsButton = document.getElementById('extractGrooveDrumsButton');
+  const liveButton = document.getElementById('extractGrooveLiveButton');
+  const statusElement = document.getElementById('grooveStatus');
+  if (!select || !drumsButton || !liveButton) {
+    throw new Error('Groove controls not found');
+  }
+  const customOption = select.querySelector(`option[value="${CUSTOM_GROOVE_INDEX}"]`);
+
+  function showStatus(text) {
+    statusElement.textContent = text;
+    statusElement.classList.toggle('hidden', !text);
+  }
+
+  function render() {
+    const { customGroove } = engine.getParams();
+    customOption.disabled = !customGroove;
+    customOption.textContent = customGroove ? `Eigen: ${customGroove.name}` : 'Eigen groove';
+    onRender();
+  }
+
+  function extract(source) {
+    try {
+      const groove = engine.extractGrooveFrom(source);
+      showStatus(groove.name === DRUM_ACCENTS_NAME
+        ? 'Het drumpatroon heeft geen offsets: alleen de accenten zijn overgenomen.'
+        : '');
+    } catch (e) {
+      showStatus(e.message);
+    }
+  }
+
+  drumsButton.addEventListener('click', () => extract('drums'));
+  liveButton.addEventListener('click', () => extract('live'));
+
+  render();
+
+  return {
+    render,
+  };
+}
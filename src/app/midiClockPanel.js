@@ -0,0 +1,90 @@
+import { createClockFollower, createClockSender } from '../midi/midiClock.js';
+
+const CLOCK_MODES = ['internal', 'follow', 'send'];
+
+// Clock section of the MIDI tab: run on the internal clock, follow an
+// incoming MIDI clock or send clock to a chosen output.
+export function createMidiClockPanel({ engine, midiInput } = {}) {
+  const modeSelect = document.getElementById('midiClockMode');
+  const outputSelect = document.getElementById('midiClockOutput');
+  const statusElement = document.getElementById('midiClockStatus');
+  const bpmSlider = document.getElementById('bpm');
+  if (!modeSelect || !outputSelect) {
+    throw new Error('MIDI clock controls not found');
+  }
+
+  const follower = createClockFollower({
+    engine,
+    midiInput,
+    onTempo: bpm => {
+      statusElement.textContent = `${bpm.toFixed(1)} BPM`;
+    },
+    onError: error => {
+      console.error('Starting from MIDI clock failed:', error);
+      statusElement.textContent = `Start mislukt: ${error.message}`;
+    }
+  });
+  const sender = createClockSender({ engine });
+
+  function renderOutputs() {
+    const outputs = midiInput.getOutputs();
+    const selected = outputSelect.value;
+    outputSelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = outputs.length ? 'Kies uitgang' : 'Geen uitgangen';
+    outputSelect.appendChild(none);
+    outputs.forEach(output => {
+      const option = document.createElement('option');
+      option.value = output.id;
+      option.textContent = output.name;
+      outputSelect.appendChild(option);
+    });
+    outputSelect.value = outputs.some(output => output.id === selected) ? selected : '';
+  }
+
+  function applyMode() {
+    const mode = CLOCK_MODES.includes(modeSelect.value) ? modeSelect.value : 'internal';
+    follower.setEnabled(mode === 'follow');
+    sender.setOutput(mode === 'send' ? midiInput.getOutput(outputSelect.value) : null);
+    outputSelect.classList.toggle('hidden', mode !== 'send');
+    // The tempo comes from the clock while following.
+    if (bpmSlider) bpmSlider.disabled = mode === 'follow';
+    if (mode === 'follow') {
+      statusElement.textContent = 'Wacht op klok...';
+    } else if (mode === 'send') {
+      statusElement.textContent = sender.getOutput() ? 'Stuurt klok' : 'Kies een uitgang';
+    } else {
+      statusElement.textContent = 'Interne klok';
+    }
+  }
+
+  modeSelect.addEventListener('change', async () => {
+    if (modeSelect.value !== 'internal') {
+      const connected = await midiInput.connect();
+      if (!connected) {
+        modeSelect.value = 'internal';
+        statusElement.textContent = 'Geen toegang tot MIDI';
+        return;
+      }
+    }
+    applyMode();
+  });
+
+  outputSelect.addEventListener('change', applyMode);
+
+  midiInput.onPortsChanged(() => {
+    renderOutputs();
+    // Picks up an output that disappeared or came back.
+    if (modeSelect.value === 'send' && sender.getOutput() !== midiInput.getOutput(outputSelect.value)) {
+      applyMode();
+    }
+  });
+
+  renderOutputs();
+  applyMode();
+
+  return {
+    handleTransport: state => sender.handleTransport(state),
+  };
+}
@@ -0,0 +1,179 @@
+const STORAGE_KEY = 'blokken:midiMappings';
+
+// Pedals (sustain, portamento, sostenuto, soft, legato, hold 2) and the
+// channel mode messages (all sound off, reset, local, all notes off, omni,
+// mono/poly) keep their meaning and cannot be learned.
+function isLearnableController(controller) {
+  return !(controller >= 64 && controller <= 69) && controller < 120;
+}
+
+function mappingKey(channel, controller) {
+  return `${channel}:${controller}`;
+}
+
+function readStoredMappings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Scales a 0-1 CC value onto a range input's min/max/step or a select's
+// options. Returns the value as the control would hold it.
+function controlValueFromCc(control, amount) {
+  if (control.tagName === 'SELECT') {
+    const { options } = control;
+    if (!options.length) return null;
+    return options[Math.round(amount * (options.length - 1))].value;
+  }
+  const min = parseFloat(control.min);
+  const max = parseFloat(control.max);
+  const step = parseFloat(control.step);
+  const lower = Number.isFinite(min) ? min : 0;
+  const upper = Number.isFinite(max) ? max : 100;
+  let value = lower + amount * (upper - lower);
+  if (Number.isFinite(step) && step > 0) {
+    value = lower + Math.round((value - lower) / step) * step;
+    const decimals = (String(control.step).split('.')[1] || '').length;
+    value = parseFloat(value.toFixed(decimals));
+  }
+  return String(Math.min(upper, Math.max(lower, value)));
+}
+
+// MIDI learn: while learning, click a control and move a knob to bind that
+// CC to it. Bound CCs set the control and fire its `input` event, so they go
+// through exactly the same path as dragging the slider.
+export function createMidiLearn({ midiInput, controlIds = [] } = {}) {
+  const learnButton = document.getElementById('midiLearnButton');
+  const clearButton = document.getElementById('midiClearMappingsButton');
+  const listElement = document.getElementById('midiMappingList');
+  if (!learnButton) {
+    throw new Error('MIDI learn button not found');
+  }
+
+  let mappings = readStoredMappings();
+  let learning = false;
+  let target = null;
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+    } catch (e) {
+      console.warn('Could not store MIDI mappings:', e);
+    }
+  }
+
+  function getControlLabel(id) {
+    // Labels read "Klank: <value>"; keep only the name.
+    const label = document.querySelector(`label[for="${id}"]`);
+    const text = label && label.firstChild ? label.firstChild.textContent.replace(/:\s*$/, '').trim() : '';
+    return text || id;
+  }
+
+  function render() {
+    learnButton.textContent = learning ? 'Klaar' : 'Learn';
+    learnButton.classList.toggle('is-locked', learning);
+    controlIds.forEach(id => {
+      const control = document.getElementById(id);
+      if (!control) return;
+      control.classList.toggle('midi-learnable', learning);
+      control.classList.toggle('midi-learn-target', learning && id === target);
+    });
+    if (!listElement) return;
+    listElement.innerHTML = '';
+    const entries = Object.entries(mappings).filter(([, id]) => controlIds.includes(id));
+    if (!entries.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-xs text-[var(--text-secondary)]';
+      empty.textContent = 'Nog geen koppelingen.';
+      listElement.appendChild(empty);
+      return;
+    }
+    entries.forEach(([key, id]) => {
+      const [channel, controller] = key.split(':').map(Number);
+      const row = document.createElement('div');
+      row.className = 'midi-mapping-row';
+      const text = document.createElement('span');
+      text.textContent = `CC ${controller} (kanaal ${channel + 1}) → ${getControlLabel(id)}`;
+      row.appendChild(text);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'bypass-button';
+      remove.textContent = '×';
+      remove.title = 'Verwijder koppeling';
+      remove.addEventListener('click', () => {
+        delete mappings[key];
+        persist();
+        render();
+      });
+      row.appendChild(remove);
+      listElement.appendChild(row);
+    });
+  }
+
+  function bind(channel, controller, id) {
+    // One CC per control: drop any earlier binding of this control.
+    Object.keys(mappings).forEach(key => {
+      if (mappings[key] === id) delete mappings[key];
+    });
+    mappings[mappingKey(channel, controller)] = id;
+    persist();
+  }
+
+  function applyCc(id, amount) {
+    const control = document.getElementById(id);
+    if (!control) return;
+    const value = controlValueFromCc(control, amount);
+    if (value === null || value === control.value) return;
+    control.value = value;
+    control.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  midiInput.subscribe(message => {
+    if (message.type !== 'cc') return;
+    if (learning && target) {
+      if (!isLearnableController(message.controller)) return;
+      bind(message.channel, message.controller, target);
+      target = null;
+      render();
+      return;
+    }
+    const id = mappings[mappingKey(message.channel, message.controller)];
+    if (id) applyCc(id, message.value);
+  });
+
+  // Picks the learn target without moving the control.
+  document.addEventListener('pointerdown', event => {
+    if (!learning) return;
+    const control = event.target.closest && event.target.closest('input, select');
+    if (!control || !controlIds.includes(control.id)) return;
+    event.preventDefault();
+    target = control.id;
+    render();
+  }, true);
+
+  learnButton.addEventListener('click', async () => {
+    learning = !learning;
+    target = null;
+    if (learning) await midiInput.connect();
+    render();
+  });
+
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      if (!Object.keys(mappings).length || !window.confirm('Alle MIDI-koppelingen verwijderen?')) return;
+      mappings = {};
+      persist();
+      render();
+    });
+  }
+
+  render();
+
+  return {
+    isLearning: () => learning,
+    getMappings: () => ({ ...mappings }),
+  };
+}
@@ -0,0 +1,146 @@
+import { NOTE_OUTPUT_PARTS } from '../engine/index.js';
+import { DEFAULT_PART_CHANNELS, createNoteSender } from '../midi/midiOutput.js';
+
+const STORAGE_KEY = 'blokken:midiOutput';
+const PART_LABELS = { melody: 'Melodie', granular: 'Granular', drums: 'Drums' };
+const OUTPUT_MODES = { internal: 'Intern', both: 'Intern + MIDI', midi: 'Alleen MIDI' };
+
+function readStoredSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Output section of the MIDI tab: per generated part, whether it plays on
+// the internal voices, on a MIDI output or both, and on which channel.
+export function createMidiOutputPanel({ engine, midiInput } = {}) {
+  const outputSelect = document.getElementById('midiNoteOutput');
+  const partsElement = document.getElementById('midiPartOutputs');
+  if (!outputSelect || !partsElement) {
+    throw new Error('MIDI output controls not found');
+  }
+
+  const sender = createNoteSender({ engine });
+  const stored = readStoredSettings();
+  const settings = {};
+  NOTE_OUTPUT_PARTS.forEach(part => {
+    const storedPart = stored.parts && stored.parts[part] ? stored.parts[part] : {};
+    const channel = Number(storedPart.channel);
+    settings[part] = {
+      mode: OUTPUT_MODES[storedPart.mode] ? storedPart.mode : 'internal',
+      channel: Number.isInteger(channel) && channel >= 0 && channel <= 15 ? channel : DEFAULT_PART_CHANNELS[part]
+    };
+  });
+  let outputId = typeof stored.output === 'string' ? stored.output : '';
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ output: outputId, parts: settings }));
+    } catch (e) {
+      console.warn('Could not store MIDI output settings:', e);
+    }
+  }
+
+  const modeSelects = {};
+
+  // MIDI-only mutes the internal voices only while an output is connected;
+  // without one the part keeps playing internally.
+  function applyPart(part) {
+    const { mode, channel } = settings[part];
+    const connected = Boolean(sender.getOutput());
+    engine.setPartInternal(part, mode !== 'midi' || !connected);
+    sender.setPartChannel(part, channel);
+    sender.setPartEnabled(part, mode !== 'internal');
+    if (modeSelects[part]) {
+      modeSelects[part].title = mode === 'midi' && !connected
+        ? 'Geen MIDI-uitgang: speelt intern'
+        : 'Bestemming';
+    }
+  }
+
+  function renderOutputs() {
+    const outputs = midiInput.getOutputs();
+    outputSelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = outputs.length ? 'Kies uitgang' : 'Geen uitgangen';
+    outputSelect.appendChild(none);
+    outputs.forEach(output => {
+      const option = document.createElement('option');
+      option.value = output.id;
+      option.textContent = output.name;
+      outputSelect.appendChild(option);
+    });
+    outputSelect.value = outputs.some(output => output.id === outputId) ? outputId : '';
+    const output = midiInput.getOutput(outputSelect.value);
+    if (output !== sender.getOutput()) sender.setOutput(output);
+    NOTE_OUTPUT_PARTS.forEach(applyPart);
+  }
+
+  function makeSelect(title, entries, value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'modern-button text-xs px-2 py-1';
+    select.title = title;
+    entries.forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = String(value);
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  function renderParts() {
+    partsElement.innerHTML = '';
+    const channelEntries = Array.from({ length: 16 }, (_, channel) => [String(channel), `Kanaal ${channel + 1}`]);
+    NOTE_OUTPUT_PARTS.forEach(part => {
+      const row = document.createElement('div');
+      row.className = 'midi-mapping-row';
+      const label = document.createElement('span');
+      label.className = 'flex-1';
+      label.textContent = PART_LABELS[part];
+      row.appendChild(label);
+      modeSelects[part] = makeSelect('Bestemming', Object.entries(OUTPUT_MODES), settings[part].mode, mode => {
+        settings[part].mode = mode;
+        applyPart(part);
+        persist();
+      });
+      row.appendChild(modeSelects[part]);
+      row.appendChild(makeSelect('MIDI-kanaal', channelEntries, settings[part].channel, channel => {
+        settings[part].channel = Number(channel);
+        applyPart(part);
+        persist();
+      }));
+      partsElement.appendChild(row);
+    });
+  }
+
+  outputSelect.addEventListener('change', () => {
+    outputId = outputSelect.value;
+    persist();
+    sender.setOutput(midiInput.getOutput(outputId));
+    NOTE_OUTPUT_PARTS.forEach(applyPart);
+  });
+
+  midiInput.onPortsChanged(renderOutputs);
+
+  NOTE_OUTPUT_PARTS.forEach(applyPart);
+  renderParts();
+  renderOutputs();
+  // Reconnect straight away when a previous session sent notes out.
+  if (outputId && NOTE_OUTPUT_PARTS.some(part => settings[part].mode !== 'internal')) {
+    midiInput.connect();
+  }
+
+  return {
+    // Notes already queued on the output would keep sounding after a stop.
+    handleTransport: state => {
+      if (state !== 'started') sender.allNotesOff();
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { ALL_INPUTS, isMidiSupported } from '../midi/midiInput.js';
+
+const SUSTAIN_CONTROLLER = 64;
+const ALL_CHANNELS = 'all';
+
+// MIDI tab: picks the input port and channel and plays incoming notes, the
+// sustain pedal and pitch bend on the engine's FM and layer synths.
+export function createMidiPanel({ engine, midiInput } = {}) {
+  const connectButton = document.getElementById('midiConnectButton');
+  const inputSelect = document.getElementById('midiInputSelect');
+  const channelSelect = document.getElementById('midiChannelSelect');
+  const statusElement = document.getElementById('midiStatus');
+  if (!connectButton || !inputSelect) {
+    throw new Error('MIDI controls not found');
+  }
+
+  function setStatus(text) {
+    if (statusElement) statusElement.textContent = text;
+  }
+
+  function renderInputs() {
+    if (midiInput.getAccess()) {
+      connectButton.disabled = true;
+      connectButton.textContent = 'Verbonden';
+    }
+    const inputs = midiInput.getInputs();
+    inputSelect.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = ALL_INPUTS;
+    allOption.textContent = 'Alle ingangen';
+    inputSelect.appendChild(allOption);
+    inputs.forEach(input => {
+      const option = document.createElement('option');
+      option.value = input.id;
+      option.textContent = input.name;
+      inputSelect.appendChild(option);
+    });
+    const selected = midiInput.getSelectedInput();
+    inputSelect.value = inputs.some(input => input.id === selected) ? selected : ALL_INPUTS;
+    inputSelect.disabled = !inputs.length;
+    setStatus(inputs.length ? `${inputs.length} ingang${inputs.length === 1 ? '' : 'en'}` : 'Geen ingangen gevonden');
+  }
+
+  function acceptsChannel(message) {
+    return channelSelect.value === ALL_CHANNELS || message.channel === Number(channelSelect.value);
+  }
+
+  midiInput.subscribe(message => {
+    if (message.channel === undefined || !acceptsChannel(message)) return;
+    switch (message.type) {
+      case 'noteon':
+        engine.noteOn(message.note, message.velocity).catch(error => {
+          console.error('Playing MIDI note failed:', error);
+          setStatus(`Audio starten mislukt: ${error.message}`);
+        });
+        break;
+      case 'noteoff':
+        engine.noteOff(message.note);
+        break;
+      case 'pitchbend':
+        engine.setPitchBend(message.value);
+        break;
+      case 'cc':
+        if (message.controller === SUSTAIN_CONTROLLER) {
+          engine.setSustain(message.value >= 0.5);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  midiInput.onPortsChanged(renderInputs);
+
+  connectButton.addEventListener('click', async () => {
+    const connected = await midiInput.connect();
+    if (!connected) setStatus('Geen toegang tot MIDI');
+  });
+
+  inputSelect.addEventListener('change', () => {
+    engine.allNotesOff();
+    midiInput.selectInput(inputSelect.value);
+  });
+
+  channelSelect.addEventListener('change', () => engine.allNotesOff());
+
+  if (!isMidiSupported()) {
+    connectButton.disabled = true;
+    setStatus('Web MIDI wordt niet ondersteund in deze browser');
+  }
+
+  return {
+    renderInputs,
+  };
+}
@@ -0,0 +1,48 @@
+// Two state slots and buttons that morph the running soundscape towards one
+// of them over a number of bars.
+export function createMorphPanel({ engine } = {}) {
+  const storeButtons = {
+    a: document.getElementById('storeMorphAButton'),
+    b: document.getElementById('storeMorphBButton')
+  };
+  const morphButtons = {
+    a: document.getElementById('morphToAButton'),
+    b: document.getElementById('morphToBButton')
+  };
+  const barsInput = document.getElementById('morphBars');
+  const statusLabel = document.getElementById('morphStatus');
+  const slots = { a: null, b: null };
+
+  function getBars() {
+    return Math.min(64, Math.max(1, parseInt(barsInput.value, 10) || 1));
+  }
+
+  function render() {
+    const { active, progress } = engine.getMorphState();
+    Object.keys(slots).forEach(slot => {
+      morphButtons[slot].disabled = !slots[slot];
+    });
+    statusLabel.textContent = active ? `${Math.round(progress * 100)}%` : '-';
+  }
+
+  Object.keys(slots).forEach(slot => {
+    storeButtons[slot].addEventListener('click', () => {
+      slots[slot] = engine.getState();
+      render();
+    });
+    morphButtons[slot].addEventListener('click', () => {
+      if (!slots[slot]) return;
+      try {
+        engine.morphToState(slots[slot], { bars: getBars() });
+      } catch (e) {
+        console.error('Invalid state:', e);
+      }
+    });
+  });
+
+  render();
+
+  return {
+    render,
+  };
+}
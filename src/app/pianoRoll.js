@@ -0,0 +1,318 @@
+import { PATTERN_STRUCTURE_MEASURES } from '../engine/patterns.js';
+import { timeStringToSteps, stepsToTimeString } from '../engine/rhythms.js';
+
+const STEPS_PER_MEASURE = 16;
+const TOTAL_STEPS = PATTERN_STRUCTURE_MEASURES * STEPS_PER_MEASURE;
+const STEP_WIDTH = 12;
+const ROW_HEIGHT = 10;
+const LABEL_WIDTH = 28;
+const RESIZE_HANDLE = 4;
+const MIN_DEGREE = -8;
+const MAX_DEGREE = 12;
+const DEFAULT_NOTE_STEPS = 2;
+const DEFAULT_NOTE_VELOCITY = 0.5;
+const NOTE_VALUE_DURATIONS = { 1: '16n', 2: '8n', 4: '4n', 8: '2n', 16: '1n' };
+
+function durationToSteps(duration) {
+  const text = String(duration || '8n');
+  const noteValue = text.match(/^(\d+)n$/);
+  if (noteValue) return Math.max(1, Math.round(STEPS_PER_MEASURE / parseInt(noteValue[1], 10)));
+  if (text.includes(':')) return Math.max(1, timeStringToSteps(text));
+  return DEFAULT_NOTE_STEPS;
+}
+
+function stepsToDuration(steps) {
+  return NOTE_VALUE_DURATIONS[steps] || stepsToTimeString(steps);
+}
+
+// Canvas editor for the 16-measure melodic structure, in scale degrees rather
+// than pitches so edits follow scale changes. Click an empty cell to add a
+// note, drag a note to move it, drag its right edge to lengthen it and
+// double-click (or right-click) to delete it. Chord notes share their event's
+// length and velocity; moving one in time splits it off into its own event.
+export function createPianoRoll({ engine, canvasId = 'pianoRollCanvas' } = {}) {
+  const canvas = document.getElementById(canvasId);
+  const selectionLabel = document.getElementById('pianoRollSelection');
+  const velocityInput = document.getElementById('pianoRollVelocity');
+  const velocityValue = document.getElementById('pianoRollVelocityValue');
+  const resetButton = document.getElementById('resetPianoRollButton');
+  if (!canvas) {
+    throw new Error(`Piano roll canvas with id "${canvasId}" not found`);
+  }
+  const ctx = canvas.getContext('2d');
+
+  let structure = engine.getPatternStructure();
+  let selected = null; // { event, degree }
+  let drag = null;
+  let degreeRange = { min: MIN_DEGREE, max: MAX_DEGREE };
+  let isCommitting = false;
+
+  function updateDegreeRange() {
+    const degrees = structure.flatMap(event => event.degrees);
+    degreeRange = {
+      min: Math.min(MIN_DEGREE, ...degrees.map(degree => degree - 2)),
+      max: Math.max(MAX_DEGREE, ...degrees.map(degree => degree + 2))
+    };
+    canvas.width = LABEL_WIDTH + TOTAL_STEPS * STEP_WIDTH;
+    canvas.height = (degreeRange.max - degreeRange.min + 1) * ROW_HEIGHT;
+  }
+
+  function rowY(degree) {
+    return (degreeRange.max - degree) * ROW_HEIGHT;
+  }
+
+  function stepX(step) {
+    return LABEL_WIDTH + step * STEP_WIDTH;
+  }
+
+  function pointerPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+    return {
+      x,
+      step: Math.floor((x - LABEL_WIDTH) / STEP_WIDTH),
+      degree: degreeRange.max - Math.floor(y / ROW_HEIGHT)
+    };
+  }
+
+  function findNoteAt({ x, step, degree }) {
+    for (let i = structure.length - 1; i >= 0; i--) {
+      const event = structure[i];
+      if (!event.degrees.includes(degree)) continue;
+      const start = timeStringToSteps(event.time);
+      const length = durationToSteps(event.duration);
+      if (step >= start && step < start + length) {
+        const edge = stepX(start + length);
+        return { event, degree, isEdge: x >= edge - RESIZE_HANDLE };
+      }
+    }
+    return null;
+  }
+
+  function draw() {
+    const { patternLength } = engine.getParams();
+    const loopSteps = Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, patternLength)) * STEPS_PER_MEASURE;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    for (let degree = degreeRange.min; degree <= degreeRange.max; degree++) {
+      const y = rowY(degree);
+      ctx.fillStyle = degree === 0 ? 'rgba(255, 255, 255, 0.1)' : (degree % 2 ? 'rgba(255, 255, 255, 0.02)' : 'rgba(255, 255, 255, 0.05)');
+      ctx.fillRect(LABEL_WIDTH, y, TOTAL_STEPS * STEP_WIDTH, ROW_HEIGHT);
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '8px monospace';
+      ctx.fillText(String(degree), 2, y + ROW_HEIGHT - 2);
+    }
+
+    for (let step = 0; step <= TOTAL_STEPS; step += 4) {
+      ctx.fillStyle = step % STEPS_PER_MEASURE === 0 ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 255, 255, 0.08)';
+      ctx.fillRect(stepX(step), 0, 1, canvas.height);
+    }
+
+    // Measures past patternLength are kept but do not play.
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(stepX(loopSteps), 0, (TOTAL_STEPS - loopSteps) * STEP_WIDTH, canvas.height);
+
+    structure.forEach(event => {
+      const start = timeStringToSteps(event.time);
+      const length = durationToSteps(event.duration);
+      event.degrees.forEach(degree => {
+        const isSelected = selected && selected.event === event && selected.degree === degree;
+        ctx.globalAlpha = 0.35 + event.velocity * 0.65;
+        ctx.fillStyle = isSelected ? '#f8fafc' : '#e2e8f0';
+        ctx.fillRect(stepX(start) + 1, rowY(degree) + 1, length * STEP_WIDTH - 2, ROW_HEIGHT - 2);
+        ctx.globalAlpha = 1;
+        if (isSelected) {
+          ctx.strokeStyle = '#94a3b8';
+          ctx.strokeRect(stepX(start) + 0.5, rowY(degree) + 0.5, length * STEP_WIDTH - 1, ROW_HEIGHT - 1);
+        }
+      });
+    });
+  }
+
+  function renderSelection() {
+    const hasSelection = Boolean(selected);
+    velocityInput.disabled = !hasSelection;
+    if (hasSelection) {
+      selectionLabel.textContent = `${selected.event.time} / ${selected.degree}`;
+      velocityInput.value = selected.event.velocity;
+      velocityValue.textContent = selected.event.velocity.toFixed(2);
+    } else {
+      selectionLabel.textContent = '-';
+      velocityValue.textContent = '-';
+    }
+  }
+
+  function render() {
+    draw();
+    renderSelection();
+  }
+
+  // Hands the edited structure to the engine, which re-renders only the
+  // melodic part. The engine echoes a 'patternStructure' event back.
+  function commit() {
+    const selectedIndex = selected ? structure.indexOf(selected.event) : -1;
+    const selectedDegree = selected && selected.degree;
+    isCommitting = true;
+    try {
+      engine.setPatternStructure(structure);
+    } finally {
+      isCommitting = false;
+    }
+    structure = engine.getPatternStructure();
+    selected = selectedIndex >= 0 && structure[selectedIndex]
+      ? { event: structure[selectedIndex], degree: selectedDegree }
+      : null;
+    updateDegreeRange();
+    render();
+  }
+
+  function removeNote(event, degree) {
+    event.degrees = event.degrees.filter(other => other !== degree);
+    if (!event.degrees.length) {
+      structure = structure.filter(other => other !== event);
+    }
+    selected = null;
+    commit();
+  }
+
+  // Chord notes that change position get their own event.
+  function detachNote(event, degree) {
+    if (event.degrees.length === 1) return event;
+    event.degrees = event.degrees.filter(other => other !== degree);
+    const single = { ...event, degrees: [degree] };
+    structure.push(single);
+    return single;
+  }
+
+  function handleMouseDown(e) {
+    if (e.button !== 0) return;
+    const position = pointerPosition(e);
+    if (position.step < 0 || position.step >= TOTAL_STEPS) return;
+    const hit = findNoteAt(position);
+    if (hit) {
+      selected = { event: hit.event, degree: hit.degree };
+      drag = {
+        mode: hit.isEdge ? 'resize' : 'move',
+        event: hit.event,
+        degree: hit.degree,
+        startStep: position.step,
+        startDegree: position.degree,
+        originalStart: timeStringToSteps(hit.event.time),
+        originalLength: durationToSteps(hit.event.duration),
+        changed: false
+      };
+    } else {
+      const event = {
+        time: stepsToTimeString(position.step),
+        duration: stepsToDuration(DEFAULT_NOTE_STEPS),
+        velocity: DEFAULT_NOTE_VELOCITY,
+        degrees: [position.degree]
+      };
+      structure.push(event);
+      selected = { event, degree: position.degree };
+      drag = {
+        mode: 'resize',
+        event,
+        degree: position.degree,
+        startStep: position.step,
+        startDegree: position.degree,
+        originalStart: position.step,
+        originalLength: DEFAULT_NOTE_STEPS,
+        changed: true
+      };
+    }
+    render();
+  }
+
+  function handleMouseMove(e) {
+    const position = pointerPosition(e);
+    if (!drag) {
+      const hit = findNoteAt(position);
+      canvas.style.cursor = hit ? (hit.isEdge ? 'ew-resize' : 'move') : 'crosshair';
+      return;
+    }
+    const stepDelta = position.step - drag.startStep;
+    if (drag.mode === 'resize') {
+      const maxLength = TOTAL_STEPS - drag.originalStart;
+      const length = Math.max(1, Math.min(maxLength, drag.originalLength + stepDelta));
+      const duration = stepsToDuration(length);
+      if (duration !== drag.event.duration) {
+        drag.event.duration = duration;
+        drag.changed = true;
+      }
+    } else {
+      const maxStart = TOTAL_STEPS - durationToSteps(drag.event.duration);
+      const start = Math.max(0, Math.min(maxStart, drag.originalStart + stepDelta));
+      const degree = drag.degree + (position.degree - drag.startDegree);
+      const time = stepsToTimeString(start);
+      const currentDegree = selected.degree;
+      if (time !== drag.event.time) {
+        drag.event = detachNote(drag.event, currentDegree);
+        drag.event.time = time;
+        drag.changed = true;
+      }
+      if (degree !== currentDegree && !drag.event.degrees.includes(degree)) {
+        drag.event.degrees = drag.event.degrees.map(other => (other === currentDegree ? degree : other));
+        drag.changed = true;
+      }
+      selected = { event: drag.event, degree: drag.event.degrees.includes(degree) ? degree : currentDegree };
+    }
+    draw();
+  }
+
+  function handleMouseUp() {
+    if (!drag) return;
+    const { changed } = drag;
+    drag = null;
+    if (changed) {
+      commit();
+    } else {
+      render();
+    }
+  }
+
+  function handleDelete(e) {
+    e.preventDefault();
+    const hit = findNoteAt(pointerPosition(e));
+    if (hit) removeNote(hit.event, hit.degree);
+  }
+
+  // Reloads from the engine after a new soundscape or a scale change.
+  function refresh() {
+    if (drag || isCommitting) return;
+    structure = engine.getPatternStructure();
+    selected = null;
+    updateDegreeRange();
+    render();
+  }
+
+  canvas.addEventListener('mousedown', handleMouseDown);
+  canvas.addEventListener('mousemove', handleMouseMove);
+  window.addEventListener('mouseup', handleMouseUp);
+  canvas.addEventListener('dblclick', handleDelete);
+  canvas.addEventListener('contextmenu', handleDelete);
+
+  velocityInput.addEventListener('input', (e) => {
+    if (!selected) return;
+    selected.event.velocity = parseFloat(e.target.value);
+    velocityValue.textContent = selected.event.velocity.toFixed(2);
+    draw();
+  });
+
+  velocityInput.addEventListener('change', () => {
+    if (selected) commit();
+  });
+
+  resetButton.addEventListener('click', () => {
+    engine.resetPatternStructure();
+  });
+
+  updateDegreeRange();
+  render();
+
+  return {
+    refresh,
+    draw,
+  };
+}
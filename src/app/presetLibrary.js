@@ -0,0 +1,234 @@
+import { decodeState } from '../engine/state.js';
+import { downloadBlob } from '../utils/download.js';
+import { createPresetStore } from './presetStore.js';
+
+const MAX_RATING = 5;
+
+function parseTags(text) {
+  return [...new Set(String(text || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+// Keeps what is needed from an imported or edited preset and drops presets
+// whose state cannot be read.
+function normalizePreset(preset) {
+  if (!preset || typeof preset.state !== 'string') return null;
+  try {
+    decodeState(preset.state);
+  } catch (e) {
+    return null;
+  }
+  const created = new Date(preset.created);
+  return {
+    name: String(preset.name || 'Preset').slice(0, 80),
+    tags: Array.isArray(preset.tags) ? parseTags(preset.tags.join(',')) : parseTags(preset.tags),
+    rating: Math.max(0, Math.min(MAX_RATING, Math.round(Number(preset.rating) || 0))),
+    favorite: Boolean(preset.favorite),
+    created: Number.isNaN(created.getTime()) ? new Date().toISOString() : created.toISOString(),
+    thumbnail: typeof preset.thumbnail === 'string' && preset.thumbnail.startsWith('data:image/') ? preset.thumbnail : '',
+    state: preset.state
+  };
+}
+
+function matchesQuery(preset, query) {
+  if (!query) return true;
+  const haystack = [preset.name, ...preset.tags].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+// Preset browser backed by IndexedDB: save the current state with name, tags
+// and a visualizer thumbnail, then search, rate, favorite, load, delete and
+// bulk import/export as JSON.
+export function createPresetLibrary({ engine, visualizer, listId = 'presetList' } = {}) {
+  const listElement = document.getElementById(listId);
+  const nameInput = document.getElementById('presetName');
+  const tagsInput = document.getElementById('presetTags');
+  const saveButton = document.getElementById('savePresetButton');
+  const searchInput = document.getElementById('presetSearch');
+  const favoritesInput = document.getElementById('presetFavoritesOnly');
+  const exportButton = document.getElementById('exportPresetsButton');
+  const importButton = document.getElementById('importPresetsButton');
+  const importInput = document.getElementById('importPresetsInput');
+  if (!listElement) {
+    throw new Error(`Preset list with id "${listId}" not found`);
+  }
+
+  const store = createPresetStore();
+  let presets = [];
+
+  function flashButton(button, text, resetText) {
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = resetText;
+    }, 1500);
+  }
+
+  async function reload() {
+    try {
+      presets = await store.list();
+    } catch (e) {
+      console.error('Could not read presets:', e);
+      presets = [];
+    }
+    render();
+  }
+
+  // The button that made the change shows when it could not be stored.
+  async function update(preset, changes, button) {
+    try {
+      await store.put({ ...preset, ...changes });
+    } catch (e) {
+      console.error('Could not update preset:', e);
+      flashButton(button, '!', button.textContent);
+      return;
+    }
+    await reload();
+  }
+
+  function makeButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bypass-button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function makeRating(preset) {
+    const rating = document.createElement('span');
+    rating.className = 'preset-rating';
+    for (let value = 1; value <= MAX_RATING; value++) {
+      const star = document.createElement('button');
+      star.type = 'button';
+      star.textContent = value <= preset.rating ? '★' : '☆';
+      star.title = `${value} ster${value === 1 ? '' : 'ren'}`;
+      // Clicking the current rating again clears it.
+      star.addEventListener('click', () => update(preset, { rating: preset.rating === value ? 0 : value }, star));
+      rating.appendChild(star);
+    }
+    return rating;
+  }
+
+  function makeRow(preset) {
+    const row = document.createElement('div');
+    row.className = 'preset-row';
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'preset-thumbnail';
+    thumbnail.alt = '';
+    if (preset.thumbnail) thumbnail.src = preset.thumbnail;
+    row.appendChild(thumbnail);
+
+    const info = document.createElement('div');
+    info.className = 'preset-info';
+    const name = document.createElement('button');
+    name.type = 'button';
+    name.className = 'rhythm-name';
+    name.textContent = preset.name;
+    name.title = 'Laad deze preset';
+    name.addEventListener('click', () => engine.loadState(preset.state));
+    info.appendChild(name);
+    const meta = document.createElement('div');
+    meta.className = 'preset-meta';
+    meta.textContent = [new Date(preset.created).toLocaleDateString(), ...preset.tags.map(tag => `#${tag}`)].join(' ');
+    info.appendChild(meta);
+    info.appendChild(makeRating(preset));
+    row.appendChild(info);
+
+    const favorite = makeButton(preset.favorite ? '♥' : '♡', 'Favoriet', () => update(preset, { favorite: !preset.favorite }, favorite));
+    favorite.classList.toggle('is-locked', preset.favorite);
+    row.appendChild(favorite);
+    const removeButton = makeButton('×', 'Verwijder', async () => {
+      if (!window.confirm(`Preset "${preset.name}" verwijderen?`)) return;
+      try {
+        await store.remove(preset.id);
+      } catch (e) {
+        console.error('Could not delete preset:', e);
+        flashButton(removeButton, '!', '×');
+      }
+      await reload();
+    });
+    row.appendChild(removeButton);
+    return row;
+  }
+
+  function render() {
+    const query = searchInput.value.trim();
+    const visible = presets
+      .filter(preset => !favoritesInput.checked || preset.favorite)
+      .filter(preset => matchesQuery(preset, query))
+      .sort((a, b) => (b.favorite - a.favorite) || (b.rating - a.rating) || b.created.localeCompare(a.created));
+    listElement.innerHTML = '';
+    if (!visible.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-xs text-[var(--text-secondary)]';
+      empty.textContent = presets.length ? 'Geen presets gevonden.' : 'Nog geen presets.';
+      listElement.appendChild(empty);
+      return;
+    }
+    visible.forEach(preset => listElement.appendChild(makeRow(preset)));
+  }
+
+  saveButton.addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+    const preset = normalizePreset({
+      name,
+      tags: tagsInput.value,
+      created: new Date().toISOString(),
+      thumbnail: visualizer ? visualizer.captureThumbnail() : '',
+      state: engine.getState()
+    });
+    try {
+      await store.put(preset);
+      nameInput.value = '';
+      tagsInput.value = '';
+      flashButton(saveButton, 'Saved!', 'Opslaan');
+    } catch (e) {
+      console.error('Could not save preset:', e);
+      flashButton(saveButton, 'Failed!', 'Opslaan');
+    }
+    await reload();
+  });
+
+  searchInput.addEventListener('input', render);
+  favoritesInput.addEventListener('change', render);
+
+  exportButton.addEventListener('click', () => {
+    const exported = presets.map(({ id, ...preset }) => preset);
+    const json = JSON.stringify({ presets: exported }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'blokken-presets.json');
+  });
+
+  importButton.addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const list = Array.isArray(data) ? data : data && data.presets;
+      const imported = (Array.isArray(list) ? list : []).map(normalizePreset).filter(Boolean);
+      if (!imported.length) throw new Error('No presets found');
+      await store.putMany(imported);
+      flashButton(importButton, `+${imported.length}`, 'Import');
+    } catch (e) {
+      console.error('Invalid preset file:', e);
+      flashButton(importButton, 'Invalid!', 'Import');
+    }
+    await reload();
+  });
+
+  reload();
+
+  return {
+    reload,
+  };
+}
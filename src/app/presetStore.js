@@ -0,0 +1,48 @@
+const DB_NAME = 'blokken';
+const DB_VERSION = 1;
+const STORE_NAME = 'presets';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Promise wrapper around the IndexedDB object store that holds presets:
+// { id, name, tags, rating, favorite, created, thumbnail, state }.
+export function createPresetStore() {
+  let dbPromise = null;
+
+  function getDatabase() {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  }
+
+  async function run(mode, callback) {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = callback(transaction.objectStore(STORE_NAME));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  return {
+    list: () => run('readonly', store => store.getAll()),
+    get: id => run('readonly', store => store.get(id)),
+    put: preset => run('readwrite', store => store.put(preset)),
+    putMany: presets => run('readwrite', store => presets.map(preset => store.put(preset)).length),
+    remove: id => run('readwrite', store => store.delete(id)),
+  };
+}
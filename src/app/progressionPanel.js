@@ -0,0 +1,68 @@
+import { formatProgression, parseProgression } from '../engine/harmony.js';
+
+// Progression mode of the scale cycle: a Roman-numeral progression typed as
+// text, stored in the state as structured steps.
+export function createProgressionPanel({ engine } = {}) {
+  const input = document.getElementById('progressionInput');
+  const applyButton = document.getElementById('applyProgressionButton');
+  const clearButton = document.getElementById('clearProgressionButton');
+  const statusElement = document.getElementById('progressionStatus');
+  if (!input || !applyButton) {
+    throw new Error('Progression controls not found');
+  }
+
+  function showStatus(text) {
+    statusElement.textContent = text;
+  }
+
+  // Shows the stored progression unless the field is being edited.
+  function render() {
+    const { progression } = engine.getParams();
+    if (document.activeElement !== input) {
+      input.value = formatProgression(progression);
+    }
+    clearButton.disabled = !progression;
+    renderPosition();
+  }
+
+  function renderPosition() {
+    const { active, index, loopsPlayed, step } = engine.getProgressionState();
+    if (!active) {
+      showStatus('Uit: de scale cycle wisselt de grondtoon.');
+      return;
+    }
+    const { steps } = engine.getParams().progression;
+    showStatus(`Stap ${index + 1}/${steps.length}: ${step.numeral} (loop ${loopsPlayed + 1}/${step.loops})`);
+  }
+
+  function apply() {
+    const text = input.value.trim();
+    if (!text) {
+      engine.setParam('progression', null);
+      return;
+    }
+    try {
+      const progression = parseProgression(text);
+      input.blur();
+      engine.setParam('progression', progression);
+    } catch (e) {
+      showStatus(e.message);
+    }
+  }
+
+  applyButton.addEventListener('click', apply);
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter') apply();
+  });
+  clearButton.addEventListener('click', () => {
+    input.value = '';
+    engine.setParam('progression', null);
+  });
+
+  render();
+
+  return {
+    render,
+    renderPosition,
+  };
+}
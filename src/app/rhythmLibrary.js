@@ -0,0 +1,144 @@
+import { RHYTHM_PATTERNS } from '../engine/rhythms.js';
+import { downloadBlob } from '../utils/download.js';
+
+const STORAGE_KEY = 'blokken:rhythms';
+
+function readStoredRhythms() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) && stored.length ? stored : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Accepts either a bare array of rhythms or { rhythms: [...] }.
+function parseRhythmJson(text) {
+  const data = JSON.parse(text);
+  const rhythms = Array.isArray(data) ? data : data && data.rhythms;
+  if (!Array.isArray(rhythms) || !rhythms.length) {
+    throw new Error('No rhythms found');
+  }
+  return rhythms;
+}
+
+// Lists the user's rhythms, with reorder/delete, JSON import/export and
+// localStorage persistence. Clicking a name plays a copy of that rhythm as the
+// customRhythm parameter, so the state does not depend on the library.
+export function createRhythmLibrary({ engine, listId = 'rhythmLibraryList' } = {}) {
+  const listElement = document.getElementById(listId);
+  const exportButton = document.getElementById('exportRhythmsButton');
+  const importButton = document.getElementById('importRhythmsButton');
+  const importInput = document.getElementById('importRhythmsInput');
+  const resetButton = document.getElementById('resetRhythmsButton');
+  if (!listElement) {
+    throw new Error(`Rhythm list with id "${listId}" not found`);
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(engine.getRhythms()));
+    } catch (e) {
+      console.warn('Could not store rhythms:', e);
+    }
+  }
+
+  function update(rhythms) {
+    engine.setRhythms(rhythms);
+  }
+
+  function move(index, direction) {
+    const rhythms = engine.getRhythms();
+    const target = index + direction;
+    if (target < 0 || target >= rhythms.length) return;
+    [rhythms[index], rhythms[target]] = [rhythms[target], rhythms[index]];
+    update(rhythms);
+  }
+
+  function remove(index) {
+    const rhythms = engine.getRhythms();
+    if (rhythms.length <= 1) return;
+    rhythms.splice(index, 1);
+    update(rhythms);
+  }
+
+  function makeButton(text, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bypass-button';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function render() {
+    const rhythms = engine.getRhythms();
+    listElement.innerHTML = '';
+    rhythms.forEach((rhythm, index) => {
+      const row = document.createElement('div');
+      row.className = 'rhythm-row';
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'rhythm-name';
+      name.textContent = rhythm.label;
+      name.title = 'Kies dit ritme';
+      name.addEventListener('click', () => {
+        engine.setParam('customRhythm', rhythm);
+      });
+      row.appendChild(name);
+      row.appendChild(makeButton('↑', 'Omhoog', () => move(index, -1), index === 0));
+      row.appendChild(makeButton('↓', 'Omlaag', () => move(index, 1), index === rhythms.length - 1));
+      row.appendChild(makeButton('×', 'Verwijder', () => remove(index), rhythms.length <= 1));
+      listElement.appendChild(row);
+    });
+  }
+
+  exportButton.addEventListener('click', () => {
+    const json = JSON.stringify({ rhythms: engine.getRhythms() }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'blokken-ritmes.json');
+  });
+
+  importButton.addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const imported = parseRhythmJson(await file.text());
+      update([...engine.getRhythms(), ...imported]);
+    } catch (e) {
+      console.error('Invalid rhythm file:', e);
+      importButton.textContent = 'Invalid!';
+      setTimeout(() => {
+        importButton.textContent = 'Import';
+      }, 1500);
+    }
+  });
+
+  resetButton.addEventListener('click', () => {
+    update(RHYTHM_PATTERNS);
+  });
+
+  // Called when the engine reports a changed rhythm list.
+  function handleRhythmsChanged() {
+    persist();
+    render();
+  }
+
+  const stored = readStoredRhythms();
+  if (stored) {
+    try {
+      engine.setRhythms(stored);
+    } catch (e) {
+      console.warn('Ignoring stored rhythms:', e);
+    }
+  }
+  render();
+
+  return {
+    handleRhythmsChanged,
+  };
+}
@@ -0,0 +1,170 @@
+import { getScaleDefinition } from '../engine/params.js';
+import {
+  applyKeyboardMapping,
+  normalizeScale,
+  parseKeyboardMapping,
+  parseScala,
+  parseScaleText,
+} from '../engine/scales.js';
+
+const STORAGE_KEY = 'blokken:scales';
+const SCALE_FROM_SLIDER = '';
+const SCALE_FROM_STATE = 'state';
+
+function readStoredScales() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored.map(scale => {
+      try {
+        return normalizeScale(scale);
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function isSameScale(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Tuning picker: the gevoel slider's library scale, or a custom scale typed
+// in as steps or imported from Scala .scl (and optionally .kbm) files. Custom
+// scales are kept locally; the active one is stored in the state.
+export function createScaleLibrary({ engine } = {}) {
+  const select = document.getElementById('customScaleSelect');
+  const nameInput = document.getElementById('customScaleName');
+  const stepsInput = document.getElementById('customScaleSteps');
+  const addButton = document.getElementById('addCustomScaleButton');
+  const deleteButton = document.getElementById('deleteCustomScaleButton');
+  const importButton = document.getElementById('importScalaButton');
+  const importInput = document.getElementById('importScalaInput');
+  const messageElement = document.getElementById('customScaleMessage');
+  if (!select) {
+    throw new Error('Custom scale select not found');
+  }
+
+  let scales = readStoredScales();
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(scales));
+    } catch (e) {
+      console.warn('Could not store scales:', e);
+    }
+  }
+
+  function showMessage(text) {
+    messageElement.textContent = text;
+    messageElement.classList.toggle('hidden', !text);
+  }
+
+  function describe(scale) {
+    const period = Math.abs(scale.period - 1200) < 0.001 ? '' : `, periode ${scale.period.toFixed(1)}c`;
+    const root = scale.rootFrequency ? `, ${scale.rootFrequency.toFixed(2)} Hz` : '';
+    return `${scale.name} (${scale.cents.length} tonen${period}${root})`;
+  }
+
+  function render() {
+    const { customScale } = engine.getParams();
+    select.innerHTML = '';
+    const sliderOption = document.createElement('option');
+    sliderOption.value = SCALE_FROM_SLIDER;
+    sliderOption.textContent = 'Gevoel-schaal';
+    select.appendChild(sliderOption);
+    let selected = SCALE_FROM_SLIDER;
+    scales.forEach((scale, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = describe(scale);
+      select.appendChild(option);
+      if (customScale && selected === SCALE_FROM_SLIDER && isSameScale(scale, customScale)) {
+        selected = option.value;
+      }
+    });
+    // A state can bring a tuning that is not in the local library.
+    if (customScale && selected === SCALE_FROM_SLIDER) {
+      const option = document.createElement('option');
+      option.value = SCALE_FROM_STATE;
+      option.textContent = `${describe(customScale)} (state)`;
+      select.appendChild(option);
+      selected = SCALE_FROM_STATE;
+    }
+    select.value = selected;
+    deleteButton.disabled = !/^\d+$/.test(selected);
+  }
+
+  function addScale(scale) {
+    if (!scales.some(existing => isSameScale(existing, scale))) {
+      scales = [...scales, scale];
+      persist();
+    }
+    engine.setParam('customScale', scale);
+  }
+
+  select.addEventListener('change', () => {
+    if (select.value === SCALE_FROM_SLIDER) {
+      engine.setParam('customScale', null);
+    } else if (select.value !== SCALE_FROM_STATE) {
+      engine.setParam('customScale', scales[Number(select.value)]);
+    }
+  });
+
+  addButton.addEventListener('click', () => {
+    try {
+      addScale(parseScaleText(stepsInput.value, nameInput.value.trim() || 'Custom'));
+      stepsInput.value = '';
+      nameInput.value = '';
+      showMessage('');
+    } catch (e) {
+      showMessage(e.message);
+    }
+  });
+
+  deleteButton.addEventListener('click', () => {
+    const index = Number(select.value);
+    const scale = scales[index];
+    if (!scale || !window.confirm(`Schaal "${scale.name}" verwijderen?`)) return;
+    scales = scales.filter((_, idx) => idx !== index);
+    persist();
+    // The tuning stays active until another one is picked.
+    render();
+  });
+
+  importButton.addEventListener('click', () => importInput.click());
+
+  // Accepts one .scl, optionally together with a .kbm. A .kbm on its own is
+  // applied to the active scale.
+  importInput.addEventListener('change', async () => {
+    const files = [...(importInput.files || [])];
+    importInput.value = '';
+    if (!files.length) return;
+    try {
+      const sclFile = files.find(file => /\.scl$/i.test(file.name));
+      const kbmFile = files.find(file => /\.kbm$/i.test(file.name));
+      if (!sclFile && !kbmFile) throw new Error('Kies een .scl- en/of .kbm-bestand');
+      const params = engine.getParams();
+      let scale = sclFile
+        ? parseScala(await sclFile.text(), sclFile.name.replace(/\.scl$/i, ''))
+        : normalizeScale(params.customScale || getScaleDefinition(params.scaleIndex));
+      if (kbmFile) {
+        scale = applyKeyboardMapping(scale, parseKeyboardMapping(await kbmFile.text()));
+        scale.name = `${scale.name} · ${kbmFile.name.replace(/\.kbm$/i, '')}`;
+      }
+      addScale(scale);
+      showMessage('');
+    } catch (e) {
+      console.error('Invalid Scala file:', e);
+      showMessage(e.message);
+    }
+  });
+
+  render();
+
+  return {
+    render,
+  };
+}
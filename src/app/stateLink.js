@@ -0,0 +1,36 @@
+import {
+  isCompressionSupported,
+  compressToBase64Url,
+  decompressFromBase64Url,
+  encodeBase64Url,
+  decodeBase64Url,
+} from '../utils/compression.js';
+import { jsonToStateString, stateStringToJson } from '../engine/state.js';
+
+// Links carry the state JSON in the fragment, so it never reaches a server:
+// "#s=" holds it deflated, "#j=" uncompressed for browsers without
+// CompressionStream.
+const COMPRESSED_KEY = 's';
+const PLAIN_KEY = 'j';
+
+export async function createStateLink(stateString, baseUrl = window.location.href) {
+  const json = stateStringToJson(stateString);
+  const url = new URL(baseUrl);
+  url.hash = isCompressionSupported()
+    ? `${COMPRESSED_KEY}=${await compressToBase64Url(json)}`
+    : `${PLAIN_KEY}=${encodeBase64Url(json)}`;
+  return url.toString();
+}
+
+// Returns the state string stored in the fragment, or null when there is
+// none. Throws when the fragment is there but cannot be decoded.
+export async function readStateFromHash(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (params.has(COMPRESSED_KEY)) {
+    return jsonToStateString(await decompressFromBase64Url(params.get(COMPRESSED_KEY)));
+  }
+  if (params.has(PLAIN_KEY)) {
+    return jsonToStateString(decodeBase64Url(params.get(PLAIN_KEY)));
+  }
+  return null;
+}
@@ -198,6 +198,22 @@ class ThreeSistersSVFProcessor extends AudioWorkletProcessor {
 registerProcessor('three-sisters-svf-processor', ThreeSistersSVFProcessor);
 `;
 
+// Module load promises keyed by the raw context.  Every context (including the
+// OfflineAudioContext used for rendering) needs its own copy of the processor.
+const workletModules = new WeakMap();
+
+function loadProcessorModule (rawContext) {
+  if (!workletModules.has(rawContext)) {
+    const blob = new Blob([processorCode], { type: 'application/javascript' });
+    const url  = URL.createObjectURL(blob);
+    const promise = rawContext.audioWorklet.addModule(url)
+      .finally(() => URL.revokeObjectURL(url));
+    promise.catch(() => workletModules.delete(rawContext));
+    workletModules.set(rawContext, promise);
+  }
+  return workletModules.get(rawContext);
+}
+
 /**
  * ThreeSistersSVF node class.  This extends Tone.AudioNode and wraps an
  * AudioWorkletNode running the custom processor defined above.  Parameters can be
@@ -240,19 +256,16 @@ export default class ThreeSistersSVF extends ToneAudioNode {
    */
   async _initWorklet () {
     // Guard against running on unsupported browsers
-    const context = Tone.getContext();
-    if (!context || !context.audioWorklet) {
+    // Use the context this node was created in, so nodes built inside Tone.Offline
+    // end up in the offline graph rather than the live one.
+    const context = this.context;
+    if (!context || !context.rawContext || !context.rawContext.audioWorklet) {
       throw new Error('ThreeSistersSVF: AudioWorklet is not supported in this environment');
     }
     // Load the processor only once per AudioContext
-    if (!ThreeSistersSVF._workletLoaded) {
-      const blob = new Blob([processorCode], { type: 'application/javascript' });
-      const url  = URL.createObjectURL(blob);
-      await context.audioWorklet.addModule(url);
-      ThreeSistersSVF._workletLoaded = true;
-    }
+    await loadProcessorModule(context.rawContext);
     // Create the AudioWorkletNode instance
-    this._workletNode = new AudioWorkletNode(context, 'three-sisters-svf-processor', {
+    this._workletNode = context.createAudioWorkletNode('three-sisters-svf-processor', {
       numberOfInputs: 1,
       numberOfOutputs: 1,
       outputChannelCount: [1],
@@ -0,0 +1,31 @@
+import { decodeState } from './state.js';
+
+export const ARRANGEMENT_TRANSITIONS = ['crossfade', 'cut', 'filter'];
+export const MAX_SECTION_LOOPS = 64;
+
+// Validates one section: a state string (as produced by getState), how many
+// pattern loops it plays and how the switch into it sounds.
+export function normalizeArrangementSection(section, index = 0) {
+  if (!section || typeof section.state !== 'string') {
+    throw new Error(`Section ${index + 1} has no state`);
+  }
+  try {
+    decodeState(section.state);
+  } catch (e) {
+    throw new Error(`Section ${index + 1} has an invalid state`);
+  }
+  const loops = Math.round(Number(section.loops));
+  return {
+    label: section.label ? String(section.label) : `Deel ${index + 1}`,
+    state: section.state,
+    loops: Number.isFinite(loops) ? Math.min(MAX_SECTION_LOOPS, Math.max(1, loops)) : 1,
+    transition: ARRANGEMENT_TRANSITIONS.includes(section.transition) ? section.transition : 'crossfade'
+  };
+}
+
+export function normalizeArrangement(sections) {
+  if (!Array.isArray(sections)) {
+    throw new Error('Arrangement must be an array of sections');
+  }
+  return sections.map(normalizeArrangementSection);
+}
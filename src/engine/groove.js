@@ -0,0 +1,157 @@
+// Groove templates: per sixteenth of the bar a timing offset (in sixteenths,
+// positive is late) and a velocity factor. The swing amount scales both, so
+// 0 is straight and 1 is the full template.
+
+const STEPS_PER_BAR = 16;
+const MAX_GROOVE_OFFSET = 0.5;
+
+export class GrooveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GrooveError';
+  }
+}
+
+function templateFromBeat(beat) {
+  return Array.from({ length: STEPS_PER_BAR }, (_, step) => beat[step % beat.length]);
+}
+
+// Rounds the time to the grid step it belongs to and returns both.
+function splitTime(time) {
+  const steps = typeof time === 'number' ? time : timeToSixteenths(time);
+  const nearest = Math.round(steps);
+  return { steps, step: ((nearest % STEPS_PER_BAR) + STEPS_PER_BAR) % STEPS_PER_BAR, deviation: steps - nearest };
+}
+
+// "m:q:s" with fractional parts, as Tone.js reads it.
+export function timeToSixteenths(time) {
+  const [measure = 0, quarter = 0, sixteenth = 0] = String(time).split(':').map(part => parseFloat(part) || 0);
+  return measure * STEPS_PER_BAR + quarter * 4 + sixteenth;
+}
+
+export function sixteenthsToTime(steps) {
+  const clamped = Math.max(0, steps);
+  const measure = Math.floor(clamped / STEPS_PER_BAR);
+  const quarter = Math.floor((clamped % STEPS_PER_BAR) / 4);
+  const sixteenth = Math.round((clamped - measure * STEPS_PER_BAR - quarter * 4) * 1000) / 1000;
+  return `${measure}:${quarter}:${sixteenth}`;
+}
+
+// Averages how far each grid step of a played reference lies from the grid
+// and how loud it is compared with the loudest step. Events are
+// { time, velocity } with the time in "m:q:s" or in sixteenths.
+export function extractGroove(events) {
+  const sums = Array.from({ length: STEPS_PER_BAR }, () => ({ offset: 0, velocity: 0, count: 0 }));
+  events.forEach(event => {
+    const { step, deviation } = splitTime(event.time);
+    sums[step].offset += deviation;
+    sums[step].velocity += Number(event.velocity) || 0;
+    sums[step].count++;
+  });
+  const loudest = Math.max(...sums.map(sum => (sum.count ? sum.velocity / sum.count : 0)));
+  return sums.map(({ offset, velocity, count }) => (count && loudest > 0
+    ? { offset: offset / count, velocity: velocity / count / loudest }
+    : { offset: 0, velocity: 1 }));
+}
+
+export const DRUM_ACCENTS_NAME = 'Drumaccenten';
+
+// A groove from a generated drum pattern. Its hits sit on the sixteenth grid
+// unless the rhythm has offsets; without those only the accents carry over,
+// and the groove is named for that.
+export function extractDrumGroove(drumPattern) {
+  const steps = extractGroove(drumPattern);
+  const hasTiming = steps.some(step => step.offset !== 0);
+  return { name: hasTiming ? 'Drumpatroon' : DRUM_ACCENTS_NAME, steps };
+}
+
+// Two bars of a laid-back hand-played hi-hat, late offbeats and soft ghost
+// sixteenths; the "Referentie" template is extracted from it.
+const REFERENCE_PERFORMANCE = [
+  [0, 1.0], [1.16, 0.42], [2.09, 0.78], [3.21, 0.38],
+  [3.98, 0.92], [5.18, 0.45], [6.11, 0.74], [7.24, 0.4],
+  [8.01, 0.96], [9.15, 0.44], [10.08, 0.8], [11.2, 0.36],
+  [11.97, 0.9], [13.19, 0.47], [14.12, 0.72], [15.23, 0.41],
+  [16.02, 0.98], [17.17, 0.4], [18.1, 0.76], [19.22, 0.39],
+  [19.99, 0.94], [21.16, 0.43], [22.09, 0.77], [23.25, 0.37],
+  [24, 0.97], [25.18, 0.46], [26.1, 0.79], [27.19, 0.4],
+  [27.98, 0.88], [29.2, 0.44], [30.12, 0.7], [31.22, 0.42],
+].map(([time, velocity]) => ({ time, velocity }));
+
+// Indexed by the grooveTemplate parameter; the index after the last one
+// selects the extracted groove in the customGroove parameter.
+export const GROOVE_TEMPLATES = [
+  { name: 'Recht', steps: null },
+  // MPC swing: the second and fourth sixteenth of each beat move late, up
+  // to 75% swing at full amount.
+  {
+    name: 'MPC-swing',
+    steps: templateFromBeat([
+      { offset: 0, velocity: 1 },
+      { offset: 0.5, velocity: 0.85 },
+      { offset: 0, velocity: 0.95 },
+      { offset: 0.5, velocity: 0.85 },
+    ])
+  },
+  // Triplet shuffle: the beat is played as three, with the offbeat eighth on
+  // the last triplet.
+  {
+    name: 'Shuffle',
+    steps: templateFromBeat([
+      { offset: 0, velocity: 1 },
+      { offset: 1 / 3, velocity: 0.7 },
+      { offset: 2 / 3, velocity: 0.9 },
+      { offset: 1 / 3, velocity: 0.7 },
+    ])
+  },
+  { name: 'Referentie', steps: extractGroove(REFERENCE_PERFORMANCE) },
+];
+
+export const CUSTOM_GROOVE_INDEX = GROOVE_TEMPLATES.length;
+
+// Checks an extracted groove: a name and one { offset, velocity } per
+// sixteenth of the bar.
+export function normalizeGroove(groove) {
+  if (!groove || typeof groove !== 'object' || !Array.isArray(groove.steps)) {
+    throw new GrooveError('Groove has no list of steps');
+  }
+  if (groove.steps.length !== STEPS_PER_BAR) {
+    throw new GrooveError(`A groove has ${STEPS_PER_BAR} steps`);
+  }
+  return {
+    name: String(groove.name || 'Groove').slice(0, 80),
+    steps: groove.steps.map(step => {
+      const offset = Number(step && step.offset);
+      const velocity = Number(step && step.velocity);
+      if (!Number.isFinite(offset) || !Number.isFinite(velocity)) {
+        throw new GrooveError('Groove step is not a number');
+      }
+      return {
+        offset: Math.max(-MAX_GROOVE_OFFSET, Math.min(MAX_GROOVE_OFFSET, offset)),
+        velocity: Math.max(0, Math.min(1, velocity))
+      };
+    })
+  };
+}
+
+// The steps of the template the params select, or null when straight.
+export function resolveGrooveSteps({ grooveTemplate, customGroove }) {
+  if (grooveTemplate === CUSTOM_GROOVE_INDEX) return customGroove ? customGroove.steps : null;
+  const template = GROOVE_TEMPLATES[grooveTemplate];
+  return template ? template.steps : null;
+}
+
+// Moves the events of a part by the template steps; events are copied, the
+// part's own list stays on the grid.
+export function applyGroove(events, grooveSteps, amount) {
+  if (!grooveSteps || !(amount > 0) || !events) return events;
+  return events.map(event => {
+    const { steps, step } = splitTime(event.time);
+    const { offset, velocity } = grooveSteps[step];
+    return {
+      ...event,
+      time: sixteenthsToTime(steps + offset * amount),
+      velocity: event.velocity * (1 + (velocity - 1) * amount)
+    };
+  });
+}
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CUSTOM_GROOVE_INDEX,
+  DRUM_ACCENTS_NAME,
+  GROOVE_TEMPLATES,
+  GrooveError,
+  applyGroove,
+  extractDrumGroove,
+  extractGroove,
+  normalizeGroove,
+  resolveGrooveSteps,
+  sixteenthsToTime,
+  timeToSixteenths,
+} from './groove.js';
+import { generateDrumPattern } from './rhythms.js';
+
+const MPC_SWING_INDEX = GROOVE_TEMPLATES.findIndex(template => template.name === 'MPC-swing');
+const straightSteps = () => Array.from({ length: 16 }, () => ({ offset: 0, velocity: 1 }));
+
+describe('time conversion', () => {
+  it('reads and writes fractional sixteenths', () => {
+    expect(timeToSixteenths('1:2:1.5')).toBe(25.5);
+    expect(sixteenthsToTime(25.5)).toBe('1:2:1.5');
+    expect(sixteenthsToTime(-2)).toBe('0:0:0');
+  });
+});
+
+describe('extractGroove', () => {
+  it('averages the deviation and relative velocity per grid step', () => {
+    const steps = extractGroove([
+      { time: 0, velocity: 1 },
+      { time: 2.2, velocity: 0.5 },
+      { time: 18.1, velocity: 0.7 },
+      { time: '0:1:0', velocity: 0.8 },
+    ]);
+    expect(steps).toHaveLength(16);
+    expect(steps[0]).toEqual({ offset: 0, velocity: 1 });
+    expect(steps[2].offset).toBeCloseTo(0.15);
+    expect(steps[2].velocity).toBeCloseTo(0.6);
+    expect(steps[4]).toEqual({ offset: 0, velocity: 0.8 });
+  });
+
+  it('files early notes under the step they anticipate', () => {
+    const steps = extractGroove([{ time: '0:3:3.8', velocity: 1 }]);
+    expect(steps[0].offset).toBeCloseTo(-0.2);
+  });
+
+  it('leaves steps without notes straight', () => {
+    expect(extractGroove([])).toEqual(straightSteps());
+  });
+});
+
+describe('extractDrumGroove', () => {
+  const params = { patternLength: 1, drumRhythm: 0, drumGenerator: 0, kickRepeat: 0, snareRepeat: 0, hihatRepeat: 0, clapRepeat: 0 };
+  const rhythm = offset => ({
+    label: 'Test',
+    kick: [[0, 0, 0, 1]],
+    snare: [[1, 0, 0, 0.5]],
+    hihat: [[0, 2, offset, 0.4], [1, 2, offset, 0.4], [2, 2, offset, 0.4], [3, 2, offset, 0.4]],
+    clap: []
+  });
+
+  it('only takes the accents from a pattern on the grid', () => {
+    const groove = extractDrumGroove(generateDrumPattern(params, rhythm(0)));
+    expect(groove.name).toBe(DRUM_ACCENTS_NAME);
+    expect(groove.steps.every(step => step.offset === 0)).toBe(true);
+    expect(groove.steps[4].velocity).toBeLessThan(1);
+  });
+
+  it('takes the timing from hit offsets', () => {
+    const groove = extractDrumGroove(generateDrumPattern(params, rhythm(1)));
+    expect(groove.name).not.toBe(DRUM_ACCENTS_NAME);
+    [2, 6, 10, 14].forEach(step => expect(groove.steps[step].offset).toBeGreaterThan(0));
+    expect(groove.steps[0].offset).toBe(0);
+  });
+});
+
+describe('normalizeGroove', () => {
+  it('clamps offsets and velocities', () => {
+    const steps = straightSteps();
+    steps[1] = { offset: 2, velocity: 1.5 };
+    steps[3] = { offset: -1, velocity: -0.2 };
+    const groove = normalizeGroove({ steps });
+    expect(groove.name).toBe('Groove');
+    expect(groove.steps[1]).toEqual({ offset: 0.5, velocity: 1 });
+    expect(groove.steps[3]).toEqual({ offset: -0.5, velocity: 0 });
+  });
+
+  it('rejects grooves without sixteen numeric steps', () => {
+    expect(() => normalizeGroove(null)).toThrow(GrooveError);
+    expect(() => normalizeGroove({ steps: straightSteps().slice(1) })).toThrow(GrooveError);
+    expect(() => normalizeGroove({ steps: [...straightSteps().slice(1), { offset: 'late' }] })).toThrow(GrooveError);
+  });
+});
+
+describe('resolveGrooveSteps', () => {
+  it('returns the template steps, the custom groove or null for straight', () => {
+    const customGroove = { name: 'Eigen', steps: straightSteps() };
+    expect(resolveGrooveSteps({ grooveTemplate: 0, customGroove })).toBeNull();
+    expect(resolveGrooveSteps({ grooveTemplate: MPC_SWING_INDEX, customGroove })).toBe(GROOVE_TEMPLATES[MPC_SWING_INDEX].steps);
+    expect(resolveGrooveSteps({ grooveTemplate: CUSTOM_GROOVE_INDEX, customGroove })).toBe(customGroove.steps);
+    expect(resolveGrooveSteps({ grooveTemplate: CUSTOM_GROOVE_INDEX, customGroove: null })).toBeNull();
+  });
+});
+
+describe('applyGroove', () => {
+  const events = [
+    { time: '0:0:0', velocity: 1 },
+    { time: '0:0:1', velocity: 1 },
+    { time: '1:2:3', velocity: 0.5 },
+  ];
+  const swing = GROOVE_TEMPLATES[MPC_SWING_INDEX].steps;
+
+  it('moves and scales the events by the amount', () => {
+    const grooved = applyGroove(events, swing, 1);
+    expect(grooved.map(event => event.time)).toEqual(['0:0:0', '0:0:1.5', '1:2:3.5']);
+    expect(grooved[1].velocity).toBeCloseTo(0.85);
+    expect(grooved[2].velocity).toBeCloseTo(0.425);
+    expect(applyGroove(events, swing, 0.5)[1].time).toBe('0:0:1.25');
+  });
+
+  it('leaves the original events on the grid', () => {
+    applyGroove(events, swing, 1);
+    expect(events[1].time).toBe('0:0:1');
+  });
+
+  it('returns the events as they are when straight or without amount', () => {
+    expect(applyGroove(events, null, 1)).toBe(events);
+    expect(applyGroove(events, swing, 0)).toBe(events);
+  });
+});
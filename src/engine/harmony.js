@@ -0,0 +1,157 @@
+import { OCTAVE_CENTS, SCALE_LIBRARY } from './scales.js';
+
+// Roman-numeral progressions relative to the key. Each step is a chord with a
+// length in loops and optionally its own scale (a mode change); the chord's
+// root comes from the active scale, its quality from the numeral.
+
+export const MAX_PROGRESSION_STEPS = 16;
+export const MAX_STEP_LOOPS = 16;
+
+const NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii'];
+// Root of each numeral in a major scale, for scales without seven steps.
+const MAJOR_SCALE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+const NUMERAL_PATTERN = /^([b#]?)(vii|vi|iv|v|iii|ii|i)(°|o|ø|\+)?(maj7|7)?$/i;
+
+const TRIADS = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  diminished: [0, 3, 6],
+  augmented: [0, 4, 8],
+};
+
+export class ProgressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProgressionError';
+  }
+}
+
+function findScaleIndex(text) {
+  const key = String(text).toLowerCase().replace(/[\s_-]/g, '');
+  if (/^\d+$/.test(key)) {
+    const index = Number(key);
+    return index < SCALE_LIBRARY.length ? index : -1;
+  }
+  return SCALE_LIBRARY.findIndex(scale => scale.name.toLowerCase().replace(/\s/g, '') === key);
+}
+
+// Reads a numeral like "vi", "V7", "bVII", "ii°" or "IVmaj7".
+export function parseNumeral(numeral) {
+  const match = String(numeral).trim().match(NUMERAL_PATTERN);
+  if (!match) throw new ProgressionError(`Unknown chord "${numeral}"`);
+  const [, accidental, roman, qualityMark, seventh] = match;
+  const isUpper = roman === roman.toUpperCase();
+  if (!isUpper && roman !== roman.toLowerCase()) {
+    throw new ProgressionError(`Mixed case in "${numeral}"`);
+  }
+  let quality = isUpper ? 'major' : 'minor';
+  if (qualityMark === '+') quality = 'augmented';
+  if (qualityMark === '°' || qualityMark === 'o' || qualityMark === 'ø') quality = 'diminished';
+  const intervals = [...TRIADS[quality]];
+  if (seventh || qualityMark === 'ø') {
+    if (qualityMark === '°' || qualityMark === 'o') {
+      intervals.push(9);
+    } else {
+      intervals.push(seventh && seventh.toLowerCase() === 'maj7' ? 11 : 10);
+    }
+  }
+  return {
+    degree: NUMERALS.indexOf(roman.toLowerCase()),
+    shift: accidental === 'b' ? -100 : accidental === '#' ? 100 : 0,
+    intervals: intervals.map(semitones => semitones * 100)
+  };
+}
+
+export function normalizeProgressionStep(step) {
+  if (!step || typeof step !== 'object') {
+    throw new ProgressionError('Progression step must be an object');
+  }
+  parseNumeral(step.numeral);
+  const loops = Math.round(Number(step.loops ?? 1));
+  const scaleIndex = step.scaleIndex === null || step.scaleIndex === undefined ? null : Number(step.scaleIndex);
+  if (scaleIndex !== null && !(Number.isInteger(scaleIndex) && scaleIndex >= 0 && scaleIndex < SCALE_LIBRARY.length)) {
+    throw new ProgressionError(`Unknown scale ${step.scaleIndex}`);
+  }
+  return {
+    numeral: String(step.numeral).trim(),
+    loops: Number.isFinite(loops) ? Math.min(MAX_STEP_LOOPS, Math.max(1, loops)) : 1,
+    scaleIndex
+  };
+}
+
+export function normalizeProgression(progression) {
+  if (!progression || !Array.isArray(progression.steps)) {
+    throw new ProgressionError('Progression has no steps');
+  }
+  if (!progression.steps.length || progression.steps.length > MAX_PROGRESSION_STEPS) {
+    throw new ProgressionError(`A progression has 1 to ${MAX_PROGRESSION_STEPS} steps`);
+  }
+  return { steps: progression.steps.map(normalizeProgressionStep) };
+}
+
+// "I:2 vi IV@Lydian V7" - numeral, optional ":loops", optional "@scale"
+// (name without spaces or library index). Dashes between steps are allowed.
+export function parseProgression(text) {
+  const tokens = String(text).split(/[\s,–—-]+/).filter(Boolean);
+  if (!tokens.length) throw new ProgressionError('Enter at least one chord');
+  const steps = tokens.map(token => {
+    const [chordPart, scalePart] = token.split('@');
+    const [numeral, loops] = chordPart.split(':');
+    let scaleIndex = null;
+    if (scalePart !== undefined) {
+      scaleIndex = findScaleIndex(scalePart);
+      if (scaleIndex < 0) throw new ProgressionError(`Unknown scale "${scalePart}"`);
+    }
+    return { numeral, loops: loops === undefined ? 1 : Number(loops), scaleIndex };
+  });
+  return normalizeProgression({ steps });
+}
+
+export function formatProgression(progression) {
+  if (!progression) return '';
+  return progression.steps.map(({ numeral, loops, scaleIndex }) => {
+    const loopText = loops > 1 ? `:${loops}` : '';
+    const scaleText = scaleIndex === null ? '' : `@${SCALE_LIBRARY[scaleIndex].name.replace(/\s/g, '')}`;
+    return `${numeral}${loopText}${scaleText}`;
+  }).join(' ');
+}
+
+// Resolves a numeral against a scale: the root in scale degrees and cents
+// above the key, and the chord tones as cents above the key.
+export function resolveChord(numeral, scale) {
+  const { degree, shift, intervals } = parseNumeral(numeral);
+  const { cents } = scale;
+  let rootDegree = degree;
+  if (cents.length !== NUMERALS.length) {
+    // Nearest step to where the numeral sits in a major scale.
+    const target = MAJOR_SCALE_SEMITONES[degree] * 100;
+    rootDegree = cents.reduce((best, value, idx) => (
+      Math.abs(value - target) < Math.abs(cents[best] - target) ? idx : best
+    ), 0);
+  }
+  const rootCents = cents[rootDegree % cents.length] + shift;
+  return {
+    numeral,
+    rootDegree,
+    rootCents,
+    tones: intervals.map(interval => rootCents + interval)
+  };
+}
+
+// Moves a pitch (cents above the key) to the nearest chord tone in any
+// period; ties go down.
+export function snapToChord(pitchCents, chord, period = OCTAVE_CENTS) {
+  let best = pitchCents;
+  let bestDistance = Infinity;
+  chord.tones.forEach(tone => {
+    const base = tone + Math.round((pitchCents - tone) / period) * period;
+    [base - period, base, base + period].forEach(candidate => {
+      const distance = Math.abs(candidate - pitchCents);
+      if (distance < bestDistance || (distance === bestDistance && candidate < best)) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+  });
+  return best;
+}
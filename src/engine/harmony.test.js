@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_PROGRESSION_STEPS,
+  MAX_STEP_LOOPS,
+  ProgressionError,
+  formatProgression,
+  parseNumeral,
+  parseProgression,
+  resolveChord,
+  snapToChord,
+} from './harmony.js';
+import { SCALE_LIBRARY } from './scales.js';
+
+const MAJOR = SCALE_LIBRARY[0];
+const LYDIAN_INDEX = SCALE_LIBRARY.findIndex(scale => scale.name === 'Lydian');
+const MAJOR_PENTATONIC = SCALE_LIBRARY.find(scale => scale.name === 'Major Pentatonic');
+
+describe('parseNumeral', () => {
+  it('takes the quality from the case', () => {
+    expect(parseNumeral('I')).toEqual({ degree: 0, shift: 0, intervals: [0, 400, 700] });
+    expect(parseNumeral('vi')).toEqual({ degree: 5, shift: 0, intervals: [0, 300, 700] });
+  });
+
+  it('reads accidentals, quality marks and sevenths', () => {
+    expect(parseNumeral('bVII')).toMatchObject({ degree: 6, shift: -100 });
+    expect(parseNumeral('#iv')).toMatchObject({ degree: 3, shift: 100 });
+    expect(parseNumeral('III+').intervals).toEqual([0, 400, 800]);
+    expect(parseNumeral('ii°').intervals).toEqual([0, 300, 600]);
+    expect(parseNumeral('V7').intervals).toEqual([0, 400, 700, 1000]);
+    expect(parseNumeral('IVmaj7').intervals).toEqual([0, 400, 700, 1100]);
+    expect(parseNumeral('iiø').intervals).toEqual([0, 300, 600, 1000]);
+    expect(parseNumeral('viio7').intervals).toEqual([0, 300, 600, 900]);
+  });
+
+  it('rejects unknown chords and mixed case', () => {
+    expect(() => parseNumeral('X')).toThrow(ProgressionError);
+    expect(() => parseNumeral('Vi')).toThrow(ProgressionError);
+  });
+});
+
+describe('parseProgression', () => {
+  it('reads loops and scale changes per step', () => {
+    expect(parseProgression('I:2 vi IV@Lydian V7')).toEqual({
+      steps: [
+        { numeral: 'I', loops: 2, scaleIndex: null },
+        { numeral: 'vi', loops: 1, scaleIndex: null },
+        { numeral: 'IV', loops: 1, scaleIndex: LYDIAN_INDEX },
+        { numeral: 'V7', loops: 1, scaleIndex: null },
+      ]
+    });
+  });
+
+  it('accepts dashes and scale indices', () => {
+    expect(parseProgression('ii – V - I@0').steps.map(step => step.numeral)).toEqual(['ii', 'V', 'I']);
+    expect(parseProgression('I@0').steps[0].scaleIndex).toBe(0);
+  });
+
+  it('clamps the loops of a step', () => {
+    expect(parseProgression('I:40 V:0').steps.map(step => step.loops)).toEqual([MAX_STEP_LOOPS, 1]);
+  });
+
+  it('rejects empty, too long and unreadable progressions', () => {
+    expect(() => parseProgression(' ')).toThrow(ProgressionError);
+    expect(() => parseProgression(Array(MAX_PROGRESSION_STEPS + 1).fill('I').join(' '))).toThrow(ProgressionError);
+    expect(() => parseProgression('I V@Nowhere')).toThrow(ProgressionError);
+    expect(() => parseProgression('I Q')).toThrow(ProgressionError);
+  });
+
+  it('reads back what formatProgression writes', () => {
+    const text = 'I:2 vi IV@Lydian V7';
+    expect(formatProgression(parseProgression(text))).toBe(text);
+  });
+});
+
+describe('resolveChord', () => {
+  it('builds the chord on the scale step of the numeral', () => {
+    expect(resolveChord('V', MAJOR)).toEqual({ numeral: 'V', rootDegree: 4, rootCents: 700, tones: [700, 1100, 1400] });
+    expect(resolveChord('bVII', MAJOR)).toMatchObject({ rootDegree: 6, rootCents: 1000, tones: [1000, 1400, 1700] });
+  });
+
+  it('picks the nearest step in scales without seven steps', () => {
+    expect(resolveChord('IV', MAJOR_PENTATONIC)).toMatchObject({ rootDegree: 2, rootCents: 400 });
+    expect(resolveChord('V', MAJOR_PENTATONIC)).toMatchObject({ rootDegree: 3, rootCents: 700 });
+  });
+});
+
+describe('snapToChord', () => {
+  const tonic = resolveChord('I', MAJOR);
+
+  it('moves a pitch to the nearest chord tone in any octave', () => {
+    expect(snapToChord(650, tonic)).toBe(700);
+    expect(snapToChord(1150, tonic)).toBe(1200);
+    expect(snapToChord(-50, tonic)).toBe(0);
+    expect(snapToChord(2300, tonic)).toBe(2400);
+  });
+
+  it('resolves ties downwards', () => {
+    expect(snapToChord(550, tonic)).toBe(400);
+  });
+
+  it('folds chord tones above the period back down', () => {
+    expect(snapToChord(100, resolveChord('V', MAJOR))).toBe(200);
+  });
+
+  it('uses the period it is given', () => {
+    expect(snapToChord(1800, { tones: [0] }, 1901.955)).toBeCloseTo(1901.955);
+  });
+});
@@ -0,0 +1,51 @@
+const DEFAULT_HISTORY_LIMIT = 100;
+const DEFAULT_MERGE_WINDOW_MS = 1000;
+
+// Bounded undo/redo list of snapshots. Each entry is labelled with the
+// source of the change; consecutive records with the same merge key inside
+// the merge window (a slider drag, one automation burst) replace the newest
+// entry instead of adding one.
+export function createHistory({ limit = DEFAULT_HISTORY_LIMIT, mergeWindow = DEFAULT_MERGE_WINDOW_MS } = {}) {
+  let entries = [];
+  let index = -1;
+  let nextId = 1;
+
+  function record(snapshot, { source = 'user', label = '', mergeKey = null } = {}) {
+    const time = Date.now();
+    const current = entries[index];
+    entries = entries.slice(0, index + 1);
+    if (current && mergeKey && current.mergeKey === mergeKey && time - current.time < mergeWindow) {
+      entries[index] = { ...current, snapshot, time };
+      return entries[index];
+    }
+    const entry = { id: nextId++, source, label, mergeKey, time, snapshot };
+    entries.push(entry);
+    if (entries.length > limit) {
+      entries = entries.slice(entries.length - limit);
+    }
+    index = entries.length - 1;
+    return entry;
+  }
+
+  // Moves the pointer and returns the entry to restore, or null.
+  function goTo(target) {
+    if (target < 0 || target >= entries.length || target === index) return null;
+    index = target;
+    return entries[index];
+  }
+
+  return {
+    record,
+    goTo,
+    undo: () => goTo(index - 1),
+    redo: () => goTo(index + 1),
+    canUndo: () => index > 0,
+    canRedo: () => index < entries.length - 1,
+    getIndex: () => index,
+    list: () => entries.map(({ id, source, label, time }) => ({ id, source, label, time })),
+    clear: () => {
+      entries = [];
+      index = -1;
+    },
+  };
+}
@@ -0,0 +1,2546 @@
+import * as Tone from 'tone';
+import ThreeSistersSVF from '../audio/ThreeSistersSVF.js';
+import SimpleThreeBandFilter from '../audio/SimpleThreeBandFilter.js';
+import { Random, SeededRandom, createSeed, normalizeSeed, mapValue, mapLayerFilterValue } from '../utils/random.js';
+import { resolveBaseAudioContext } from '../utils/audioContext.js';
+import {
+  NOTE_NAMES,
+  SCALE_DEFINITIONS,
+  PARAM_DEFINITIONS,
+  AUTOMATABLE_PARAMS,
+  MORPH_CONTINUOUS_PARAMS,
+  PARAM_NAMES,
+  SYNTH_FILTER_DEFAULT_FREQUENCY,
+  SYNTH_FILTER_DEFAULT_SPAN,
+  SYNTH_FILTER_DEFAULT_Q,
+  isParamName,
+  getDefaultParamValues,
+  normalizeParamValue,
+  resolveParams,
+  midiToFrequency,
+  getScaleDefinition,
+} from './params.js';
+import {
+  generateDrumPattern,
+  blendRhythmPatterns,
+  normalizeRhythmPattern,
+  addRhythmPattern,
+  getRhythmPatterns,
+  setRhythmPatterns,
+} from './rhythms.js';
+import {
+  PATTERN_STRUCTURE_MEASURES,
+  generatePatternStructure,
+  renderPatternStructure,
+  normalizePatternStructure,
+  generateGranularNotes,
+} from './patterns.js';
+import { StateError, encodeState, decodeState } from './state.js';
+import { normalizeArrangement } from './arrangement.js';
+import { createHistory } from './history.js';
+import { resolveChord } from './harmony.js';
+import { MELODY_STYLES } from './melodyStyles.js';
+import { CUSTOM_GROOVE_INDEX, applyGroove, extractDrumGroove, extractGroove, resolveGrooveSteps } from './groove.js';
+
+export const STEM_NAMES = ['fm', 'layer', 'granular', 'kick', 'snare', 'hihat', 'clap', 'reverb', 'delays'];
+export const LOCKABLE_PARTS = ['melody', 'granular', 'drums', 'delays'];
+export const NOTE_OUTPUT_PARTS = ['melody', 'granular', 'drums'];
+
+const NULL_VISUALIZER = {
+  triggerDrumVisual() {},
+  triggerGridPattern() {},
+  setBaseHue() {},
+  resetSimpleColors() {},
+  setRandom() {},
+};
+
+export function createBlokkenEngine(params = {}, options = {}) {
+  const SYNTH_FILTER_FREQUENCY_MIN = 80;
+  const SYNTH_FILTER_FREQUENCY_MAX = 6000;
+  const SYNTH_FILTER_SPAN_MIN = 40;
+  const SYNTH_FILTER_SPAN_MAX = 1800;
+  const SYNTH_FILTER_Q_MIN = 2;
+  const SYNTH_FILTER_Q_MAX = 30;
+  const SYNTH_FILTER_DEFAULT_FEEDBACK = 0.08;
+  const SYNTH_FILTER_MIX_DEFAULT = 1;
+
+  const visualizer = options.visualizer || NULL_VISUALIZER;
+  // Offline engines are created inside Tone.Offline to render a copy of a
+  // live engine; they replay its events and skip the realtime-only helpers.
+  const isOffline = Boolean(options.offline);
+  const context = Tone.getContext();
+  const transport = context.transport;
+  let providedParts = options.parts || null;
+  // Everything generated for a soundscape draws from named streams of this
+  // seed, so the same seed and parameters give the same notes.
+  let seed = normalizeSeed(options.seed) ?? createSeed();
+  let drumChanceRandom = new SeededRandom(seed).stream('drums');
+  const stemTaps = options.stemTaps || null;
+  const listeners = new Set();
+  const values = getDefaultParamValues();
+  assignValues(params);
+
+  let synthFilter = null;
+  let synthFilterIsSVF = false;
+  let synthFilterMixAmount = SYNTH_FILTER_MIX_DEFAULT;
+  let synthFilterDryGain = null;
+  let synthFilterWetGain = null;
+  let synthFilterBlendBus = null;
+  let layerFilter = null;
+
+  let isSetup = false;
+
+  function emit(event) {
+    listeners.forEach(listener => listener(event));
+  }
+
+  function assignValues(partial = {}) {
+    Object.keys(partial).forEach(name => {
+      if (!isParamName(name)) return;
+      values[name] = normalizeParamValue(name, partial[name], values[name]);
+    });
+  }
+
+  function clampSynthFilterSpan(span) {
+    return Math.min(Math.max(span, SYNTH_FILTER_SPAN_MIN), SYNTH_FILTER_SPAN_MAX);
+  }
+
+  function applySynthFilterSettings() {
+    if (!synthFilter) return;
+    const clampedFrequency = Math.min(Math.max(values.synthFilterFrequency ?? SYNTH_FILTER_DEFAULT_FREQUENCY, SYNTH_FILTER_FREQUENCY_MIN), SYNTH_FILTER_FREQUENCY_MAX);
+    const clampedSpan = clampSynthFilterSpan(values.synthFilterSpan ?? SYNTH_FILTER_DEFAULT_SPAN);
+    const clampedQ = Math.min(Math.max(values.synthFilterQ ?? SYNTH_FILTER_DEFAULT_Q, SYNTH_FILTER_Q_MIN), SYNTH_FILTER_Q_MAX);
+    if (synthFilterIsSVF) {
+      synthFilter.center = clampedFrequency;
+      synthFilter.span = clampedSpan;
+      synthFilter.q = clampedQ;
+    } else if (typeof synthFilter.update === 'function') {
+      synthFilter.update(clampedFrequency, clampedSpan);
+      if ('q' in synthFilter) {
+        synthFilter.q = clampedQ;
+      }
+    } else if (synthFilter.frequency) {
+      synthFilter.frequency.value = clampedFrequency;
+      if (synthFilter.Q) synthFilter.Q.value = clampedQ;
+    }
+  }
+
+  function applyLayerLowpassCenter(centerFreq) {
+    if (!layerFilter) return;
+    if (layerFilter.frequency) {
+      layerFilter.frequency.value = centerFreq;
+    }
+  }
+
+  function canUseThreeSistersSVF() {
+    const raw = resolveBaseAudioContext();
+    return Boolean(
+      raw &&
+      raw.audioWorklet &&
+      typeof raw.audioWorklet.addModule === 'function' &&
+      typeof AudioWorkletNode !== 'undefined'
+    );
+  }
+
+  // --- TONE.JS APPLICATIE ---
+  const DRUM_SCHEDULE_EPSILON = 0.002;
+  let drumLastTrigger = { kick: 0, snare: 0, hihat: 0, clap: 0 };
+
+  function getDrumScheduleTime(drum, targetTime) {
+    const last = drumLastTrigger[drum] || 0;
+    return Math.max(targetTime, last + DRUM_SCHEDULE_EPSILON);
+  }
+
+  function safeTriggerAttackRelease(node, drum, note, duration, time, velocity) {
+    if (!node || node.disposed) return;
+    let safeTime = getDrumScheduleTime(drum, time);
+    let attempts = 0;
+    while (attempts < 5) {
+      try {
+        if (note !== undefined && note !== null) {
+          node.triggerAttackRelease(note, duration, safeTime, velocity);
+        } else {
+          node.triggerAttackRelease(duration, safeTime, velocity);
+        }
+        drumLastTrigger[drum] = safeTime;
+        return;
+      } catch (err) {
+        const message = err && err.message;
+        if (message && (message.includes('Start time must be strictly greater') || message.includes('greater than or equal'))) {
+          safeTime = Math.max(safeTime + DRUM_SCHEDULE_EPSILON, (drumLastTrigger[drum] || 0) + DRUM_SCHEDULE_EPSILON);
+          attempts++;
+          continue;
+        }
+        throw err;
+      }
+    }
+  }
+
+
+  let synth, layerSynth, notePart, granularPart, reverb, masterVolume, layerVolume, drumBus, lowTap;
+  let kickDrum, snareDrum, hihatDrum, clapDrum;
+  let kickVolume, snareVolume, hihatVolume, clapVolume;
+  let drumPart;
+  let delays = [];
+  // Only used when rendering stems, so the granular hits get their own bus.
+  let granularSynth = null;
+  let granularVolume = null;
+  const SOUND_FADE_DURATION = 0.18;
+  const SILENCE_DB = -60;
+  const DEFAULT_MASTER_DB = -18;
+  const MAX_DELAY_WET = 0.6;
+  const SPREAD_DETUNE_RANGE = 12;
+  const PITCH_BEND_RANGE_CENTS = 200;
+  const DRUM_VOLUME_DB_RANGE = { min: -60, max: -6 };
+  const KICK_VOLUME_DB_RANGE = { min: -60, max: 0 };
+  const HIHAT_DB_RANGE = { min: -30, max: -6 };
+  const CLAP_DB_RANGE = { min: -18, max: 0 };
+  const CLAP_FLAM_OFFSET = Tone.Time('64n').toSeconds();
+  const MAX_HUMANIZE_TIME = 0.07;
+  const RENDER_TAIL_SECONDS = 4;
+  const TRANSITION_FILTER_OPEN = 20000;
+  const TRANSITION_FILTER_CLOSED = 180;
+  const FLUTTER_WOW_MAX_DEPTH = 40;
+  const FLUTTER_WOW_RATE_RANGE = { min: 0.08, max: 1.1 };
+  let currentPatternStructure = null;
+  let currentGrainNotes = null;
+  let currentDrumPattern = null;
+  let currentDelaySettings = [];
+  // Unsaved step-sequencer edit that replaces the drumRhythm blend.
+  let drumRhythmPreview = null;
+  // Melodic structure edited in the piano roll; used instead of a generated
+  // one until the next new soundscape (randomize, loaded state, new seed).
+  let editedPatternStructure = null;
+  // Locked parts keep their events when the soundscape is regenerated.
+  const partLocks = Object.fromEntries(LOCKABLE_PARTS.map(part => [part, false]));
+  let patternPlaybackLength = 4;
+  let scaleCyclePosition = 0;
+  let progressionPosition = { index: 0, loopsPlayed: 0 };
+  const DRUM_FILTER_SETTINGS = {
+    kick: { type: 'lowpass', frequency: 220, rolloff: -48, Q: 0.9 },
+    snare: { type: 'bandpass', frequency: 1900, rolloff: -24, Q: 1.1 },
+    hihat: { type: 'highpass', frequency: 6500, rolloff: -24, Q: 0.7 },
+    clap: { type: 'bandpass', frequency: 1800, rolloff: -24, Q: 1.2 }
+  };
+  const DEFAULT_DRUM_FILTER_BYPASS = {
+    kick: true,
+    snare: false,
+    hihat: false,
+    clap: false
+  };
+  let drumFilters = {
+    kick: null,
+    snare: null,
+    hihat: null,
+    clap: null
+  };
+  let drumFilterBypassStates = { ...DEFAULT_DRUM_FILTER_BYPASS };
+  let flutterWowLFO = null;
+  const DRUM_FILTER_RANGES = {
+    kick: { min: 40, max: 320 },
+    snare: { min: 400, max: 4000 },
+    hihat: { min: 3000, max: 14000 },
+    clap: { min: 500, max: 5000 }
+  };
+  let drumFilterTargets = {
+    kick: DRUM_FILTER_SETTINGS.kick.frequency,
+    snare: DRUM_FILTER_SETTINGS.snare.frequency,
+    hihat: DRUM_FILTER_SETTINGS.hihat.frequency,
+    clap: DRUM_FILTER_SETTINGS.clap.frequency
+  };
+  const DRUM_DEFAULT_DB = DEFAULT_MASTER_DB;
+  let drumsMuted = false;
+
+  function applyDrumFilterTarget(drum) {
+    const node = drumFilters[drum];
+    if (node && !node.disposed && drumFilterTargets[drum] !== undefined) {
+      node.frequency.value = drumFilterTargets[drum];
+    }
+  }
+
+  function updateDrumFilterFrequency(drum) {
+    const range = DRUM_FILTER_RANGES[drum] || { min: 20, max: 20000 };
+    const value = Math.min(Math.max(parseFloat(values[`${drum}Filter`]) || range.min, range.min), range.max);
+    drumFilterTargets[drum] = value;
+    applyDrumFilterTarget(drum);
+  }
+
+  function getDrumChanceValue(drum) {
+    const chance = values[`${drum}Chance`];
+    return Math.min(Math.max(chance ?? 1, 0), 1);
+  }
+
+  function disposeDrumFilters() {
+    Object.keys(drumFilters).forEach(key => {
+      const node = drumFilters[key];
+      if (node && !node.disposed) {
+        node.disconnect();
+        node.dispose();
+      }
+      drumFilters[key] = null;
+    });
+  }
+
+  function maybeCreateDrumFilter(filterKey) {
+    if (!DRUM_FILTER_SETTINGS[filterKey]) return null;
+    if (isDrumFilterBypassed(filterKey)) {
+      return null;
+    }
+    if (!drumFilters[filterKey] || drumFilters[filterKey].disposed) {
+      drumFilters[filterKey] = new Tone.Filter(DRUM_FILTER_SETTINGS[filterKey]);
+      applyDrumFilterTarget(filterKey);
+    }
+    return drumFilters[filterKey];
+  }
+
+  function createDrumFilters() {
+    disposeDrumFilters();
+    Object.keys(DRUM_FILTER_SETTINGS).forEach(key => {
+      if (isDrumFilterBypassed(key)) {
+        drumFilters[key] = null;
+        return;
+      }
+      drumFilters[key] = new Tone.Filter(DRUM_FILTER_SETTINGS[key]);
+      applyDrumFilterTarget(key);
+    });
+  }
+
+  function connectDrumToVolume({ drumNode, filterKey, volumeNode, tapLow = false }) {
+    if (!drumNode || !volumeNode || !drumBus) return;
+    drumNode.disconnect();
+    volumeNode.disconnect();
+    let filterNode = drumFilters[filterKey];
+    if (!filterNode && DRUM_FILTER_SETTINGS[filterKey]) {
+      filterNode = maybeCreateDrumFilter(filterKey);
+    }
+    const shouldBypass = !filterNode;
+    if (!shouldBypass) {
+      filterNode.disconnect();
+      drumNode.connect(filterNode);
+      filterNode.connect(volumeNode);
+      applyDrumFilterTarget(filterKey);
+    } else {
+      if (filterNode) {
+        filterNode.disconnect();
+      }
+      drumNode.connect(volumeNode);
+    }
+    volumeNode.connect(drumBus);
+    if (tapLow && lowTap) {
+      volumeNode.connect(lowTap);
+    }
+  }
+
+  function wireDrumRouting() {
+    if (!drumBus) return;
+    refreshSingleDrumRouting('kick');
+    refreshSingleDrumRouting('snare');
+    refreshSingleDrumRouting('hihat');
+    refreshSingleDrumRouting('clap');
+  }
+
+  function refreshSingleDrumRouting(drum) {
+    if (!drumBus) return;
+    switch (drum) {
+      case 'kick':
+        connectDrumToVolume({ drumNode: kickDrum, filterKey: 'kick', volumeNode: kickVolume, tapLow: true });
+        break;
+      case 'snare':
+        connectDrumToVolume({ drumNode: snareDrum, filterKey: 'snare', volumeNode: snareVolume });
+        break;
+      case 'hihat':
+        connectDrumToVolume({ drumNode: hihatDrum, filterKey: 'hihat', volumeNode: hihatVolume });
+        break;
+      case 'clap':
+        connectDrumToVolume({ drumNode: clapDrum, filterKey: 'clap', volumeNode: clapVolume });
+        break;
+    }
+  }
+
+  function disconnectSynthRouting() {
+    if (masterVolume) masterVolume.disconnect();
+    if (synthFilterDryGain) synthFilterDryGain.disconnect();
+    if (synthFilterWetGain) synthFilterWetGain.disconnect();
+    if (synthFilterBlendBus) synthFilterBlendBus.disconnect();
+    if (synthFilter && !synthFilter.disposed) {
+      synthFilter.disconnect();
+    }
+  }
+
+  function ensureSynthFilterMixNodes() {
+    if (!synthFilterDryGain || synthFilterDryGain.disposed) {
+      synthFilterDryGain = new Tone.Gain(1);
+    }
+    if (!synthFilterWetGain || synthFilterWetGain.disposed) {
+      synthFilterWetGain = new Tone.Gain(1);
+    }
+    if (!synthFilterBlendBus || synthFilterBlendBus.disposed) {
+      synthFilterBlendBus = new Tone.Gain(1);
+    }
+  }
+
+  function applySynthFilterMixLevels() {
+    if (synthFilterDryGain && !synthFilterDryGain.disposed) {
+      synthFilterDryGain.gain.value = 1 - synthFilterMixAmount;
+    }
+    if (synthFilterWetGain && !synthFilterWetGain.disposed) {
+      synthFilterWetGain.gain.value = synthFilterMixAmount;
+    }
+  }
+
+  function setSynthFilterMixAmount(amount) {
+    const clamped = Math.min(Math.max(amount, 0), 1);
+    synthFilterMixAmount = clamped;
+    applySynthFilterMixLevels();
+  }
+
+  function connectSourceToEffects(source) {
+    if (!source) return;
+    source.connect(reverb);
+    delays.forEach(delay => source.connect(delay));
+  }
+
+  function refreshSynthRouting() {
+    if (!masterVolume || !reverb) return;
+    disconnectSynthRouting();
+    ensureSynthFilterMixNodes();
+    if (!synthFilterBlendBus) return;
+    masterVolume.connect(synthFilterDryGain);
+    synthFilterDryGain.connect(synthFilterBlendBus);
+    if (synthFilter && !synthFilter.disposed) {
+      masterVolume.connect(synthFilter);
+      synthFilter.connect(synthFilterWetGain);
+      synthFilterWetGain.connect(synthFilterBlendBus);
+    }
+    connectSourceToEffects(synthFilterBlendBus);
+    applySynthFilterMixLevels();
+  }
+
+  function connectStemTaps() {
+    const sources = {
+      fm: [synthFilterBlendBus],
+      layer: [layerVolume],
+      granular: [granularVolume],
+      kick: [kickVolume],
+      snare: [snareVolume],
+      hihat: [hihatVolume],
+      clap: [clapVolume],
+      reverb: [reverb],
+      delays
+    };
+    Object.keys(sources).forEach(name => {
+      const tap = stemTaps[name];
+      if (!tap) return;
+      sources[name].forEach(node => {
+        if (node && !node.disposed) node.connect(tap);
+      });
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function getDrumSliderValue(drum) {
+    return values[`${drum}Vol`] || 0;
+  }
+
+  function setDrumMuteState(muted, immediate = false) {
+    drumsMuted = Boolean(muted);
+    if (!drumBus || drumBus.disposed) return;
+    const targetDb = drumsMuted ? SILENCE_DB : DRUM_DEFAULT_DB;
+    const now = context.now();
+    drumBus.volume.cancelScheduledValues(now);
+    if (immediate) {
+      drumBus.volume.setValueAtTime(targetDb, now);
+      return;
+    }
+    drumBus.volume.setValueAtTime(drumBus.volume.value, now);
+    drumBus.volume.linearRampToValueAtTime(targetDb, now + SOUND_FADE_DURATION);
+  }
+
+  function isDrumFilterBypassed(drum) {
+    return Boolean(drumFilterBypassStates[drum]);
+  }
+
+  function setDrumFilterBypassState(drum, bypassed, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(drumFilterBypassStates, drum)) return;
+    const normalized = Boolean(bypassed);
+    if (drumFilterBypassStates[drum] === normalized) return;
+    drumFilterBypassStates[drum] = normalized;
+    if (normalized) {
+      if (drumFilters[drum] && !drumFilters[drum].disposed) {
+        drumFilters[drum].disconnect();
+        drumFilters[drum].dispose();
+      }
+      drumFilters[drum] = null;
+    } else if (!drumFilters[drum] || drumFilters[drum].disposed) {
+      drumFilters[drum] = new Tone.Filter(DRUM_FILTER_SETTINGS[drum]);
+      applyDrumFilterTarget(drum);
+    }
+    if (!options.skipRouting && isSetup) {
+      refreshSingleDrumRouting(drum);
+    }
+    emit({ type: 'drumFilterBypass', drum, bypassed: normalized });
+  }
+
+
+  let currentLayerTranspose = 0;
+  let currentLayerDepth = 0;
+  let currentLayerOffsetSeconds = 0;
+  let currentGranularWet = 0;
+  let currentEchoWet = 0;
+  let currentSpreadDetune = 0;
+  let currentPitchBendCents = 0;
+  let currentFundamental = 110;
+
+  function generateDelaySettings(count, delayRandom) {
+    return Array.from({ length: Math.max(0, Math.round(count)) }, () => ({
+      delayTime: delayRandom.select(["8n", "4n.", "4n"]),
+      feedback: delayRandom.float(0.2, 0.5),
+      wet: delayRandom.float(0.2, 0.45)
+    }));
+  }
+
+  // Swaps the delay chains for the number nDelayChains asks for, with the
+  // settings the seed gives them; used when a morph switches at a bar.
+  function rebuildDelays() {
+    if (!isSetup || !reverb || partLocks.delays) return;
+    const sources = [synthFilterBlendBus, layerVolume, granularVolume].filter(node => node && !node.disposed);
+    delays.forEach(delay => {
+      sources.forEach(source => source.disconnect(delay));
+      delay.dispose();
+    });
+    currentDelaySettings = generateDelaySettings(values.nDelayChains, new SeededRandom(seed).stream('delays'));
+    delays = currentDelaySettings.map(settings => new Tone.FeedbackDelay(settings).connect(reverb));
+    sources.forEach(source => delays.forEach(delay => source.connect(delay)));
+    updateDelayWetness(values.nDelayChains);
+  }
+
+  function updateDelayWetness(value) {
+    const numeric = parseFloat(value);
+    currentEchoWet = mapValue(numeric, 0, 8, 0, MAX_DELAY_WET);
+    delays.forEach(delay => {
+      if (delay && delay.wet) {
+        delay.wet.value = currentEchoWet;
+      }
+    });
+  }
+
+  function applySpreadDetune(value) {
+    const clamped = Math.min(5, Math.max(1, parseFloat(value)));
+    currentSpreadDetune = mapValue(clamped, 1, 5, -SPREAD_DETUNE_RANGE, SPREAD_DETUNE_RANGE);
+    applyVoiceDetune();
+  }
+
+  // Spread detune plus live pitch bend; the flutter LFO adds on top.
+  function applyVoiceDetune() {
+    const detune = currentSpreadDetune + currentPitchBendCents;
+    if (synth && !synth.disposed) {
+      synth.set({ detune });
+    }
+    if (layerSynth && !layerSynth.disposed) {
+      layerSynth.set({ detune });
+    }
+  }
+
+  function ensureFlutterWowLFO() {
+    if (!flutterWowLFO) {
+      flutterWowLFO = new Tone.LFO(0.25, 0, 0);
+      flutterWowLFO.phase = 90;
+      flutterWowLFO.start();
+    }
+    return flutterWowLFO;
+  }
+
+  function connectFlutterWowToVoices() {
+    if (!flutterWowLFO) return;
+    flutterWowLFO.disconnect();
+    const tryConnectDetune = (node) => {
+      if (!node || node.disposed) return;
+      const detuneSignal = node.detune;
+      if (detuneSignal && typeof detuneSignal.connect === 'function') {
+        flutterWowLFO.connect(detuneSignal);
+      }
+    };
+    tryConnectDetune(synth);
+    tryConnectDetune(layerSynth);
+    tryConnectDetune(granularSynth);
+  }
+
+  function applyFlutterWowSettings(params) {
+    if (!params) return;
+    const depthAmount = Math.max(0, Math.min(1, params.flutterDepth ?? 0));
+    const rateAmount = Math.max(0, Math.min(1, params.flutterRate ?? 0.5));
+    if (depthAmount <= 0) {
+      if (flutterWowLFO) {
+        flutterWowLFO.disconnect();
+        flutterWowLFO.min = 0;
+        flutterWowLFO.max = 0;
+      }
+      return;
+    }
+    const lfo = ensureFlutterWowLFO();
+    const mappedDepth = mapValue(depthAmount, 0, 1, 0, FLUTTER_WOW_MAX_DEPTH);
+    lfo.min = -mappedDepth;
+    lfo.max = mappedDepth;
+    lfo.frequency.value = mapValue(rateAmount, 0, 1, FLUTTER_WOW_RATE_RANGE.min, FLUTTER_WOW_RATE_RANGE.max);
+    connectFlutterWowToVoices();
+  }
+
+  // Builds the audio graph without starting the transport, so live input can
+  // be played before (or without) the generated parts.
+  // Callers that arrive while the audio is being built (a MIDI chord, play
+  // racing the clock) share the same setup instead of building a second one.
+  let preparingAudio = null;
+
+  function prepareAudio() {
+    if (isSetup) return Promise.resolve();
+    if (!preparingAudio) {
+      preparingAudio = (async () => {
+        if (!isOffline && Tone.context.state !== 'running') {
+          await Tone.start();
+        }
+
+        await generateSoundscape();
+        isSetup = true;
+        applySynthFilterSettings();
+      })().finally(() => {
+        preparingAudio = null;
+      });
+    }
+    return preparingAudio;
+  }
+
+  async function setupAndPlay() {
+    await prepareAudio();
+    transport.start();
+  }
+
+  function cleanupAudio(fullCleanup = false) {
+    if (notePart) {
+      notePart.stop(0).dispose();
+      notePart = null;
+    }
+
+    if (granularPart) {
+      granularPart.stop(0).dispose();
+      granularPart = null;
+    }
+
+    if (drumPart) {
+      drumPart.stop(0).dispose();
+      drumPart = null;
+    }
+
+    if (synth) {
+      synth.releaseAll();
+      synth.disconnect();
+      if (fullCleanup) {
+        synth.dispose();
+        synth = null;
+      }
+    }
+
+    if (layerSynth) {
+      layerSynth.releaseAll();
+      layerSynth.disconnect();
+      if (fullCleanup) {
+        layerSynth.dispose();
+        layerSynth = null;
+      }
+    }
+
+    [kickDrum, snareDrum, hihatDrum, clapDrum].forEach(drum => {
+      if (drum) {
+        drum.disconnect();
+        if (fullCleanup) {
+          drum.dispose();
+        }
+      }
+    });
+    if (fullCleanup) {
+      kickDrum = null;
+      snareDrum = null;
+      hihatDrum = null;
+      clapDrum = null;
+    }
+
+    [granularSynth, granularVolume, ...delays, reverb, masterVolume, layerVolume, layerFilter, synthFilter, synthFilterDryGain, synthFilterWetGain, synthFilterBlendBus, drumBus, kickVolume, snareVolume, hihatVolume, clapVolume, lowTap].forEach(node => {
+      if (node && !node.disposed) {
+        node.disconnect();
+        node.dispose();
+      }
+    });
+    disposeDrumFilters();
+    delays = [];
+    granularSynth = null;
+    granularVolume = null;
+    reverb = null;
+    masterVolume = null;
+    layerVolume = null;
+    layerFilter = null;
+    synthFilter = null;
+    synthFilterIsSVF = false;
+    synthFilterDryGain = null;
+    synthFilterWetGain = null;
+    synthFilterBlendBus = null;
+    drumBus = null;
+    drumLastTrigger = { kick: 0, snare: 0, hihat: 0, clap: 0 };
+    kickVolume = null;
+    snareVolume = null;
+    hihatVolume = null;
+    clapVolume = null;
+    if (!isOffline && typeof window !== 'undefined') {
+      window.lowTapNode = null;
+    }
+    lowTap = null;
+    if (flutterWowLFO) {
+      flutterWowLFO.disconnect();
+    }
+  }
+
+  let automationLoopEvent = null;
+
+  function triggerLayeredClap(time, velocity) {
+    if (velocity <= 0 || !clapDrum || clapDrum.disposed) return;
+    const boostedVelocity = Math.min(1, velocity * 1.25);
+    safeTriggerAttackRelease(clapDrum, 'clap', null, '16n', time, boostedVelocity);
+    safeTriggerAttackRelease(clapDrum, 'clap', null, '16n', time + CLAP_FLAM_OFFSET, boostedVelocity * 0.8);
+  }
+
+  function updateDrumPart(params, providedPattern = null) {
+    if (!params) return;
+    if (drumPart) {
+      drumPart.stop(0).dispose();
+      drumPart = null;
+    }
+    const drumPattern = providedPattern || generateDrumPattern(params, drumRhythmPreview);
+    currentDrumPattern = drumPattern;
+    const feelAmount = params.drumFeel || 0;
+    drumPart = new Tone.Part((time, value) => {
+      if (transport.state !== 'started') return;
+      const sliderLevel = Math.max(0, getDrumSliderValue(value.drum));
+      if (sliderLevel <= 0) return;
+      let hitVelocity = Math.min(1, value.velocity * sliderLevel);
+
+      if (feelAmount > 0) {
+        const accentRange = feelAmount * 0.65;
+        // Use time-based variation instead of Random for consistency
+        const timeHash = ((time * 1000) % 100) / 100;
+        const accentVariance = (timeHash - 0.5) * accentRange * 0.8;
+        hitVelocity = Math.min(1, Math.max(0.05, hitVelocity * (1 + accentVariance)));
+
+        const ghostChance = feelAmount * 0.25;
+        const ghostHash = ((time * 731) % 100) / 100;
+        if (ghostHash < ghostChance) {
+          const ghostAmount = 0.5 + ((time * 523) % 30) / 100;
+          hitVelocity *= ghostAmount;
+        }
+      }
+
+      const hitChance = getDrumChanceValue(value.drum);
+      if (hitChance < 1 && drumChanceRandom.float(0, 1) > hitChance) {
+        return;
+      }
+
+      emitNote('drums', time, { drum: value.drum, duration: '16n', velocity: hitVelocity });
+      if (!playsInternally('drums')) return;
+
+      switch(value.drum) {
+        case 'kick':
+          if (kickDrum && !kickDrum.disposed) {
+            safeTriggerAttackRelease(kickDrum, 'kick', 'C1', '8n', time, hitVelocity);
+            visualizer.triggerDrumVisual('kick', hitVelocity);
+          }
+          break;
+        case 'snare':
+          if (snareDrum && !snareDrum.disposed) {
+            safeTriggerAttackRelease(snareDrum, 'snare', null, '8n', time, hitVelocity);
+            visualizer.triggerDrumVisual('snare', hitVelocity);
+          }
+          break;
+        case 'hihat':
+          if (hihatDrum && !hihatDrum.disposed) {
+            safeTriggerAttackRelease(hihatDrum, 'hihat', null, '32n', time, hitVelocity);
+            visualizer.triggerDrumVisual('hihat', hitVelocity);
+          }
+          break;
+        case 'clap':
+          if (clapDrum && !clapDrum.disposed) {
+            triggerLayeredClap(time, hitVelocity);
+            visualizer.triggerDrumVisual('clap', hitVelocity);
+          }
+          break;
+      }
+    }, grooveEvents(drumPattern, params)).start(0);
+
+    drumPart.loop = true;
+    drumPart.loopEnd = `${params.patternLength}m`;
+    drumPart.humanize = feelAmount > 0 ? feelAmount * MAX_HUMANIZE_TIME : false;
+  }
+
+  async function generateSoundscape(options = {}) {
+    const { skipFade = false } = options || {};
+    const parts = providedParts || {};
+    providedParts = null;
+    const params = getParams();
+    const random = new SeededRandom(seed);
+    progressionPosition = { index: 0, loopsPlayed: 0 };
+    const patternParams = structureParams(params);
+    setSynthFilterMixAmount(params.synthFilterMix ?? SYNTH_FILTER_MIX_DEFAULT);
+
+    if (!skipFade && isSetup && masterVolume && !masterVolume.disposed) {
+      const now = context.now();
+      masterVolume.volume.cancelScheduledValues(now);
+      masterVolume.volume.setValueAtTime(masterVolume.volume.value, now);
+      masterVolume.volume.linearRampToValueAtTime(SILENCE_DB, now + SOUND_FADE_DURATION);
+      await wait(SOUND_FADE_DURATION * 1000);
+    }
+
+    if (isSetup) {
+      cleanupAudio(false);
+    }
+
+    loopCounter = 0; // Reset loop counter when regenerating
+    scaleCyclePosition = 0;
+    currentLayerTranspose = params.laag;
+    currentLayerDepth = params.gelaagdheid;
+    currentLayerOffsetSeconds = mapValue(params.layerOffset, 0, 1, 0, 0.6);
+    currentGranularWet = params.granular;
+    currentFundamental = params.fundamental;
+    visualizer.resetSimpleColors();
+    visualizer.setRandom(random.stream('visualizer'));
+    drumChanceRandom = random.stream('drums');
+
+    recalcBaseHueFromParams(params);
+
+    const mainEnvelope = buildMainSynthEnvelope(params);
+    const layerEnvelope = buildLayerSynthEnvelope(params);
+
+    if (!synth || synth.disposed) {
+      synth = new Tone.PolySynth(Tone.FMSynth).toDestination();
+    }
+
+    if (!layerSynth || layerSynth.disposed) {
+      // Create 101-style square wave synth
+      layerSynth = new Tone.PolySynth(Tone.MonoSynth, {
+        oscillator: { type: 'square' },
+        envelope: layerEnvelope
+      }).toDestination();
+    }
+
+    if (!kickDrum || kickDrum.disposed) {
+      // Create 909-style kick drum
+      kickDrum = new Tone.MembraneSynth({
+        pitchDecay: 0.05,
+        octaves: 10,
+        oscillator: { type: 'sine' },
+        envelope: {
+          attack: 0.001,
+          decay: 0.4,
+          sustain: 0.01,
+          release: 1.4,
+          attackCurve: 'exponential'
+        }
+      }).toDestination();
+    }
+
+    if (!snareDrum || snareDrum.disposed) {
+      // Create 909-style snare drum
+      snareDrum = new Tone.NoiseSynth({
+        noise: { type: 'white' },
+        envelope: {
+          attack: 0.001,
+          decay: 0.2,
+          sustain: 0.0,
+          release: 0.2
+        }
+      }).toDestination();
+    }
+
+    if (!hihatDrum || hihatDrum.disposed) {
+      // Softer noise-based hi-hat
+      hihatDrum = new Tone.NoiseSynth({
+        noise: { type: 'white' },
+        envelope: {
+          attack: 0.001,
+          decay: 0.11,
+          sustain: 0,
+          release: 0.05
+        }
+      }).toDestination();
+    }
+
+    if (!clapDrum || clapDrum.disposed) {
+      // Distinct clap with a longer, filtered tail
+      clapDrum = new Tone.NoiseSynth({
+        noise: { type: 'pink' },
+        envelope: {
+          attack: 0.001,
+          decay: 0.25,
+          sustain: 0,
+          release: 0.25,
+          attackCurve: 'linear'
+        }
+      }).toDestination();
+    }
+
+    const harmonicity = mapValue(params.fmTimbre, 0, 20, 1, 4);
+    const modulationIndex = mapValue(params.fmTimbre, 0, 20, 0, 20);
+
+    synth.set({
+      harmonicity,
+      modulationIndex,
+      envelope: mainEnvelope,
+      modulationEnvelope: {
+        attack: 0.01,
+        decay: params.fmModDepth,
+        sustain: 1,
+        release: 0.5
+      }
+    });
+
+    // Update layer synth envelope based on main synth params
+    updateLayerSynthEnvelope(params);
+    applySpreadDetune(params.noteSpread);
+    applyFlutterWowSettings(params);
+
+    reverb = new Tone.Reverb({ decay: 8, preDelay: 0.01, wet: params.reverbWet }).toDestination();
+    currentDelaySettings = parts.delaySettings || lockedPart('delays', currentDelaySettings.length ? currentDelaySettings : null) || generateDelaySettings(params.nDelayChains, random.stream('delays'));
+    delays = currentDelaySettings.map(settings => new Tone.FeedbackDelay(settings).connect(reverb));
+    if (isOffline) {
+      // The impulse response is generated asynchronously; without it the
+      // render would start with a silent reverb.
+      await reverb.ready;
+    }
+    updateDelayWetness(params.nDelayChains);
+    masterVolume = new Tone.Volume(DEFAULT_MASTER_DB);
+    masterVolume.volume.value = SILENCE_DB;
+    masterVolume.volume.linearRampToValueAtTime(DEFAULT_MASTER_DB, context.now() + SOUND_FADE_DURATION);
+
+    drumBus = new Tone.Volume(DEFAULT_MASTER_DB).toDestination();
+    lowTap = new Tone.Gain(1);
+    if (!isOffline && typeof window !== 'undefined') {
+      window.lowTapNode = lowTap;
+    }
+    setDrumMuteState(drumsMuted, true);
+
+    // Layer filter and depth (simple low-pass for the layer voice)
+    const layerFilterFreq = mapLayerFilterValue(params.layerFilter);
+    layerFilter = new Tone.Filter(layerFilterFreq, 'lowpass', -24);
+    layerVolume = new Tone.Volume(mapValue(params.gelaagdheid, 0, 1, -72, -18));
+    applyLayerLowpassCenter(layerFilterFreq);
+
+    // Synth filter (Three Sisters SVF) for the main klank path
+    const synthFilterFrequency = Math.min(Math.max(params.synthFilterFrequency ?? SYNTH_FILTER_DEFAULT_FREQUENCY, SYNTH_FILTER_FREQUENCY_MIN), SYNTH_FILTER_FREQUENCY_MAX);
+    const synthFilterSpan = clampSynthFilterSpan(params.synthFilterSpan ?? SYNTH_FILTER_DEFAULT_SPAN);
+    const synthFilterQ = Math.min(Math.max(params.synthFilterQ ?? SYNTH_FILTER_DEFAULT_Q, SYNTH_FILTER_Q_MIN), SYNTH_FILTER_Q_MAX);
+    let filterNode = null;
+    synthFilterIsSVF = false;
+    const supportsSVF = canUseThreeSistersSVF();
+    if (supportsSVF) {
+      try {
+        filterNode = new ThreeSistersSVF({
+          center: synthFilterFrequency,
+          span: synthFilterSpan,
+          q: synthFilterQ,
+          feedback: SYNTH_FILTER_DEFAULT_FEEDBACK
+        });
+        await filterNode.ready();
+        synthFilterIsSVF = true;
+      } catch (error) {
+        console.warn('ThreeSistersSVF init failed, falling back to simple filter:', error && error.message ? error.message : error);
+        if (filterNode) {
+          filterNode.dispose();
+          filterNode = null;
+        }
+        synthFilterIsSVF = false;
+      }
+    }
+    if (!filterNode) {
+      filterNode = new SimpleThreeBandFilter({
+        center: synthFilterFrequency,
+        span: synthFilterSpan,
+        q: synthFilterQ
+      });
+      synthFilterIsSVF = false;
+    }
+    synthFilter = filterNode;
+    applySynthFilterSettings();
+
+    // Drum volume controls
+    kickVolume = new Tone.Volume(mapValue(params.kickVol, 0, 1, KICK_VOLUME_DB_RANGE.min, KICK_VOLUME_DB_RANGE.max));
+    snareVolume = new Tone.Volume(mapValue(params.snareVol, 0, 1, DRUM_VOLUME_DB_RANGE.min, DRUM_VOLUME_DB_RANGE.max));
+    hihatVolume = new Tone.Volume(mapValue(params.hihatVol, 0, 1, HIHAT_DB_RANGE.min, HIHAT_DB_RANGE.max));
+    clapVolume = new Tone.Volume(mapValue(params.clapVol, 0, 1, CLAP_DB_RANGE.min, CLAP_DB_RANGE.max));
+    createDrumFilters();
+
+    synth.connect(masterVolume);
+    refreshSynthRouting();
+
+    layerSynth.connect(layerFilter);
+    layerFilter.connect(layerVolume);
+    layerVolume.connect(reverb);
+    delays.forEach(delay => layerVolume.connect(delay));
+    if (lowTap) {
+      layerVolume.connect(lowTap);
+    }
+
+    // Connect drums to their dedicated filters and bus
+    wireDrumRouting();
+
+    if (stemTaps) {
+      // Stem renders play the grains on a copy of the FM voice that skips the
+      // synth filter, so they do not end up in the FM stem.
+      granularSynth = new Tone.PolySynth(Tone.FMSynth).set(synth.get());
+      granularVolume = new Tone.Volume(DEFAULT_MASTER_DB);
+      granularSynth.connect(granularVolume);
+      connectSourceToEffects(granularVolume);
+      connectFlutterWowToVoices();
+      connectStemTaps();
+    }
+
+    currentPatternStructure = parts.patternStructure
+      || lockedPart('melody', currentPatternStructure)
+      || buildPatternStructure(patternParams, random.stream('melody'));
+    const melodicEvents = renderPatternStructure(currentPatternStructure, patternParams);
+    patternPlaybackLength = Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, params.patternLength));
+    if (notePart) {
+      notePart.stop(0).dispose();
+      notePart = null;
+    }
+    notePart = createMelodicPart(melodicEvents, params);
+
+    const grainNotes = parts.grainNotes || lockedPart('granular', currentGrainNotes) || generateGranularNotes(patternParams, random.stream('grains'));
+    rebuildGranularPart(patternParams, grainNotes);
+
+    // Create drum patterns based on rhythm slider
+    updateDrumPart(patternParams, parts.drumPattern || lockedPart('drums', currentDrumPattern));
+
+    updatePatternPlaybackLength(params.patternLength);
+
+    transport.bpm.value = params.bpm;
+    emit({ type: 'soundscape' });
+  }
+
+  function lockedPart(part, events) {
+    return partLocks[part] ? events : null;
+  }
+
+  function createMelodicPart(events, params) {
+    if (!events || !events.length) return null;
+    const part = new Tone.Part((time, value) => {
+      if (transport.state !== 'started') return;
+
+      const noteDuration = value.duration || '8n';
+      const fundamental = Math.max(10, currentFundamental);
+      const semitoneOffset = value.semitoneOffset || 0;
+      const finalNote = fundamental * Math.pow(2, semitoneOffset / 12);
+
+      emitNote('melody', time, { frequency: finalNote, duration: noteDuration, velocity: value.velocity });
+      if (!playsInternally('melody')) return;
+
+      if (synth && !synth.disposed) {
+        synth.triggerAttackRelease(finalNote, noteDuration, time, value.velocity);
+        visualizer.triggerGridPattern(value.velocity, false, false, 0);
+      }
+
+      if (currentLayerDepth > 0 && layerSynth && !layerSynth.disposed) {
+        const transposeMultiplier = Math.pow(2, currentLayerTranspose / 12);
+        const offsetTime = time + currentLayerOffsetSeconds;
+        layerSynth.triggerAttackRelease(finalNote * transposeMultiplier, noteDuration, offsetTime, value.velocity * currentLayerDepth);
+        visualizer.triggerGridPattern(value.velocity * currentLayerDepth, false, true, currentLayerTranspose);
+      }
+    }, grooveEvents(events, params)).start(0);
+
+    part.loop = true;
+    part.loopEnd = `${patternPlaybackLength}m`;
+    return part;
+  }
+
+  // --- Groove ---
+  // The parts play grooved copies of their events, so the stored patterns
+  // stay on the grid.
+  function grooveEvents(events, params = getParams()) {
+    return applyGroove(events, resolveGrooveSteps(params), params.swingAmount);
+  }
+
+  // Turns the drum pattern that is playing, or the notes played live while
+  // the transport ran, into the custom groove and selects it. The drum
+  // pattern only has timing to give where the rhythm has hit offsets.
+  function extractGrooveFrom(source = 'drums') {
+    const events = source === 'live'
+      ? liveGrooveNotes
+      : (currentDrumPattern || getPatternData().drumPattern);
+    if (!events || !events.length) {
+      throw new Error(source === 'live' ? 'No notes were played while the transport ran' : 'The drum pattern is empty');
+    }
+    setParam('customGroove', source === 'live'
+      ? { name: 'Live gespeeld', steps: extractGroove(events) }
+      : extractDrumGroove(events));
+    setParam('grooveTemplate', CUSTOM_GROOVE_INDEX);
+    return values.customGroove;
+  }
+
+  function refreshGroove() {
+    if (!isSetup) return;
+    rebuildMelodicPart();
+    if (currentGrainNotes) rebuildGranularPart(null, currentGrainNotes);
+    if (currentDrumPattern) updateDrumPart(getParams(), currentDrumPattern);
+  }
+
+  function rebuildMelodicPart(params = null) {
+    if (!isSetup || !currentPatternStructure) return;
+    const activeParams = withHarmony(params || getParams());
+    const events = renderPatternStructure(currentPatternStructure, activeParams);
+    if (notePart) {
+      notePart.stop(0).dispose();
+      notePart = null;
+    }
+    notePart = createMelodicPart(events, activeParams);
+  }
+
+  function recalcBaseHueFromParams(params) {
+    const fundamentalHue = mapValue(params.fundamentalMidi, 36, 84, 30, 330);
+    const timbreShift = mapValue(params.fmTimbre, 0, 20, 0, 120);
+    const scaleHue = mapValue(params.scaleIndex, 0, SCALE_DEFINITIONS.length - 1, 0, 360);
+    visualizer.setBaseHue((fundamentalHue + timbreShift + scaleHue) % 360);
+  }
+
+  function handleFundamentalChange() {
+    const params = getParams();
+    currentFundamental = params.fundamental;
+    recalcBaseHueFromParams(params);
+  }
+
+  function handleScaleChange() {
+    const params = getParams();
+    recalcBaseHueFromParams(params);
+    if (currentPatternStructure) {
+      rebuildMelodicPart(params);
+    }
+    refreshGranularLayer();
+  }
+
+  function scheduleLoopAutomation(patternLength) {
+    if (automationLoopEvent !== null) {
+      transport.clear(automationLoopEvent);
+    }
+    const loopDuration = `${patternLength}m`;
+    automationLoopEvent = transport.scheduleRepeat((time) => {
+      loopCounter++;
+
+      if (isOffline) {
+        handleScaleCycle(loopCounter);
+        return;
+      }
+
+      const automationTiming = values.automationTiming;
+      if (automationTiming > 0 && loopCounter % automationTiming === 0) {
+        context.draw.schedule(() => {
+          automateParameter();
+        }, time);
+      }
+      context.draw.schedule(() => {
+        handleScaleCycle(loopCounter);
+      }, time);
+      if (arrangement.active) {
+        context.draw.schedule(() => {
+          handleArrangementLoop(time);
+        }, time);
+      }
+    }, loopDuration, loopDuration);
+  }
+
+  function updatePatternPlaybackLength(length) {
+    const clamped = Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, parseInt(length, 10) || 1));
+    patternPlaybackLength = clamped;
+    if (!notePart && !granularPart && !drumPart) return;
+    if (notePart) {
+      notePart.loopEnd = `${clamped}m`;
+    }
+    if (granularPart) {
+      granularPart.loopEnd = `${clamped}m`;
+    }
+    if (drumPart) {
+      drumPart.loopEnd = `${clamped}m`;
+    }
+    loopCounter = 0;
+    scaleCyclePosition = 0;
+    scheduleLoopAutomation(clamped);
+  }
+
+  function collectScaleCycleSteps() {
+    return values.scaleCycleSteps.filter(step => NOTE_NAMES.includes(step));
+  }
+
+  function applyScaleCycleStep(note) {
+    if (!note) return;
+    setParam('fundamentalNote', note, { source: 'scaleCycle' });
+  }
+
+  function getProgressionStep() {
+    const { progression } = values;
+    if (!progression) return null;
+    return progression.steps[progressionPosition.index % progression.steps.length];
+  }
+
+  // Adds the current progression chord, and the step's mode if it has one, to
+  // the params the melodic and granular parts are rendered from. A custom
+  // tuning keeps its own scale.
+  function withHarmony(params) {
+    const step = getProgressionStep();
+    if (!step) return params;
+    const scaleDefinition = step.scaleIndex !== null && !params.customScale
+      ? getScaleDefinition(step.scaleIndex)
+      : params.scaleDefinition;
+    return { ...params, scaleDefinition, chord: resolveChord(step.numeral, scaleDefinition) };
+  }
+
+  // The params every 16-measure structure is generated and rendered from, so
+  // a regenerated melody matches the one a fresh soundscape would play.
+  function structureParams(params = getParams()) {
+    return withHarmony({ ...params, patternLength: PATTERN_STRUCTURE_MEASURES });
+  }
+
+  function getProgressionState() {
+    const step = getProgressionStep();
+    return {
+      active: Boolean(step),
+      index: progressionPosition.index,
+      loopsPlayed: progressionPosition.loopsPlayed,
+      step: step ? { ...step } : null
+    };
+  }
+
+  function emitProgression() {
+    emit({ type: 'progression', ...getProgressionState() });
+  }
+
+  function applyProgressionStep(previousStep) {
+    const step = getProgressionStep();
+    if (currentPatternStructure) {
+      rebuildMelodicPart();
+    }
+    // Grains only depend on the scale, not on the chord.
+    if (!previousStep || !step || previousStep.scaleIndex !== step.scaleIndex) {
+      refreshGranularLayer();
+    }
+    emitProgression();
+  }
+
+  function advanceProgression() {
+    const step = getProgressionStep();
+    progressionPosition.loopsPlayed++;
+    if (progressionPosition.loopsPlayed < step.loops) {
+      emitProgression();
+      return;
+    }
+    progressionPosition = {
+      index: (progressionPosition.index + 1) % values.progression.steps.length,
+      loopsPlayed: 0
+    };
+    applyProgressionStep(step);
+  }
+
+  function handleScaleCycle(currentLoop) {
+    if (!isSetup) return;
+    if (values.progression) {
+      advanceProgression();
+      return;
+    }
+    const interval = values.scaleCycleInterval;
+    if (!interval || interval <= 0) return;
+    if (currentLoop % interval !== 0) return;
+    const steps = collectScaleCycleSteps();
+    if (!steps.length) return;
+    const stepIndex = scaleCyclePosition % steps.length;
+    const note = steps[stepIndex];
+    scaleCyclePosition = (scaleCyclePosition + 1) % steps.length;
+    applyScaleCycleStep(note);
+  }
+
+  function rebuildGranularPart(params, providedNotes = null) {
+    const sourceParams = structureParams(params || getParams());
+    if (granularPart) {
+      granularPart.stop(0).dispose();
+      granularPart = null;
+    }
+
+    const grainNotes = providedNotes || generateGranularNotes(sourceParams, new SeededRandom(seed).stream('grains'));
+    currentGrainNotes = grainNotes;
+    if (!grainNotes || !grainNotes.length) return;
+
+    granularPart = new Tone.Part((time, value) => {
+      if (transport.state !== 'started' || currentGranularWet <= 0) return;
+      const noteDuration = value.duration || '16n';
+      const fundamental = Math.max(10, currentFundamental);
+      const ratio = value.ratio ?? 1;
+      const finalNote = ratio * fundamental;
+      const wetVelocity = (value.velocity || 0.1) * currentGranularWet;
+
+      emitNote('granular', time, { frequency: finalNote, duration: noteDuration, velocity: wetVelocity });
+      if (!playsInternally('granular')) return;
+
+      const voice = granularSynth || synth;
+      if (voice && !voice.disposed && wetVelocity > 0) {
+        voice.triggerAttackRelease(finalNote, noteDuration, time, wetVelocity);
+        visualizer.triggerGridPattern(wetVelocity, true, false, 0);
+      }
+    }, grooveEvents(grainNotes, sourceParams)).start(0);
+
+    granularPart.loop = true;
+    granularPart.loopEnd = `${patternPlaybackLength}m`;
+  }
+
+  function refreshGranularLayer() {
+    if (!isSetup || partLocks.granular) return;
+    const params = getParams();
+    rebuildGranularPart(params);
+  }
+
+  function buildMainSynthEnvelope(params) {
+    return {
+      attack: params.attackTime,
+      decay: params.decayTime,
+      sustain: params.sustainLevel,
+      release: params.releaseTime
+    };
+  }
+
+  function buildLayerSynthEnvelope(params) {
+    return {
+      attack: params.layerAttack,
+      decay: params.layerDecay,
+      sustain: params.layerSustain,
+      release: params.layerRelease
+    };
+  }
+
+  function updateMainSynthEnvelope(params = null) {
+    if (!synth || synth.disposed) return;
+    const source = params || getParams();
+    synth.set({ envelope: buildMainSynthEnvelope(source) });
+  }
+
+  function updateLayerSynthEnvelope(params = null) {
+    if (!layerSynth || layerSynth.disposed) return;
+    const source = params || getParams();
+    layerSynth.set({ envelope: buildLayerSynthEnvelope(source) });
+  }
+
+  function getParams() {
+    return resolveParams(values);
+  }
+
+  // Live counterpart of generateSoundscape: pushes a single changed value
+  // into the running graph without rebuilding it.
+  function applyParamChange(name, value) {
+    if (name === 'synthFilterMix') {
+      setSynthFilterMixAmount(value);
+    }
+
+    if (name === 'synthFilterFrequency' || name === 'synthFilterSpan' || name === 'synthFilterQ') {
+      applySynthFilterSettings();
+    }
+
+    if (name === 'kickFilter' || name === 'snareFilter' || name === 'hihatFilter' || name === 'clapFilter') {
+      updateDrumFilterFrequency(name.replace('Filter', ''));
+    }
+
+    if (name === 'scaleCycleSteps') {
+      scaleCyclePosition = 0;
+    }
+
+    if (name === 'progression') {
+      progressionPosition = { index: 0, loopsPlayed: 0 };
+      if (!isSetup) emitProgression();
+    }
+
+    if (name === 'drumRhythm') {
+      drumRhythmPreview = null;
+      if (values.customRhythm) {
+        values.customRhythm = null;
+        emit({ type: 'param', name: 'customRhythm', value: null });
+      }
+    }
+
+    if (!isSetup) return;
+    switch(name) {
+      case 'fmTimbre': {
+        if (synth) synth.set({ modulationIndex: mapValue(value, 0, 10, 0, 20) });
+        // Update hue based on fmTimbre
+        const fundamentalHue = mapValue(getParams().fundamentalMidi, 36, 84, 30, 330);
+        const timbreShift = mapValue(value, 0, 20, 0, 120);
+        visualizer.setBaseHue((fundamentalHue + timbreShift) % 360);
+        break;
+      }
+      case 'fmModDepth':
+        if (synth) synth.set({ modulationEnvelope: { decay: value } });
+        break;
+      case 'attackTime':
+      case 'decayTime':
+      case 'sustainLevel':
+      case 'releaseTime':
+        updateMainSynthEnvelope();
+        break;
+      case 'layerAttack':
+      case 'layerDecay':
+      case 'layerSustain':
+      case 'layerRelease':
+        updateLayerSynthEnvelope();
+        break;
+      case 'laag':
+        currentLayerTranspose = value;
+        break;
+      case 'gelaagdheid':
+        // Update filter and volume in real-time
+        if (layerVolume) {
+          layerVolume.volume.value = mapValue(value, 0, 1, -72, -18);
+        }
+        currentLayerDepth = value;
+        break;
+      case 'layerFilter':
+        applyLayerLowpassCenter(mapLayerFilterValue(value));
+        break;
+      case 'layerOffset':
+        currentLayerOffsetSeconds = mapValue(value, 0, 1, 0, 0.6);
+        break;
+      case 'reverbWet':
+        if (reverb) reverb.wet.value = value;
+        break;
+      case 'drumRhythm':
+      case 'kickRepeat':
+      case 'snareRepeat':
+      case 'hihatRepeat':
+      case 'clapRepeat':
+      case 'drumGenerator':
+      case 'kickHits':
+      case 'kickSteps':
+      case 'kickRotation':
+      case 'snareHits':
+      case 'snareSteps':
+      case 'snareRotation':
+      case 'hihatHits':
+      case 'hihatSteps':
+      case 'hihatRotation':
+      case 'clapHits':
+      case 'clapSteps':
+      case 'clapRotation':
+      case 'customRhythm':
+        if (!partLocks.drums) updateDrumPart(getParams());
+        break;
+      case 'kickVol':
+        if (kickVolume) {
+          kickVolume.volume.value = mapValue(value, 0, 1, KICK_VOLUME_DB_RANGE.min, KICK_VOLUME_DB_RANGE.max);
+        }
+        break;
+      case 'snareVol':
+        if (snareVolume) {
+          snareVolume.volume.value = mapValue(value, 0, 1, DRUM_VOLUME_DB_RANGE.min, DRUM_VOLUME_DB_RANGE.max);
+        }
+        break;
+      case 'hihatVol':
+        if (hihatVolume) {
+          hihatVolume.volume.value = mapValue(value, 0, 1, HIHAT_DB_RANGE.min, HIHAT_DB_RANGE.max);
+        }
+        break;
+      case 'clapVol':
+        if (clapVolume) {
+          clapVolume.volume.value = mapValue(value, 0, 1, CLAP_DB_RANGE.min, CLAP_DB_RANGE.max);
+        }
+        break;
+      case 'bpm':
+        transport.bpm.value = value;
+        break;
+      case 'fundamentalNote':
+      case 'fundamentalOctave':
+        handleFundamentalChange();
+        break;
+      case 'noteSpread':
+        applySpreadDetune(value);
+        break;
+      case 'nDelayChains':
+        updateDelayWetness(value);
+        break;
+      case 'patternLength':
+        updatePatternPlaybackLength(value);
+        break;
+      case 'scaleIndex':
+        handleScaleChange();
+        break;
+      case 'progression':
+        applyProgressionStep(null);
+        break;
+      case 'grooveTemplate':
+      case 'customGroove':
+      case 'swingAmount':
+        refreshGroove();
+        break;
+      case 'melodyStyle':
+      case 'melodyStepLimit':
+      case 'harmonyMode':
+      case 'chordDensity':
+      case 'chordColor':
+        regenerateMelody();
+        break;
+      case 'customScale':
+        handleFundamentalChange();
+        handleScaleChange();
+        break;
+      case 'automation':
+      case 'automationTiming':
+      case 'automationSpeed':
+        startAutomation();
+        break;
+      case 'granular':
+        currentGranularWet = value;
+        break;
+      case 'granularTexture':
+        refreshGranularLayer();
+        break;
+      case 'scaleCycleInterval':
+        scaleCyclePosition = 0;
+        break;
+      case 'flutterDepth':
+      case 'flutterRate':
+        applyFlutterWowSettings(getParams());
+        break;
+    }
+  }
+
+  // `source` labels the undo history entry: user, automation, scaleCycle or
+  // morph.
+  function setParam(name, value, { source = 'user' } = {}) {
+    if (!isParamName(name)) {
+      throw new Error(`Unknown parameter "${name}"`);
+    }
+    const normalized = normalizeParamValue(name, value, values[name]);
+    values[name] = normalized;
+    applyParamChange(name, normalized);
+    emit({ type: 'param', name, value: normalized });
+    recordHistory(source, name, source === 'user' ? `user:${name}` : source);
+    return normalized;
+  }
+
+  // Replaces a batch of values at once and rebuilds the soundscape, the way
+  // pasting a state or randomizing does, instead of applying each live.
+  function setParams(partial = {}, options = {}) {
+    cancelMorph();
+    assignValues(partial);
+    drumRhythmPreview = null;
+    editedPatternStructure = null;
+    providedParts = null;
+    setSynthFilterMixAmount(values.synthFilterMix);
+    applySynthFilterSettings();
+    Object.keys(drumFilterTargets).forEach(updateDrumFilterFrequency);
+    scaleCyclePosition = 0;
+    recalcBaseHueFromParams(getParams());
+    emit({ type: 'params', params: getParams() });
+    recordHistory(options.source || 'user', 'params');
+    startAutomation();
+    return isSetup ? generateSoundscape(options) : Promise.resolve();
+  }
+
+  // Picks a fresh seed (unless one is given) and derives both the parameter
+  // values and the generated parts from it.
+  function randomize({ initialLoad = false, seed: requestedSeed } = {}) {
+    seed = normalizeSeed(requestedSeed) ?? createSeed();
+    emit({ type: 'seed', seed });
+    const random = new SeededRandom(seed).stream('params');
+    // Initial load uses shorter attack (0-0.2), randomize button uses wider range (0-0.9)
+    return setParams({
+      attackTime: initialLoad ? random.float(0.0, 0.2) : random.float(0.0, 0.9),
+      decayTime: random.float(0.05, 2.5),
+      sustainLevel: random.float(0.1, 0.9),
+      releaseTime: random.float(0.1, 5.0),
+      layerAttack: random.float(0.01, 0.6),
+      layerDecay: random.float(0.1, 2.0),
+      layerSustain: random.float(0.1, 0.9),
+      layerRelease: random.float(0.2, 4.5),
+      fundamentalNote: random.select(NOTE_NAMES),
+      fundamentalOctave: random.int(2, 5),
+      scaleIndex: random.int(0, SCALE_DEFINITIONS.length - 1),
+      nDelayChains: random.int(0, 3),
+      reverbWet: random.float(0.0, 0.5),
+      bpm: random.int(70, 150),
+      patternLength: random.select([2, 4, 8, 16]),
+      automationSpeed: random.float(0.8, 3.5),
+      drumRhythm: random.float(0, 1),
+      layerFilter: random.float(0.2, 0.85),
+      layerOffset: random.float(0, 0.7),
+      synthFilterFrequency: random.float(200, 3200),
+      synthFilterSpan: random.float(80, 1200),
+      synthFilterQ: random.float(6, 18),
+      synthFilterMix: Math.round(random.float(60, 100)) / 100,
+      granularTexture: random.float(0.2, 0.9),
+      flutterDepth: random.float(0, 0.6),
+      flutterRate: random.float(0.1, 0.9)
+    }, { source: 'randomize' });
+  }
+
+  // --- Automation System ---
+  let automationInterval = null;
+  let loopCounter = 0;
+
+  function automateParameter() {
+    const automationAmount = values.automation;
+
+    if (automationAmount > 0 && isSetup) {
+      const iterations = 1 + Math.floor(automationAmount * 3);
+      for (let i = 0; i < iterations; i++) {
+        const name = Random.select(AUTOMATABLE_PARAMS);
+        const { min, max, step } = PARAM_DEFINITIONS[name];
+        const current = values[name];
+        const range = max - min;
+
+        // Calculate subtle change based on automation amount
+        const maxChange = range * (0.05 + automationAmount * 0.1);
+        const change = Random.float(-maxChange, maxChange);
+        let newValue = Math.max(min, Math.min(max, current + change));
+
+        if (step > 0) {
+          newValue = Math.round(newValue / step) * step;
+          newValue = Math.max(min, Math.min(max, newValue));
+        }
+
+        setParam(name, newValue, { source: 'automation' });
+      }
+    }
+  }
+
+  function startAutomation() {
+    if (automationInterval) clearInterval(automationInterval);
+    if (isOffline) return;
+
+    const speed = Math.max(0.4, values.automationSpeed || 2);
+    const intervalTime = speed * 1000;
+
+    // Time-based automation (when timing is 0)
+    automationInterval = setInterval(() => {
+      // Only use time-based automation when timing is set to 0
+      if (values.automationTiming === 0) {
+        if (Random.coinToss(0.35)) { // 35% chance each interval
+          automateParameter();
+        }
+      }
+    }, intervalTime);
+  }
+
+  // --- Transport ---
+  function getTransportState() {
+    return isSetup ? transport.state : 'stopped';
+  }
+
+  function emitTransport() {
+    emit({ type: 'transport', state: getTransportState() });
+  }
+
+  async function play() {
+    if (!isSetup) {
+      await setupAndPlay();
+    } else if (transport.state !== 'started') {
+      transport.start();
+    }
+    emitTransport();
+  }
+
+  function pause() {
+    if (!isSetup) return;
+    transport.pause();
+    emitTransport();
+  }
+
+  function stop() {
+    if (!isSetup) return;
+    transport.stop();
+    if (automationLoopEvent !== null) {
+      transport.clear(automationLoopEvent);
+      automationLoopEvent = null;
+    }
+    allNotesOff();
+    cleanupAudio(true);
+    isSetup = false;
+    loopCounter = 0; // Reset loop counter on stop
+    cancelMorph();
+    arrangement.loopsPlayed = 0;
+    resetTransitionOutput();
+    emitTransport();
+  }
+
+  function regenerate(options = {}) {
+    if (!isSetup) return Promise.resolve();
+    return generateSoundscape(options);
+  }
+
+  // --- External clock ---
+  // When following an external clock the transport runs at the measured
+  // tempo plus a small correction that pulls it back onto the clock's beat
+  // position, so the parts stay aligned over long sessions. Larger jumps
+  // (a missed start, a stalled tab) are fixed by moving the transport.
+  const CLOCK_CORRECTION_LIMIT = 0.02;
+  const CLOCK_RESYNC_BEATS = 0.5;
+  const CLOCK_TEMPO_HYSTERESIS = 0.75;
+  let clockPulseEvent = null;
+
+  // Converts between performance.now() milliseconds (MIDI timestamps) and
+  // the context time the transport schedules on. Both directions use
+  // currentTime, the audio clock without the lookAhead of context.now().
+  function audioTimeFromTimestamp(timeStamp) {
+    return context.currentTime - Math.max(0, performance.now() - timeStamp) / 1000;
+  }
+
+  function timestampFromAudioTime(time) {
+    return performance.now() + Math.max(0, time - context.currentTime) * 1000;
+  }
+
+  async function startFromClock() {
+    await prepareAudio();
+    if (transport.state === 'started') {
+      transport.ticks = 0;
+    } else {
+      transport.start(undefined, 0);
+    }
+    emitTransport();
+  }
+
+  function getClockBeats(timeStamp = performance.now()) {
+    if (!isSetup) return 0;
+    return transport.getTicksAtTime(audioTimeFromTimestamp(timeStamp)) / transport.PPQ;
+  }
+
+  // beats: the clock's position since its start, at `timeStamp`.
+  function followClock({ bpm, beats, timeStamp }) {
+    if (!isSetup || transport.state !== 'started' || !(bpm > 0)) return;
+    if (Math.abs(bpm - values.bpm) >= CLOCK_TEMPO_HYSTERESIS) {
+      setParam('bpm', Math.round(bpm), { source: 'clock' });
+    }
+    if (!Number.isFinite(beats)) {
+      transport.bpm.value = bpm;
+      return;
+    }
+    const now = context.now();
+    const pulseTime = audioTimeFromTimestamp(timeStamp);
+    const error = beats - transport.getTicksAtTime(pulseTime) / transport.PPQ;
+    if (Math.abs(error) > CLOCK_RESYNC_BEATS) {
+      transport.ticks = Math.round((beats + (now - pulseTime) * bpm / 60) * transport.PPQ);
+      transport.bpm.value = bpm;
+      return;
+    }
+    // An error of e beats is made up over roughly 1/e beats at the limit.
+    const correction = Math.max(-CLOCK_CORRECTION_LIMIT, Math.min(CLOCK_CORRECTION_LIMIT, error));
+    transport.bpm.value = bpm * (1 + correction);
+  }
+
+  // Calls listener({ timeStamp, ticks }) 24 times per quarter note while the
+  // transport runs, ahead of time, for sending clock to other devices.
+  function setClockListener(listener) {
+    if (clockPulseEvent !== null) {
+      transport.clear(clockPulseEvent);
+      clockPulseEvent = null;
+    }
+    if (!listener || isOffline) return;
+    clockPulseEvent = transport.scheduleRepeat((time) => {
+      listener({ timeStamp: timestampFromAudioTime(time), ticks: transport.getTicksAtTime(time) });
+    }, '96n', 0);
+  }
+
+  // --- Note output ---
+  // Generated notes can also go to a listener (e.g. a MIDI output), with the
+  // scheduled time converted to a performance.now() timestamp, and each part
+  // can be taken off the internal voices.
+  let noteListener = null;
+  const internalParts = { melody: true, granular: true, drums: true };
+
+  function playsInternally(part) {
+    return internalParts[part] !== false;
+  }
+
+  function emitNote(part, time, note) {
+    if (!noteListener) return;
+    noteListener({
+      ...note,
+      part,
+      timeStamp: timestampFromAudioTime(time),
+      duration: Tone.Time(note.duration).toSeconds()
+    });
+  }
+
+  // listener({ part, timeStamp, duration, velocity, frequency | drum })
+  function setNoteListener(listener) {
+    noteListener = isOffline ? null : listener || null;
+  }
+
+  function setPartInternal(part, enabled) {
+    if (!NOTE_OUTPUT_PARTS.includes(part)) {
+      throw new Error(`Unknown part "${part}"`);
+    }
+    internalParts[part] = Boolean(enabled);
+  }
+
+  // --- Live input ---
+  // Notes played from a keyboard use the same FM and layer voices, and so the
+  // same filter and effect routing, as the melodic part. Pitches are absolute
+  // MIDI notes; the layer follows the laag transpose and layer offset.
+  const heldNotes = new Map();
+  const sustainedNotes = new Set();
+  let sustainPedal = false;
+  // Where the last live notes fell in the bar, for extracting a groove.
+  const LIVE_GROOVE_NOTES = 64;
+  let liveGrooveNotes = [];
+
+  function recordLiveGrooveNote(velocity) {
+    if (!isSetup || transport.state !== 'started') return;
+    const sixteenths = transport.getTicksAtTime(context.currentTime) / (transport.PPQ / 4);
+    liveGrooveNotes = [...liveGrooveNotes, { time: sixteenths, velocity }].slice(-LIVE_GROOVE_NOTES);
+  }
+
+  function releaseLiveNote(note) {
+    const voice = heldNotes.get(note);
+    heldNotes.delete(note);
+    sustainedNotes.delete(note);
+    if (!voice) return;
+    const now = context.now();
+    if (synth && !synth.disposed) {
+      synth.triggerRelease(voice.frequency, now);
+    }
+    if (voice.layerFrequency && layerSynth && !layerSynth.disposed) {
+      layerSynth.triggerRelease(voice.layerFrequency, now + currentLayerOffsetSeconds);
+    }
+  }
+
+  async function noteOn(note, velocity = 0.8) {
+    const midi = Math.round(note);
+    if (heldNotes.has(midi)) releaseLiveNote(midi);
+    const voice = { frequency: midiToFrequency(midi), layerFrequency: null };
+    heldNotes.set(midi, voice);
+    sustainedNotes.delete(midi);
+    await prepareAudio();
+    // The key may have been let go while the audio graph was being built.
+    if (heldNotes.get(midi) !== voice || !synth || synth.disposed) return;
+
+    recordLiveGrooveNote(velocity);
+    const now = context.now();
+    synth.triggerAttack(voice.frequency, now, velocity);
+    visualizer.triggerGridPattern(velocity, false, false, 0);
+    if (currentLayerDepth > 0 && layerSynth && !layerSynth.disposed) {
+      voice.layerFrequency = voice.frequency * Math.pow(2, currentLayerTranspose / 12);
+      layerSynth.triggerAttack(voice.layerFrequency, now + currentLayerOffsetSeconds, velocity * currentLayerDepth);
+      visualizer.triggerGridPattern(velocity * currentLayerDepth, false, true, currentLayerTranspose);
+    }
+  }
+
+  function noteOff(note) {
+    const midi = Math.round(note);
+    if (!heldNotes.has(midi)) return;
+    if (sustainPedal) {
+      sustainedNotes.add(midi);
+    } else {
+      releaseLiveNote(midi);
+    }
+  }
+
+  function setSustain(down) {
+    sustainPedal = Boolean(down);
+    if (!sustainPedal) {
+      [...sustainedNotes].forEach(releaseLiveNote);
+    }
+  }
+
+  // amount: -1 to 1, a full bend is PITCH_BEND_RANGE_CENTS.
+  function setPitchBend(amount) {
+    const clamped = Math.max(-1, Math.min(1, Number(amount) || 0));
+    currentPitchBendCents = clamped * PITCH_BEND_RANGE_CENTS;
+    applyVoiceDetune();
+  }
+
+  function allNotesOff() {
+    sustainPedal = false;
+    [...heldNotes.keys()].forEach(releaseLiveNote);
+  }
+
+  // --- Arrangement ---
+  // Sections are state strings played back to back. Each one lasts a number
+  // of pattern loops, counted on the same loop clock as the scale cycle, and
+  // names the transition into it. There is only one audio graph, so a
+  // crossfade dips the old section out over its last bar and brings the new
+  // one in over the first; a filter sweep does the same with a lowpass on the
+  // output.
+  const arrangement = { sections: [], repeat: true, active: false, index: 0, loopsPlayed: 0 };
+  let transitionFilter = null;
+
+  function getArrangement() {
+    return {
+      sections: arrangement.sections.map(section => ({ ...section })),
+      repeat: arrangement.repeat,
+      active: arrangement.active,
+      index: arrangement.index,
+      loopsPlayed: arrangement.loopsPlayed
+    };
+  }
+
+  function emitArrangement() {
+    emit({ type: 'arrangement', arrangement: getArrangement() });
+  }
+
+  function setArrangement(sections, { repeat = arrangement.repeat } = {}) {
+    arrangement.sections = normalizeArrangement(sections);
+    arrangement.repeat = Boolean(repeat);
+    if (!arrangement.sections.length) {
+      arrangement.active = false;
+      resetTransitionOutput();
+    }
+    arrangement.index = Math.max(0, Math.min(arrangement.index, arrangement.sections.length - 1));
+    emitArrangement();
+  }
+
+  function startArrangement(index = 0) {
+    if (!arrangement.sections.length) {
+      throw new Error('Arrangement has no sections');
+    }
+    resetTransitionOutput();
+    arrangement.active = true;
+    enterArrangementSection(Math.max(0, Math.min(arrangement.sections.length - 1, Math.round(index))));
+  }
+
+  function stopArrangement() {
+    arrangement.active = false;
+    arrangement.loopsPlayed = 0;
+    resetTransitionOutput();
+    emitArrangement();
+  }
+
+  function getTransitionFilter() {
+    if (!transitionFilter) {
+      transitionFilter = new Tone.Filter({ type: 'lowpass', frequency: TRANSITION_FILTER_OPEN, rolloff: -24 });
+      context.destination.chain(transitionFilter);
+    }
+    return transitionFilter;
+  }
+
+  function resetTransitionOutput() {
+    if (isOffline) return;
+    const now = context.now();
+    context.destination.volume.cancelScheduledValues(now);
+    context.destination.volume.setValueAtTime(0, now);
+    if (transitionFilter) {
+      transitionFilter.frequency.cancelScheduledValues(now);
+      transitionFilter.frequency.setValueAtTime(TRANSITION_FILTER_OPEN, now);
+    }
+  }
+
+  // One bar, or half a loop for one-bar patterns.
+  function getTransitionSeconds() {
+    const barSeconds = transport.toSeconds('1m');
+    return Math.min(barSeconds, (barSeconds * patternPlaybackLength) / 2);
+  }
+
+  // Ramps out over the end of the loop that is playing now.
+  function scheduleTransitionOut(transition) {
+    if (transport.state !== 'started') return;
+    const rampSeconds = getTransitionSeconds();
+    const end = transport.nextSubdivision(`${patternPlaybackLength}m`);
+    const start = Math.max(context.now(), end - rampSeconds);
+    if (transition === 'crossfade') {
+      context.destination.volume.setValueAtTime(0, start);
+      context.destination.volume.linearRampToValueAtTime(SILENCE_DB, end);
+    } else if (transition === 'filter') {
+      const { frequency } = getTransitionFilter();
+      frequency.setValueAtTime(TRANSITION_FILTER_OPEN, start);
+      frequency.exponentialRampToValueAtTime(TRANSITION_FILTER_CLOSED, end);
+    }
+  }
+
+  function scheduleTransitionIn(transition, time) {
+    const rampSeconds = getTransitionSeconds();
+    if (transition === 'crossfade') {
+      context.destination.volume.cancelScheduledValues(time);
+      context.destination.volume.setValueAtTime(SILENCE_DB, time);
+      context.destination.volume.linearRampToValueAtTime(0, time + rampSeconds);
+    } else if (transition === 'filter') {
+      const { frequency } = getTransitionFilter();
+      frequency.cancelScheduledValues(time);
+      frequency.setValueAtTime(TRANSITION_FILTER_CLOSED, time);
+      frequency.exponentialRampToValueAtTime(TRANSITION_FILTER_OPEN, time + rampSeconds);
+    }
+  }
+
+  function getNextSectionIndex() {
+    const next = arrangement.index + 1;
+    if (next < arrangement.sections.length) return next;
+    return arrangement.repeat ? 0 : -1;
+  }
+
+  // Loads a section and, when it only lasts one loop, already schedules the
+  // ramp out of it. The transition ramps replace the usual regeneration fade.
+  function enterArrangementSection(index, time = context.now()) {
+    const section = arrangement.sections[index];
+    arrangement.index = index;
+    arrangement.loopsPlayed = 0;
+    const regenerating = applyState(section.state, { skipFade: true });
+    if (!regenerating) {
+      stopArrangement();
+      return;
+    }
+    // A section that fails to regenerate ends the arrangement instead of
+    // counting loops over whatever was playing before.
+    regenerating.catch(error => {
+      reportStateLoadError(error);
+      if (arrangement.active && arrangement.index === index) stopArrangement();
+    });
+    if (isSetup) {
+      scheduleTransitionIn(section.transition, time);
+      prepareSectionEnd();
+    }
+    emitArrangement();
+  }
+
+  function prepareSectionEnd() {
+    const section = arrangement.sections[arrangement.index];
+    if (arrangement.loopsPlayed !== section.loops - 1) return;
+    const nextIndex = getNextSectionIndex();
+    if (nextIndex >= 0) {
+      scheduleTransitionOut(arrangement.sections[nextIndex].transition);
+    }
+  }
+
+  function handleArrangementLoop(time) {
+    if (!arrangement.active || !isSetup) return;
+    const section = arrangement.sections[arrangement.index];
+    if (!section) return;
+    arrangement.loopsPlayed++;
+    if (arrangement.loopsPlayed < section.loops) {
+      prepareSectionEnd();
+      emitArrangement();
+      return;
+    }
+    const nextIndex = getNextSectionIndex();
+    if (nextIndex < 0) {
+      stopArrangement();
+      return;
+    }
+    enterArrangementSection(nextIndex, time);
+  }
+
+  // --- State morphing ---
+  // Moves from the current values to a saved state without regenerating:
+  // MORPH_CONTINUOUS_PARAMS glide every sixteenth over `bars` bars starting at
+  // the next bar line, the rest (and the drum filter bypasses) switch at the
+  // bar halfway through. The playing melody, grains and drums are kept, so the
+  // target's seed is not taken over.
+  let morph = null;
+
+  function getMorphState() {
+    return morph ? { active: true, progress: morph.progress, bars: morph.bars } : { active: false, progress: 0, bars: 0 };
+  }
+
+  function emitMorph() {
+    emit({ type: 'morph', ...getMorphState() });
+  }
+
+  function cancelMorph() {
+    if (!morph) return;
+    transport.clear(morph.stepEvent);
+    transport.clear(morph.switchEvent);
+    morph = null;
+    emitMorph();
+  }
+
+  function applyMorphStep(progress) {
+    if (!morph) return;
+    morph.progress = progress;
+    MORPH_CONTINUOUS_PARAMS.forEach(name => {
+      const from = morph.from[name];
+      const to = morph.to[name];
+      if (from === to) return;
+      setParam(name, from + (to - from) * progress, { source: 'morph' });
+    });
+    emitMorph();
+    if (progress >= 1) {
+      transport.clear(morph.stepEvent);
+      morph = null;
+      emitMorph();
+    }
+  }
+
+  function applyMorphSwitch() {
+    if (!morph) return;
+    const delayCount = Math.round(values.nDelayChains);
+    PARAM_NAMES.forEach(name => {
+      if (MORPH_CONTINUOUS_PARAMS.includes(name)) return;
+      const target = morph.to[name];
+      if (JSON.stringify(values[name]) !== JSON.stringify(target)) {
+        setParam(name, target, { source: 'morph' });
+      }
+    });
+    Object.keys(morph.drumFilterBypass).forEach(drum => {
+      setDrumFilterBypassState(drum, morph.drumFilterBypass[drum]);
+    });
+    if (Math.round(values.nDelayChains) !== delayCount) rebuildDelays();
+  }
+
+  function morphToState(stateString, { bars = 4 } = {}) {
+    const decoded = decodeState(stateString);
+    cancelMorph();
+    if (!isSetup || transport.state !== 'started') {
+      return loadState(stateString);
+    }
+    const barCount = Math.max(1, Math.round(bars));
+    const to = {};
+    PARAM_NAMES.forEach(name => {
+      to[name] = normalizeParamValue(name, decoded.values[name], values[name]);
+    });
+    const barTicks = transport.toTicks('1m');
+    const startBar = Math.ceil(transport.ticks / barTicks);
+    const startTicks = startBar * barTicks;
+    const totalTicks = barCount * barTicks;
+    morph = {
+      from: { ...values },
+      to,
+      drumFilterBypass: { ...decoded.drumFilterBypass },
+      bars: barCount,
+      progress: 0
+    };
+    const current = morph;
+    morph.stepEvent = transport.scheduleRepeat((time) => {
+      const progress = Math.min(1, Math.max(0, (transport.getTicksAtTime(time) - startTicks) / totalTicks));
+      context.draw.schedule(() => {
+        if (morph === current) applyMorphStep(progress);
+      }, time);
+    }, '16n', `${startBar}m`);
+    morph.switchEvent = transport.schedule((time) => {
+      context.draw.schedule(() => {
+        if (morph === current) applyMorphSwitch();
+      }, time);
+    }, `${startBar + Math.floor(barCount / 2)}m`);
+    emitMorph();
+    return true;
+  }
+
+  // --- Offline rendering ---
+  // Renders the given number of bars through a second engine living in an
+  // OfflineAudioContext. While playing, that engine replays the current
+  // melody, grains, drums and delay settings instead of generating new ones.
+  // With stems enabled, every bus in STEM_NAMES gets its own stereo pair after
+  // the mixdown in channels 0-1, so all stems come out of the same pass.
+  async function renderOffline({ bars = 8, sampleRate = 44100, tail = RENDER_TAIL_SECONDS, stems = false } = {}) {
+    const barCount = Math.max(1, Math.round(bars));
+    const playSeconds = barCount * transport.timeSignature * (60 / values.bpm);
+    const snapshot = { ...values, scaleCycleSteps: [...values.scaleCycleSteps] };
+    const parts = isSetup
+      ? {
+        patternStructure: currentPatternStructure,
+        grainNotes: currentGrainNotes,
+        drumPattern: currentDrumPattern,
+        delaySettings: currentDelaySettings
+      }
+      : null;
+    const channels = stems ? 2 + STEM_NAMES.length * 2 : 2;
+    let offlineEngine = null;
+    const buffer = await Tone.Offline(async (offlineContext) => {
+      const stemTaps = stems ? createStemTaps(offlineContext, channels) : null;
+      offlineEngine = createBlokkenEngine(snapshot, { offline: true, parts, stemTaps, seed });
+      Object.keys(drumFilterBypassStates).forEach(drum => {
+        offlineEngine.setDrumFilterBypass(drum, drumFilterBypassStates[drum]);
+      });
+      await offlineEngine.play();
+      offlineContext.transport.stop(playSeconds);
+    }, playSeconds + Math.max(0, tail), channels, sampleRate);
+    offlineEngine.dispose();
+    return buffer;
+  }
+
+  function createStemTaps(offlineContext, channels) {
+    const destination = offlineContext.rawContext.destination;
+    destination.channelInterpretation = 'discrete';
+    const merge = new Tone.Merge({ channels });
+    merge.connect(destination);
+    const taps = {};
+    STEM_NAMES.forEach((name, idx) => {
+      // Mono sources such as the drum voices are spread over both sides.
+      const tap = new Tone.Gain(1);
+      tap.channelCount = 2;
+      tap.channelCountMode = 'explicit';
+      tap.channelInterpretation = 'speakers';
+      const split = new Tone.Split(2);
+      tap.connect(split);
+      split.connect(merge, 0, 2 + idx * 2);
+      split.connect(merge, 1, 3 + idx * 2);
+      taps[name] = tap;
+    });
+    return taps;
+  }
+
+  async function render(options = {}) {
+    return (await renderOffline({ ...options, stems: false })).get();
+  }
+
+  // Returns the mixdown and one stereo AudioBuffer per stem, all the same length.
+  async function renderStems(options = {}) {
+    const buffer = (await renderOffline({ ...options, stems: true })).get();
+    const extract = (firstChannel) => {
+      const stereo = new AudioBuffer({ numberOfChannels: 2, length: buffer.length, sampleRate: buffer.sampleRate });
+      stereo.copyToChannel(buffer.getChannelData(firstChannel), 0);
+      stereo.copyToChannel(buffer.getChannelData(firstChannel + 1), 1);
+      return stereo;
+    };
+    const stems = {};
+    STEM_NAMES.forEach((name, idx) => {
+      stems[name] = extract(2 + idx * 2);
+    });
+    return { mix: extract(0), stems };
+  }
+
+  // --- Drum rhythms ---
+  function getDrumRhythm() {
+    return normalizeRhythmPattern(drumRhythmPreview || values.customRhythm || blendRhythmPatterns(values.drumRhythm));
+  }
+
+  function isDrumRhythmPreviewing() {
+    return Boolean(drumRhythmPreview);
+  }
+
+  // Plays `rhythm` instead of the slider blend or the picked rhythm until it
+  // is saved, cleared with null, or the drumRhythm slider moves.
+  function previewDrumRhythm(rhythm) {
+    drumRhythmPreview = rhythm ? normalizeRhythmPattern(rhythm) : null;
+    if (isSetup) updateDrumPart(getParams());
+    emit({ type: 'drumRhythm', previewing: Boolean(drumRhythmPreview) });
+  }
+
+  // Adds the rhythm to the library and plays it as the picked rhythm.
+  function saveDrumRhythm(label, rhythm = drumRhythmPreview) {
+    const saved = { ...(rhythm || getDrumRhythm()), label };
+    const index = addRhythmPattern(saved);
+    drumRhythmPreview = null;
+    emit({ type: 'rhythms' });
+    setParam('customRhythm', saved);
+    return index;
+  }
+
+  function getRhythms() {
+    return getRhythmPatterns();
+  }
+
+  // Replaces the library. What plays does not change: the slider blends the
+  // built-in styles and the picked rhythm is a copy in customRhythm.
+  function setRhythms(patterns) {
+    setRhythmPatterns(patterns);
+    emit({ type: 'rhythms' });
+  }
+
+  // --- Part locks ---
+  function isPartLocked(part) {
+    return Boolean(partLocks[part]);
+  }
+
+  function getPartLocks() {
+    return { ...partLocks };
+  }
+
+  function setPartLock(part, locked) {
+    if (!LOCKABLE_PARTS.includes(part)) {
+      throw new Error(`Unknown part "${part}"`);
+    }
+    partLocks[part] = Boolean(locked);
+    emit({ type: 'partLock', part, locked: partLocks[part] });
+  }
+
+  // --- Melodic structure ---
+  function clonePatternStructure(structure) {
+    return structure.map(event => ({ ...event, degrees: [...event.degrees] }));
+  }
+
+  // A hand-edited structure plays as it is, except under a style that is
+  // trained on the current material; that style is generated from the edit.
+  function buildPatternStructure(params = structureParams(), random = new SeededRandom(seed).stream('melody')) {
+    const style = MELODY_STYLES[params.melodyStyle];
+    if (editedPatternStructure && !(style && style.trainsOnSource)) {
+      return clonePatternStructure(editedPatternStructure);
+    }
+    return generatePatternStructure(params, random, editedPatternStructure);
+  }
+
+  function getPatternStructure() {
+    if (editedPatternStructure) return clonePatternStructure(editedPatternStructure);
+    if (isSetup && currentPatternStructure) return clonePatternStructure(currentPatternStructure);
+    return generatePatternStructure(structureParams(), new SeededRandom(seed).stream('melody'));
+  }
+
+  // Swaps in an edited structure and re-renders only the melodic part.
+  function setPatternStructure(structure) {
+    editedPatternStructure = normalizePatternStructure(structure);
+    if (isSetup) {
+      currentPatternStructure = buildPatternStructure();
+      rebuildMelodicPart();
+    }
+    emit({ type: 'patternStructure' });
+  }
+
+  // Melody style and harmony settings change how the structure is generated,
+  // so the melody is regenerated from the seed, or from the hand edit, unless
+  // it is locked.
+  function regenerateMelody() {
+    if (!isSetup || partLocks.melody) return;
+    currentPatternStructure = buildPatternStructure();
+    rebuildMelodicPart();
+    emit({ type: 'patternStructure' });
+  }
+
+  // Drops piano-roll edits and goes back to the structure the seed produces.
+  function resetPatternStructure() {
+    editedPatternStructure = null;
+    if (isSetup) {
+      currentPatternStructure = buildPatternStructure();
+      rebuildMelodicPart();
+    }
+    emit({ type: 'patternStructure' });
+  }
+
+  // --- Pattern data ---
+  // The events the parts are playing, or, before playback has started, the
+  // ones the current seed and parameters would produce.
+  function getPatternData() {
+    const params = getParams();
+    const patternParams = structureParams(params);
+    const random = new SeededRandom(seed);
+    const structure = (isSetup && currentPatternStructure)
+      || buildPatternStructure(patternParams, random.stream('melody'));
+    return {
+      bpm: params.bpm,
+      fundamentalMidi: params.fundamentalMidi,
+      patternLength: Math.max(1, Math.min(PATTERN_STRUCTURE_MEASURES, params.patternLength)),
+      granularAmount: params.granular,
+      structure,
+      melodicEvents: renderPatternStructure(structure, patternParams),
+      grainNotes: (isSetup && currentGrainNotes) || generateGranularNotes(patternParams, random.stream('grains')),
+      drumPattern: (isSetup && currentDrumPattern) || generateDrumPattern(patternParams, drumRhythmPreview)
+    };
+  }
+
+  // --- Seed ---
+  function getSeed() {
+    return seed;
+  }
+
+  function setSeed(value) {
+    const normalized = normalizeSeed(value);
+    if (normalized === null) {
+      throw new Error(`Invalid seed "${value}"`);
+    }
+    seed = normalized;
+    editedPatternStructure = null;
+    emit({ type: 'seed', seed });
+    recordHistory('user', 'seed');
+    return regenerate();
+  }
+
+  function setDrumFilterBypass(drum, bypassed) {
+    setDrumFilterBypassState(drum, bypassed);
+    recordHistory('user', `${drum}Filter`);
+  }
+
+  // --- History ---
+  // Parameter snapshots for undo/redo. Restoring one that has another seed
+  // regenerates the soundscape; otherwise the differences are applied live.
+  const history = createHistory();
+  let isRestoringHistory = false;
+
+  function takeSnapshot() {
+    return {
+      values: { ...values, scaleCycleSteps: [...values.scaleCycleSteps] },
+      seed,
+      drumFilterBypass: { ...drumFilterBypassStates }
+    };
+  }
+
+  function emitHistory() {
+    emit({ type: 'history', entries: history.list(), index: history.getIndex() });
+  }
+
+  function recordHistory(source, label, mergeKey = null) {
+    if (isOffline || isRestoringHistory) return;
+    history.record(takeSnapshot(), { source, label, mergeKey });
+    emitHistory();
+  }
+
+  // Resolves once the soundscape is rebuilt when the seed changed, so a
+  // failing regenerate reaches the caller of undo or redo.
+  function restoreSnapshot({ values: snapshotValues, seed: snapshotSeed, drumFilterBypass }) {
+    let regenerating = Promise.resolve();
+    isRestoringHistory = true;
+    try {
+      Object.keys(drumFilterBypass).forEach(drum => {
+        setDrumFilterBypassState(drum, drumFilterBypass[drum]);
+      });
+      if (snapshotSeed !== seed) {
+        seed = snapshotSeed;
+        emit({ type: 'seed', seed });
+        regenerating = setParams(snapshotValues);
+      } else {
+        PARAM_NAMES.forEach(name => {
+          if (JSON.stringify(values[name]) !== JSON.stringify(snapshotValues[name])) {
+            setParam(name, snapshotValues[name]);
+          }
+        });
+      }
+    } finally {
+      isRestoringHistory = false;
+    }
+    emitHistory();
+    return regenerating;
+  }
+
+  // Resolves to false when there is nothing to go to.
+  async function restoreHistoryEntry(entry) {
+    if (!entry) return false;
+    await restoreSnapshot(entry.snapshot);
+    return true;
+  }
+
+  function undo() {
+    return restoreHistoryEntry(history.undo());
+  }
+
+  function redo() {
+    return restoreHistoryEntry(history.redo());
+  }
+
+  function goToHistory(index) {
+    return restoreHistoryEntry(history.goTo(index));
+  }
+
+  function getHistory() {
+    return { entries: history.list(), index: history.getIndex(), canUndo: history.canUndo(), canRedo: history.canRedo() };
+  }
+
+  // --- State Management ---
+  function getState() {
+    return encodeState(getParams(), drumFilterBypassStates, seed);
+  }
+
+  function reportStateLoadError(error) {
+    console.error('Could not load state:', error);
+    emit({ type: 'stateLoad', ok: false, error: error.message });
+  }
+
+  // Applies a state string and returns the promise of the regeneration it
+  // starts, or null when the string could not be read.
+  function applyState(stateString, options = {}) {
+    let decoded;
+    try {
+      decoded = decodeState(stateString);
+    } catch (e) {
+      if (!(e instanceof StateError)) throw e;
+      emit({ type: 'stateLoad', ok: false, error: e.message, issues: e.issues });
+      return null;
+    }
+    const { values: stateValues, drumFilterBypass, seed: storedSeed, version, issues } = decoded;
+    // States saved before seeds existed cannot be reproduced; give them a new one.
+    seed = storedSeed ?? createSeed();
+    emit({ type: 'seed', seed });
+    Object.keys(DRUM_FILTER_SETTINGS).forEach(drum => {
+      const stored = Object.prototype.hasOwnProperty.call(drumFilterBypass, drum)
+        ? drumFilterBypass[drum]
+        : DEFAULT_DRUM_FILTER_BYPASS[drum];
+      setDrumFilterBypassState(drum, stored, { skipRouting: true });
+    });
+    const regenerating = setParams(stateValues, { source: 'state', ...options });
+    emit({ type: 'stateLoad', ok: true, version, issues });
+    return regenerating;
+  }
+
+  // Loads a state string of any version. Emits a 'stateLoad' event with the
+  // version it was migrated from and the fields that had to be corrected, or
+  // with the error when the string could not be used at all.
+  function loadState(stateString, options = {}) {
+    const regenerating = applyState(stateString, options);
+    if (!regenerating) return false;
+    regenerating.catch(reportStateLoadError);
+    return true;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function dispose() {
+    stop();
+    setClockListener(null);
+    if (transitionFilter) {
+      context.destination.chain();
+      transitionFilter.dispose();
+      transitionFilter = null;
+    }
+    if (automationInterval) clearInterval(automationInterval);
+    automationInterval = null;
+    listeners.clear();
+  }
+
+  Object.keys(drumFilterTargets).forEach(updateDrumFilterFrequency);
+  setSynthFilterMixAmount(values.synthFilterMix);
+  startAutomation();
+
+  return {
+    play,
+    pause,
+    stop,
+    setParam,
+    setParams,
+    getParams,
+    regenerate,
+    randomize,
+    render,
+    renderStems,
+    getPatternData,
+    isPartLocked,
+    getPartLocks,
+    setPartLock,
+    morphToState,
+    cancelMorph,
+    getMorphState,
+    getProgressionState,
+    extractGrooveFrom,
+    setNoteListener,
+    setPartInternal,
+    startFromClock,
+    followClock,
+    getClockBeats,
+    setClockListener,
+    noteOn,
+    noteOff,
+    setSustain,
+    setPitchBend,
+    allNotesOff,
+    getArrangement,
+    setArrangement,
+    startArrangement,
+    stopArrangement,
+    getPatternStructure,
+    setPatternStructure,
+    resetPatternStructure,
+    getDrumRhythm,
+    isDrumRhythmPreviewing,
+    previewDrumRhythm,
+    saveDrumRhythm,
+    getRhythms,
+    setRhythms,
+    getSeed,
+    setSeed,
+    getState,
+    loadState,
+    undo,
+    redo,
+    goToHistory,
+    getHistory,
+    setDrumFilterBypass,
+    isDrumFilterBypassed,
+    getDrumFilterBypass: () => ({ ...drumFilterBypassStates }),
+    getTransportState,
+    isReady: () => isSetup,
+    subscribe,
+    dispose,
+  };
+}
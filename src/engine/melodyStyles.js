@@ -0,0 +1,195 @@
+import { euclideanRhythm, timeStringToSteps } from './rhythms.js';
+
+// Melody generators. Each one gets the context built by
+// generatePatternStructure and returns a list of
+// { time, duration, velocity, degrees } events over context.totalBeats:
+//   random, params, totalBeats, degreeRange, stepsPerPeriod
+//   timeAt(beat)             beat -> "m:q:s"
+//   pickDegree()             uniform degree within the range
+//   nextVoicing()            next voice-led chord as a list of degrees
+//   event(beat, nextDegree)  a note or, by the chord settings, a chord
+//   source()                 the current structure, or the motif structure
+//                            of the same seed when there is none
+// A style with trainsOnSource derives its melody from source(), so a
+// hand-edited structure is its material instead of replacing its output.
+
+const RHYTHMIC_MOTIFS = [[0.5, 0.25, 0.25], [0.25, 0.25, 0.5], [1], [0.5, 0.5], [0.25, 0.75]];
+const NOTE_CHANCE = 0.65;
+const STEPS_PER_BEAT = 4;
+const PHRASE_BEATS = 4;
+
+function clampDegree(degree, { min, max }) {
+  return Math.min(max, Math.max(min, degree));
+}
+
+// Short rhythmic motifs with a uniformly chosen degree per note.
+function generateMotifs(context) {
+  const { random, totalBeats } = context;
+  const structure = [];
+  let currentBeat = 0;
+  while (currentBeat < totalBeats) {
+    const motif = random.select(RHYTHMIC_MOTIFS);
+    for (const durationInBeats of motif) {
+      if (currentBeat >= totalBeats) break;
+      if (random.coinToss(NOTE_CHANCE)) {
+        structure.push(context.event(currentBeat));
+      }
+      currentBeat += durationInBeats;
+    }
+  }
+  return structure;
+}
+
+function addTransition(table, from, to) {
+  const key = String(from);
+  if (!table.has(key)) table.set(key, []);
+  table.get(key).push(to);
+}
+
+// First-order Markov chains over the degrees and the time between notes of
+// the source structure; the next value is drawn in proportion to how often it
+// followed the current one.
+function generateMarkov(context) {
+  const { random, totalBeats } = context;
+  const notes = context.source()
+    .map(event => ({ steps: timeStringToSteps(event.time), degree: event.degrees[0] }))
+    .sort((a, b) => a.steps - b.steps);
+  if (notes.length < 2) return generateMotifs(context);
+
+  const degreeTable = new Map();
+  const gapTable = new Map();
+  const gaps = notes.slice(1).map((note, idx) => Math.max(1, note.steps - notes[idx].steps));
+  notes.slice(1).forEach((note, idx) => addTransition(degreeTable, notes[idx].degree, note.degree));
+  gaps.slice(1).forEach((gap, idx) => addTransition(gapTable, gaps[idx], gap));
+
+  const structure = [];
+  let degree = notes[0].degree;
+  let gap = random.select(gaps);
+  let steps = notes[0].steps % (PHRASE_BEATS * STEPS_PER_BEAT);
+  while (steps < totalBeats * STEPS_PER_BEAT) {
+    const current = degree;
+    structure.push(context.event(steps / STEPS_PER_BEAT, () => current));
+    const nextDegrees = degreeTable.get(String(degree));
+    degree = nextDegrees ? random.select(nextDegrees) : context.pickDegree();
+    const nextGaps = gapTable.get(String(gap));
+    gap = nextGaps ? random.select(nextGaps) : random.select(gaps);
+    steps += gap;
+  }
+  return structure;
+}
+
+// One Euclidean rhythm on the sixteenth grid, repeated every bar; the pitch
+// moves by small steps.
+function generateEuclidean(context) {
+  const { random, totalBeats, params } = context;
+  const stepsPerBar = PHRASE_BEATS * STEPS_PER_BEAT;
+  const pattern = euclideanRhythm(random.int(3, 9), stepsPerBar, random.int(0, stepsPerBar - 1));
+  const limit = Math.max(1, params.melodyStepLimit);
+  const structure = [];
+  let degree = context.pickDegree();
+  for (let step = 0; step < totalBeats * STEPS_PER_BEAT; step++) {
+    if (!pattern[step % stepsPerBar]) continue;
+    const current = degree;
+    structure.push(context.event(step / STEPS_PER_BEAT, () => current));
+    degree = clampDegree(degree + random.int(-limit, limit), context.degreeRange);
+  }
+  return structure;
+}
+
+// A random walk on the eighth grid: each note moves at most
+// melodyStepLimit degrees and bounces off the edges of the range.
+function generateRandomWalk(context) {
+  const { random, totalBeats, degreeRange, params } = context;
+  const limit = Math.max(1, params.melodyStepLimit);
+  const structure = [];
+  let degree = 0;
+  for (let beat = 0; beat < totalBeats; beat += 0.5) {
+    if (!random.coinToss(NOTE_CHANCE)) continue;
+    const current = degree;
+    structure.push(context.event(beat, () => current));
+    let next = degree + random.int(-limit, limit);
+    if (next > degreeRange.max) next = 2 * degreeRange.max - next;
+    if (next < degreeRange.min) next = 2 * degreeRange.min - next;
+    degree = clampDegree(next, degreeRange);
+  }
+  return structure;
+}
+
+const ARP_PATTERNS = {
+  up: tones => tones,
+  down: tones => [...tones].reverse(),
+  upDown: tones => [...tones, ...tones.slice(1, -1).reverse()],
+};
+
+// Arpeggios over voice-led chords, a new chord every bar.
+function generateArpeggio(context) {
+  const { random, totalBeats, stepsPerPeriod } = context;
+  const rate = random.select([0.25, 0.5]);
+  const patternName = random.select(['up', 'down', 'upDown', 'random']);
+  const structure = [];
+  for (let barStart = 0; barStart < totalBeats; barStart += PHRASE_BEATS) {
+    const voicing = context.nextVoicing();
+    const tones = [...voicing, voicing[0] + stepsPerPeriod];
+    const order = patternName === 'random' ? null : ARP_PATTERNS[patternName](tones);
+    let idx = 0;
+    for (let beat = barStart; beat < Math.min(totalBeats, barStart + PHRASE_BEATS); beat += rate) {
+      const degree = order ? order[idx % order.length] : random.select(tones);
+      idx++;
+      structure.push({
+        time: context.timeAt(beat),
+        duration: rate === 0.25 ? '16n' : '8n',
+        velocity: Number.isInteger(beat) ? random.float(0.45, 0.65) : random.float(0.2, 0.4),
+        degrees: [degree]
+      });
+    }
+  }
+  return structure;
+}
+
+// Two-bar phrases: a motif in the first bar and an answer in the second with
+// the same rhythm, the contour mirrored and the last note on the root.
+function generateCallAndResponse(context) {
+  const { random, totalBeats, degreeRange, stepsPerPeriod } = context;
+  const structure = [];
+  for (let phraseStart = 0; phraseStart < totalBeats; phraseStart += PHRASE_BEATS * 2) {
+    const call = [];
+    let beat = 0;
+    while (beat < PHRASE_BEATS) {
+      for (const durationInBeats of random.select(RHYTHMIC_MOTIFS)) {
+        if (beat >= PHRASE_BEATS) break;
+        if (random.coinToss(NOTE_CHANCE)) {
+          call.push({ beat, degree: context.pickDegree() });
+        }
+        beat += durationInBeats;
+      }
+    }
+    if (!call.length) continue;
+    call.forEach(note => {
+      if (phraseStart + note.beat < totalBeats) {
+        structure.push(context.event(phraseStart + note.beat, () => note.degree));
+      }
+    });
+    const axis = call[0].degree;
+    const shift = random.int(-2, 2);
+    const home = Math.round(axis / stepsPerPeriod) * stepsPerPeriod;
+    call.forEach((note, idx) => {
+      const answerBeat = phraseStart + PHRASE_BEATS + note.beat;
+      if (answerBeat >= totalBeats) return;
+      const degree = idx === call.length - 1
+        ? home
+        : clampDegree(2 * axis - note.degree + shift, degreeRange);
+      structure.push(context.event(answerBeat, () => degree));
+    });
+  }
+  return structure;
+}
+
+// Indexed by the melodyStyle parameter.
+export const MELODY_STYLES = [
+  { name: 'motifs', label: 'Motieven', generate: generateMotifs },
+  { name: 'markov', label: 'Markov', generate: generateMarkov, trainsOnSource: true },
+  { name: 'euclidean', label: 'Euclidisch', generate: generateEuclidean },
+  { name: 'randomWalk', label: 'Random walk', generate: generateRandomWalk },
+  { name: 'arpeggio', label: 'Arpeggiator', generate: generateArpeggio },
+  { name: 'callAndResponse', label: 'Vraag & antwoord', generate: generateCallAndResponse },
+];
@@ -0,0 +1,238 @@
+import { SCALE_LIBRARY, normalizeScale } from './scales.js';
+import { normalizeProgression } from './harmony.js';
+import { CUSTOM_GROOVE_INDEX, normalizeGroove } from './groove.js';
+import { normalizeRhythmPattern } from './rhythms.js';
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const SCALE_DEFINITIONS = SCALE_LIBRARY;
+
+export const SYNTH_FILTER_DEFAULT_FREQUENCY = 1200;
+export const SYNTH_FILTER_DEFAULT_SPAN = 400;
+export const SYNTH_FILTER_DEFAULT_Q = 12;
+export const DEFAULT_DRUM_RHYTHM = 0.5;
+export const SCALE_CYCLE_STEP_COUNT = 4;
+
+// Ranges mirror the controls in index.html, expressed in engine units
+// (0-1 for the filter blend and drum chances instead of percentages).
+export const PARAM_DEFINITIONS = {
+  fmTimbre: { min: 0, max: 20, step: 0.1, default: 0 },
+  fmModDepth: { min: 0, max: 2, step: 0.05, default: 0 },
+  attackTime: { min: 0.01, max: 1, step: 0.01, default: 0.2 },
+  decayTime: { min: 0.05, max: 3, step: 0.01, default: 0.8 },
+  sustainLevel: { min: 0, max: 1, step: 0.01, default: 0.4 },
+  releaseTime: { min: 0.1, max: 5, step: 0.1, default: 3 },
+  laag: { min: -24, max: 24, step: 1, default: 0 },
+  gelaagdheid: { min: 0, max: 1, step: 0.05, default: 0 },
+  layerFilter: { min: 0, max: 1, step: 0.05, default: 0.5 },
+  layerOffset: { min: 0, max: 1, step: 0.05, default: 0 },
+  layerAttack: { min: 0.01, max: 1.5, step: 0.01, default: 0.08 },
+  layerDecay: { min: 0.05, max: 3, step: 0.01, default: 0.6 },
+  layerSustain: { min: 0, max: 1, step: 0.01, default: 0.5 },
+  layerRelease: { min: 0.1, max: 5, step: 0.1, default: 2.2 },
+  synthFilterFrequency: { min: 80, max: 6000, step: 10, default: SYNTH_FILTER_DEFAULT_FREQUENCY },
+  synthFilterSpan: { min: 40, max: 1800, step: 10, default: SYNTH_FILTER_DEFAULT_SPAN },
+  synthFilterQ: { min: 2, max: 30, step: 0.5, default: SYNTH_FILTER_DEFAULT_Q },
+  synthFilterMix: { min: 0, max: 1, step: 0.01, default: 1 },
+  fundamentalNote: { type: 'note', default: 'C' },
+  fundamentalOctave: { min: 1, max: 6, step: 1, default: 3 },
+  scaleIndex: { min: 0, max: SCALE_DEFINITIONS.length - 1, step: 1, default: 0 },
+  // A custom or imported tuning; replaces the scaleIndex scale when set.
+  customScale: { type: 'scale', default: null },
+  noteSpread: { min: 1, max: 5, step: 1, default: 2 },
+  patternLength: { min: 1, max: 16, step: 1, default: 4 },
+  // Index into GROOVE_TEMPLATES, or CUSTOM_GROOVE_INDEX for customGroove;
+  // swingAmount scales the template.
+  grooveTemplate: { min: 0, max: CUSTOM_GROOVE_INDEX, step: 1, default: 0 },
+  customGroove: { type: 'groove', default: null },
+  swingAmount: { min: 0, max: 1, step: 0.05, default: 0.5 },
+  nDelayChains: { min: 0, max: 8, step: 1, default: 2 },
+  bpm: { min: 30, max: 240, step: 1, default: 90 },
+  reverbWet: { min: 0, max: 1, step: 0.05, default: 0.5 },
+  granular: { min: 0, max: 1, step: 0.05, default: 0 },
+  granularTexture: { min: 0, max: 1, step: 0.05, default: 0.5 },
+  automation: { min: 0, max: 1, step: 0.05, default: 0 },
+  automationTiming: { min: 0, max: 16, step: 1, default: 0 },
+  automationSpeed: { min: 0.5, max: 5, step: 0.1, default: 2 },
+  scaleCycleInterval: { min: 0, max: 16, step: 1, default: 0 },
+  scaleCycleSteps: { type: 'noteList', default: ['', '', '', ''] },
+  // Index into MELODY_STYLES; melodyStepLimit is the largest jump of the
+  // random walk and the Euclidean line, in scale degrees.
+  melodyStyle: { min: 0, max: 5, step: 1, default: 0 },
+  melodyStepLimit: { min: 1, max: 7, step: 1, default: 2 },
+  // 0: random stacked chords, 1: voice-led chords with density and color.
+  harmonyMode: { min: 0, max: 1, step: 1, default: 0 },
+  chordDensity: { min: 0, max: 1, step: 0.05, default: 0.15 },
+  chordColor: { min: 0, max: 1, step: 0.05, default: 0 },
+  // Roman-numeral chord steps; when set they replace the root rotation.
+  progression: { type: 'progression', default: null },
+  flutterDepth: { min: 0, max: 1, step: 0.01, default: 0 },
+  flutterRate: { min: 0, max: 1, step: 0.01, default: 0.5 },
+  drumRhythm: { min: 0, max: 1, step: 0.001, default: DEFAULT_DRUM_RHYTHM },
+  // A rhythm picked from the library or saved from the step sequencer; when
+  // set it replaces the drumRhythm blend. Moving the slider clears it.
+  customRhythm: { type: 'rhythm', default: null },
+  // 0: blend of the built-in rhythms, 1: per-voice Euclidean cycles.
+  drumGenerator: { min: 0, max: 1, step: 1, default: 0 },
+  kickHits: { min: 0, max: 32, step: 1, default: 4 },
+  kickSteps: { min: 1, max: 32, step: 1, default: 16 },
+  kickRotation: { min: 0, max: 31, step: 1, default: 0 },
+  snareHits: { min: 0, max: 32, step: 1, default: 2 },
+  snareSteps: { min: 1, max: 32, step: 1, default: 16 },
+  snareRotation: { min: 0, max: 31, step: 1, default: 4 },
+  hihatHits: { min: 0, max: 32, step: 1, default: 4 },
+  hihatSteps: { min: 1, max: 32, step: 1, default: 16 },
+  hihatRotation: { min: 0, max: 31, step: 1, default: 2 },
+  clapHits: { min: 0, max: 32, step: 1, default: 3 },
+  clapSteps: { min: 1, max: 32, step: 1, default: 8 },
+  clapRotation: { min: 0, max: 31, step: 1, default: 0 },
+  kickVol: { min: 0, max: 1, step: 0.05, default: 0 },
+  snareVol: { min: 0, max: 1, step: 0.05, default: 0 },
+  hihatVol: { min: 0, max: 1, step: 0.05, default: 0 },
+  clapVol: { min: 0, max: 1, step: 0.05, default: 0 },
+  kickFilter: { min: 40, max: 320, step: 5, default: 220 },
+  snareFilter: { min: 400, max: 4000, step: 20, default: 1900 },
+  hihatFilter: { min: 3000, max: 14000, step: 50, default: 6500 },
+  clapFilter: { min: 500, max: 5000, step: 20, default: 1800 },
+  kickChance: { min: 0, max: 1, step: 0.01, default: 1 },
+  snareChance: { min: 0, max: 1, step: 0.01, default: 1 },
+  hihatChance: { min: 0, max: 1, step: 0.01, default: 1 },
+  clapChance: { min: 0, max: 1, step: 0.01, default: 1 },
+  kickRepeat: { min: 0, max: 1, step: 0.05, default: 0 },
+  snareRepeat: { min: 0, max: 1, step: 0.05, default: 0 },
+  hihatRepeat: { min: 0, max: 1, step: 0.05, default: 0 },
+  clapRepeat: { min: 0, max: 1, step: 0.05, default: 0 },
+};
+
+export const PARAM_NAMES = Object.keys(PARAM_DEFINITIONS);
+
+export const AUTOMATABLE_PARAMS = [
+  'fmTimbre', 'fmModDepth', 'attackTime', 'decayTime', 'sustainLevel', 'releaseTime',
+  'reverbWet', 'bpm', 'gelaagdheid', 'scaleIndex',
+  'noteSpread', 'patternLength', 'nDelayChains',
+  'laag', 'layerFilter', 'layerOffset',
+  'layerAttack', 'layerDecay', 'layerSustain', 'layerRelease',
+  'synthFilterFrequency', 'synthFilterSpan', 'synthFilterQ', 'synthFilterMix',
+  'granular', 'granularTexture', 'flutterDepth', 'flutterRate',
+];
+
+// Parameters a state morph glides between. Everything else switches at a bar
+// boundary, either because it is discrete or because changing it rebuilds a
+// part (drum rhythm and repeats, granular texture).
+export const MORPH_CONTINUOUS_PARAMS = [
+  'fmTimbre', 'fmModDepth', 'attackTime', 'decayTime', 'sustainLevel', 'releaseTime',
+  'gelaagdheid', 'layerFilter', 'layerOffset',
+  'layerAttack', 'layerDecay', 'layerSustain', 'layerRelease',
+  'synthFilterFrequency', 'synthFilterSpan', 'synthFilterQ', 'synthFilterMix',
+  'reverbWet', 'granular', 'flutterDepth', 'flutterRate',
+  'kickVol', 'snareVol', 'hihatVol', 'clapVol',
+  'kickFilter', 'snareFilter', 'hihatFilter', 'clapFilter',
+  'kickChance', 'snareChance', 'hihatChance', 'clapChance',
+];
+
+export function isParamName(name) {
+  return Object.prototype.hasOwnProperty.call(PARAM_DEFINITIONS, name);
+}
+
+export function getDefaultParamValues() {
+  const values = {};
+  PARAM_NAMES.forEach((name) => {
+    const fallback = PARAM_DEFINITIONS[name].default;
+    values[name] = Array.isArray(fallback) ? [...fallback] : fallback;
+  });
+  return values;
+}
+
+// Param types whose value is an object (or null), by their normalizer.
+export const STRUCTURED_NORMALIZERS = {
+  scale: normalizeScale,
+  progression: normalizeProgression,
+  groove: normalizeGroove,
+  rhythm: normalizeRhythmPattern,
+};
+
+export function normalizeParamValue(name, value, fallback) {
+  const definition = PARAM_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown parameter "${name}"`);
+  }
+  const previous = fallback !== undefined ? fallback : definition.default;
+  if (definition.type === 'note') {
+    return NOTE_NAMES.includes(value) ? value : previous;
+  }
+  if (STRUCTURED_NORMALIZERS[definition.type]) {
+    if (value === null) return null;
+    try {
+      return STRUCTURED_NORMALIZERS[definition.type](value);
+    } catch (e) {
+      return previous;
+    }
+  }
+  if (definition.type === 'noteList') {
+    if (!Array.isArray(value)) return previous;
+    return Array.from({ length: SCALE_CYCLE_STEP_COUNT }, (_, idx) => (
+      NOTE_NAMES.includes(value[idx]) ? value[idx] : ''
+    ));
+  }
+  const numeric = parseFloat(value);
+  if (!Number.isFinite(numeric)) return previous;
+  const clamped = Math.min(Math.max(numeric, definition.min), definition.max);
+  // Snap to the step grid the way a range input does.
+  const snapped = definition.min + Math.round((clamped - definition.min) / definition.step) * definition.step;
+  return parseFloat(Math.min(snapped, definition.max).toFixed(countDecimals(definition.step)));
+}
+
+function countDecimals(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+export function noteNameToIndex(note) {
+  return NOTE_NAMES.indexOf(note);
+}
+
+export function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// Fractional for pitches between the equal-tempered notes.
+export function frequencyToMidi(frequency) {
+  return 69 + 12 * Math.log2(frequency / 440);
+}
+
+export function noteNameToMidi(note, octave) {
+  const noteIndex = Math.max(0, noteNameToIndex(note));
+  return ((octave + 1) * 12) + noteIndex;
+}
+
+export function noteToFrequency(note, octave) {
+  const midi = noteNameToMidi(note, octave);
+  return midiToFrequency(midi);
+}
+
+export function clampScaleIndex(value) {
+  return Math.max(0, Math.min(SCALE_DEFINITIONS.length - 1, Math.round(value)));
+}
+
+export function getScaleDefinition(index) {
+  return SCALE_DEFINITIONS[clampScaleIndex(index)];
+}
+
+// Expands raw parameter values with the derived fields the generators use.
+export function resolveParams(values) {
+  const scaleIndex = clampScaleIndex(values.scaleIndex);
+  const { customScale } = values;
+  // A keyboard mapping's reference pitch overrides the fundamental note.
+  const fundamental = customScale && customScale.rootFrequency
+    ? customScale.rootFrequency
+    : noteToFrequency(values.fundamentalNote, values.fundamentalOctave);
+  return {
+    ...values,
+    scaleCycleSteps: [...values.scaleCycleSteps],
+    fundamental,
+    fundamentalMidi: Math.round(frequencyToMidi(fundamental)),
+    scaleIndex,
+    scaleDefinition: customScale || getScaleDefinition(scaleIndex),
+    gevoel: scaleIndex,
+  };
+}
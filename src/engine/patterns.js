@@ -0,0 +1,250 @@
+import { Random, mapValue } from '../utils/random.js';
+import { OCTAVE_CENTS, degreeToCents } from './scales.js';
+import { snapToChord } from './harmony.js';
+import { MELODY_STYLES } from './melodyStyles.js';
+
+export const PATTERN_STRUCTURE_MEASURES = 16;
+const MIN_GRAIN_COUNT = 8;
+const MAX_GRAIN_COUNT = 220;
+
+export function beatToTimeString(beat) {
+  const measure = Math.floor(beat / 4);
+  const quarter = Math.floor(beat % 4);
+  const sixteenth = Math.floor((beat * 4) % 4);
+  return `${measure}:${quarter}:${sixteenth}`;
+}
+
+// Chord shapes in scale steps above the root.
+const CHORD_SHAPES = {
+  triad: [0, 2, 4],
+  seventh: [0, 2, 4, 6],
+  ninth: [0, 2, 4, 6, 8],
+  sus2: [0, 1, 4],
+  sus4: [0, 3, 4],
+};
+const COLOR_SHAPES = ['seventh', 'seventh', 'ninth', 'sus2', 'sus4'];
+// Root movement in scale steps, weighted towards fourths, fifths and thirds.
+const ROOT_MOVES = [3, 3, -4, -4, 2, -2, 1, -1, 5];
+
+function voicingCost(voicing, previous) {
+  return voicing.reduce((sum, degree) => (
+    sum + Math.min(...previous.map(prev => Math.abs(prev - degree)))
+  ), 0) + previous.reduce((sum, prev) => (
+    sum + Math.min(...voicing.map(degree => Math.abs(prev - degree)))
+  ), 0);
+}
+
+// Picks the inversion and register of a chord that moves least from the
+// previous voicing; the first chord sits in root position near the centre.
+export function voiceChord(rootDegree, shape, previous, stepsPerPeriod, range) {
+  const tones = shape.map(step => rootDegree + step);
+  const candidates = [];
+  for (let inversion = 0; inversion < tones.length; inversion++) {
+    const inverted = tones
+      .map((degree, idx) => (idx < inversion ? degree + stepsPerPeriod : degree))
+      .sort((a, b) => a - b);
+    for (let shift = -2; shift <= 2; shift++) {
+      const voicing = inverted.map(degree => degree + shift * stepsPerPeriod);
+      if (voicing[0] >= range.min && voicing[voicing.length - 1] <= range.max + stepsPerPeriod) {
+        candidates.push({ voicing, inversion });
+      }
+    }
+  }
+  if (!candidates.length) return tones;
+  const centre = (range.min + range.max) / 2;
+  const cost = ({ voicing, inversion }) => (previous && previous.length
+    ? voicingCost(voicing, previous)
+    : inversion * stepsPerPeriod + Math.abs(voicing[0] - centre));
+  return candidates.reduce((best, candidate) => (cost(candidate) < cost(best) ? candidate : best)).voicing;
+}
+
+// Builds the melodic structure with the generator chosen by melodyStyle. The
+// chord settings apply to every generator that places single notes.
+// sourceStructure is the current material the Markov style is trained on.
+export function generatePatternStructure(params, random = Random, sourceStructure = null) {
+  const totalBeats = PATTERN_STRUCTURE_MEASURES * 4;
+  const degreeRange = {
+    min: -Math.max(1, params.noteSpread) * 3,
+    max: Math.max(4, params.noteSpread * 4)
+  };
+  // Harmony mode: chords follow from each other with voice-leading and the
+  // density control sets how many events are chords.
+  const voiceLeading = params.harmonyMode === 1;
+  const chordChance = voiceLeading ? params.chordDensity : 0.15;
+  const stepsPerPeriod = params.scaleDefinition ? params.scaleDefinition.cents.length : 7;
+  let chordRootDegree = 0;
+  let previousVoicing = null;
+  let motifStructure = null;
+
+  const pickDegree = () => random.int(degreeRange.min, degreeRange.max);
+
+  const nextVoicing = () => {
+    if (previousVoicing) {
+      chordRootDegree = ((chordRootDegree + random.select(ROOT_MOVES)) % stepsPerPeriod + stepsPerPeriod) % stepsPerPeriod;
+    }
+    const shape = random.coinToss(params.chordColor) ? random.select(COLOR_SHAPES) : 'triad';
+    previousVoicing = voiceChord(chordRootDegree, CHORD_SHAPES[shape], previousVoicing, stepsPerPeriod, degreeRange);
+    return [...previousVoicing];
+  };
+
+  // The degree is asked for only when it is needed, so the motif style draws
+  // its random numbers in the same order as before there were styles.
+  const event = (beat, nextDegree = pickDegree) => {
+    const time = beatToTimeString(beat);
+    if (voiceLeading && random.coinToss(chordChance)) {
+      return {
+        time,
+        duration: random.select(['4n', '2n']),
+        velocity: random.float(0.12, 0.35),
+        degrees: nextVoicing()
+      };
+    }
+    if (!voiceLeading && random.coinToss(chordChance)) {
+      const chordRoot = nextDegree();
+      const chordSize = random.int(2, 3);
+      const chordDegrees = [];
+      for (let j = 0; j < chordSize; j++) {
+        chordDegrees.push(chordRoot + j * 2);
+      }
+      return {
+        time,
+        duration: '16n',
+        velocity: random.float(0.1, 0.45),
+        degrees: chordDegrees
+      };
+    }
+    return {
+      time,
+      duration: random.select(['8n', '4n']),
+      velocity: random.float(0.2, 0.7),
+      degrees: [nextDegree()]
+    };
+  };
+
+  const context = {
+    random,
+    params,
+    totalBeats,
+    degreeRange,
+    stepsPerPeriod,
+    timeAt: beatToTimeString,
+    pickDegree,
+    nextVoicing,
+    event,
+    source: () => {
+      if (sourceStructure && sourceStructure.length) return sourceStructure;
+      if (!motifStructure) motifStructure = MELODY_STYLES[0].generate(context);
+      return motifStructure;
+    },
+  };
+  const style = MELODY_STYLES[params.melodyStyle] || MELODY_STYLES[0];
+  return style.generate(context);
+}
+
+const STRUCTURE_TIME_PATTERN = /^\d+:\d+(?:\.\d+)?:\d+(?:\.\d+)?$/;
+
+// Validates an edited structure; events without degrees are dropped.
+export function normalizePatternStructure(structure) {
+  if (!Array.isArray(structure)) {
+    throw new Error('Pattern structure must be an array');
+  }
+  return structure
+    .filter(event => event && STRUCTURE_TIME_PATTERN.test(String(event.time)))
+    .map(event => ({
+      time: String(event.time),
+      duration: event.duration ? String(event.duration) : '8n',
+      velocity: Math.min(1, Math.max(0, parseFloat(event.velocity) || 0)),
+      degrees: (Array.isArray(event.degrees) ? event.degrees : [])
+        .map(degree => Math.round(Number(degree)))
+        .filter(Number.isFinite)
+    }))
+    .filter(event => event.degrees.length > 0);
+}
+
+function isOnBeat(time) {
+  const [, , sixteenth] = String(time).split(':').map(Number);
+  return sixteenth === 0;
+}
+
+// With a progression chord (params.chord) the degrees are moved up to the
+// chord root; chords and notes on the beat then land on chord tones, the
+// notes in between stay in the scale as passing tones.
+export function renderPatternStructure(structure, params) {
+  if (!structure || !structure.length) return [];
+  const scale = params.scaleDefinition;
+  const { chord } = params;
+  const events = [];
+  structure.forEach(event => {
+    const degrees = event.degrees || [];
+    const onChord = chord && (degrees.length > 1 || isOnBeat(event.time));
+    degrees.forEach(degree => {
+      let cents = degreeToCents(degree + (chord ? chord.rootDegree : 0), scale);
+      if (onChord) {
+        cents = snapToChord(cents, chord, scale.period);
+      }
+      events.push({
+        time: event.time,
+        duration: event.duration,
+        velocity: event.velocity,
+        semitoneOffset: cents / 100
+      });
+    });
+  });
+  return events;
+}
+
+export function generateGranularNotes(params, random = Random) {
+  // Derive granular behavior from mix + texture controls
+  const texture = Math.max(0, Math.min(1, params.granularTexture ?? 0.5));
+  const grainDensity = Math.max(params.granular, 0.2);
+  const grainSize = mapValue(texture, 0, 1, 0.18, 0.015); // Higher texture = shorter grains
+  const grainSpray = mapValue(texture, 0, 1, 0.02, 0.45);
+
+  const grainNotes = [];
+  const totalBeats = params.patternLength * 4;
+  const { cents, period = OCTAVE_CENTS } = params.scaleDefinition;
+  const scaleRatios = cents.map(step => Math.pow(2, step / OCTAVE_CENTS));
+  // Periods up and down from the root; an octave for most scales.
+  const periodChoices = {
+    1: [0],
+    2: [-1, 0],
+    3: [-1, 0, 1],
+    4: [-2, -1, 0, 1],
+    5: [-2, -1, 0, 1, 2]
+  };
+  const octaves = periodChoices[params.noteSpread].map(count => Math.pow(2, (count * period) / OCTAVE_CENTS));
+
+  // Calculate number of grains based on density
+  const baseGrainCount = totalBeats * 2 * grainDensity;
+  const numGrains = Math.max(MIN_GRAIN_COUNT, Math.min(Math.floor(baseGrainCount), MAX_GRAIN_COUNT));
+
+  for (let i = 0; i < numGrains; i++) {
+    // Random position within the pattern
+    let beat = random.float(0, totalBeats);
+
+    // Apply spray (randomization)
+    beat += random.float(-grainSpray * 0.5, grainSpray * 0.5);
+    beat = Math.max(0, Math.min(totalBeats - 0.01, beat));
+
+    const measure = Math.floor(beat / 4);
+    const quarter = Math.floor(beat % 4);
+    const sixteenth = Math.floor((beat * 4) % 4);
+    const noteTime = `${measure}:${quarter}:${sixteenth}`;
+
+    // Grain pitch with spray variation
+    const baseRatio = random.select(scaleRatios);
+    const octave = random.select(octaves);
+    const pitchSpray = grainSpray * random.float(-0.05, 0.05);
+    const ratio = baseRatio * octave * (1 + pitchSpray);
+
+    grainNotes.push({
+      time: noteTime,
+      ratio,
+      duration: `${grainSize}n`,
+      velocity: random.float(0.05, 0.15), // Quieter grains
+      isGrain: true
+    });
+  }
+
+  return grainNotes;
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { SeededRandom } from '../utils/random.js';
+import { MELODY_STYLES } from './melodyStyles.js';
+import { getDefaultParamValues, resolveParams } from './params.js';
+import { PATTERN_STRUCTURE_MEASURES, generatePatternStructure } from './patterns.js';
+
+const MARKOV = MELODY_STYLES.findIndex(style => style.name === 'markov');
+
+function structureParams(values = {}) {
+  return { ...resolveParams({ ...getDefaultParamValues(), ...values }), patternLength: PATTERN_STRUCTURE_MEASURES };
+}
+
+const melodyRandom = () => new SeededRandom(7).stream('melody');
+
+describe('generatePatternStructure', () => {
+  it('is reproducible from the seed', () => {
+    const params = structureParams();
+    expect(generatePatternStructure(params, melodyRandom())).toEqual(generatePatternStructure(params, melodyRandom()));
+  });
+
+  it('trains the Markov style on the structure it is given', () => {
+    const source = [0, 2, 4, 2, 0, 4].map((degree, idx) => ({
+      time: `${idx}:0:0`,
+      duration: '4n',
+      velocity: 0.5,
+      degrees: [degree]
+    }));
+    const structure = generatePatternStructure(structureParams({ melodyStyle: MARKOV }), melodyRandom(), source);
+    expect(structure.length).toBeGreaterThan(0);
+    structure.forEach(event => expect([0, 2, 4]).toContain(event.degrees[0]));
+  });
+
+  it('trains the Markov style on the seed motifs without a structure', () => {
+    const params = structureParams({ melodyStyle: MARKOV });
+    expect(generatePatternStructure(params, melodyRandom(), [])).toEqual(generatePatternStructure(params, melodyRandom()));
+  });
+});
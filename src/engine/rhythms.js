@@ -0,0 +1,384 @@
+import { mapValue } from '../utils/random.js';
+
+export const RHYTHM_PATTERNS = [
+  {
+    label: 'Trip Hop',
+    kick: [[0, 0, 0, 1.0], [2, 2, 0, 0.9]],
+    snare: [[1, 0, 0, 0.8], [3, 1, 0, 0.7]],
+    hihat: [[0, 2, 0, 0.3], [1, 2, 0, 0.4], [2, 2, 0, 0.3], [3, 2, 0, 0.5]],
+    clap: []
+  },
+  {
+    label: 'Chillhop',
+    kick: [[0, 0, 0, 1.0], [1, 3, 0, 0.6], [2, 2, 0, 0.8]],
+    snare: [[1, 2, 0, 0.7], [3, 0, 0, 0.7]],
+    hihat: [[0, 2, 0, 0.35], [0, 3, 0, 0.25], [1, 2, 0, 0.4], [1, 3, 0, 0.3], [2, 2, 0, 0.4], [3, 2, 0, 0.45]],
+    clap: [[1, 2, 2, 0.3], [3, 2, 2, 0.3]]
+  },
+  {
+    label: 'Boom Bap',
+    kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.6], [2, 3, 0, 0.8]],
+    snare: [[1, 0, 0, 0.9], [3, 0, 0, 0.9]],
+    hihat: [[0, 2, 0, 0.4], [0, 3, 2, 0.3], [1, 2, 0, 0.5], [2, 2, 0, 0.4], [2, 3, 2, 0.3], [3, 2, 0, 0.5]],
+    clap: [[1, 0, 2, 0.3], [3, 0, 2, 0.3]]
+  },
+  {
+    label: 'Afrobeat',
+    kick: [[0, 0, 0, 1.0], [1, 1, 0, 0.8], [2, 3, 0, 0.7], [3, 1, 0, 0.9]],
+    snare: [[1, 2, 0, 0.65], [2, 0, 2, 0.5], [3, 2, 0, 0.65]],
+    hihat: [[0, 2, 0, 0.45], [1, 1, 0, 0.35], [1, 3, 0, 0.4], [2, 2, 0, 0.45], [3, 1, 0, 0.35], [3, 3, 0, 0.4]],
+    clap: [[1, 2, 1, 0.45], [3, 2, 1, 0.45]]
+  },
+  {
+    label: 'Breakbeat',
+    kick: [[0, 0, 0, 1.0], [0, 3, 0, 0.7], [2, 2, 0, 0.9], [3, 1, 0, 0.6]],
+    snare: [[1, 0, 0, 0.9], [2, 0, 2, 0.5], [3, 0, 0, 0.8]],
+    hihat: [[0, 2, 0, 0.5], [1, 2, 0, 0.6], [1, 3, 0, 0.4], [2, 2, 0, 0.5], [3, 2, 0, 0.6], [3, 3, 0, 0.4]],
+    clap: []
+  },
+  {
+    label: 'Electro',
+    kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.9], [2, 0, 0, 1.0], [3, 2, 0, 0.9]],
+    snare: [[1, 0, 0, 0.9], [3, 0, 0, 0.9]],
+    hihat: [[0, 2, 0, 0.45], [0, 3, 0, 0.35], [1, 2, 0, 0.5], [2, 2, 0, 0.45], [2, 3, 0, 0.35], [3, 2, 0, 0.5]],
+    clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6]]
+  },
+  {
+    label: 'House',
+    kick: [[0, 0, 0, 1.0], [1, 0, 0, 1.0], [2, 0, 0, 1.0], [3, 0, 0, 1.0]],
+    snare: [[1, 0, 0, 0.8], [3, 0, 0, 0.8]],
+    hihat: [[0, 2, 0, 0.4], [1, 2, 0, 0.5], [2, 2, 0, 0.4], [3, 2, 0, 0.5]],
+    clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6]]
+  },
+  {
+    label: 'Techno',
+    kick: [[0, 0, 0, 1.0], [1, 0, 0, 1.0], [2, 0, 0, 1.0], [3, 0, 0, 1.0], [1, 2, 0, 0.6], [3, 2, 0, 0.6]],
+    snare: [[1, 0, 0, 0.7], [3, 0, 0, 0.7]],
+    hihat: [[0, 2, 0, 0.6], [0, 3, 0, 0.4], [1, 2, 0, 0.65], [1, 3, 0, 0.45], [2, 2, 0, 0.6], [2, 3, 0, 0.4], [3, 2, 0, 0.65], [3, 3, 0, 0.45]],
+    clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
+  },
+  {
+    label: 'UK Garage',
+    kick: [[0, 0, 0, 1.0], [1, 3, 0, 0.7], [2, 2, 0, 0.9], [3, 3, 0, 0.65]],
+    snare: [[1, 0, 0, 0.85], [2, 3, 0, 0.5], [3, 0, 0, 0.85]],
+    hihat: [[0, 2, 0, 0.5], [0, 3, 0, 0.3], [1, 1, 0, 0.35], [1, 2, 0, 0.55], [2, 2, 0, 0.5], [3, 1, 0, 0.35], [3, 2, 0, 0.55]],
+    clap: [[1, 0, 0, 0.6], [3, 0, 0, 0.6], [2, 2, 2, 0.4]]
+  },
+  {
+    label: 'Drum & Bass',
+    kick: [[0, 0, 0, 1.0], [1, 1, 0, 0.8], [2, 2, 0, 0.9], [3, 0, 0, 0.7]],
+    snare: [[1, 0, 0, 0.9], [1, 2, 2, 0.5], [2, 3, 0, 0.6], [3, 0, 0, 0.9]],
+    hihat: [[0, 2, 0, 0.5], [0, 3, 0, 0.3], [1, 2, 0, 0.6], [1, 3, 0, 0.4], [2, 2, 0, 0.5], [2, 3, 0, 0.3], [3, 2, 0, 0.6], [3, 3, 0, 0.4]],
+    clap: []
+  },
+  {
+    label: 'Jungle',
+    kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.8], [2, 1, 0, 0.75], [3, 3, 0, 0.85]],
+    snare: [[1, 0, 0, 0.9], [2, 2, 0, 0.7], [3, 0, 0, 0.9]],
+    hihat: [[0, 2, 0, 0.55], [0, 3, 0, 0.45], [1, 1, 0, 0.35], [1, 2, 0, 0.55], [1, 3, 0, 0.45], [2, 2, 0, 0.55], [2, 3, 0, 0.45], [3, 2, 0, 0.55], [3, 3, 0, 0.45]],
+    clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
+  },
+  {
+    label: 'Rock',
+    kick: [[0, 0, 0, 1.0], [2, 0, 0, 1.0]],
+    snare: [[1, 0, 0, 1.0], [3, 0, 0, 1.0]],
+    hihat: [[0, 2, 0, 0.6], [1, 2, 0, 0.7], [2, 2, 0, 0.6], [3, 2, 0, 0.7]],
+    clap: []
+  },
+  {
+    label: 'Pop',
+    kick: [[0, 0, 0, 1.0], [1, 2, 0, 0.7], [3, 0, 0, 0.8]],
+    snare: [[1, 0, 0, 0.85], [3, 0, 0, 0.85]],
+    hihat: [[0, 2, 0, 0.4], [1, 2, 0, 0.45], [2, 2, 0, 0.4], [3, 2, 0, 0.45]],
+    clap: [[1, 0, 0, 0.5], [3, 0, 0, 0.5]]
+  }
+];
+
+export const DRUM_VOICES = ['kick', 'snare', 'hihat', 'clap'];
+export const RHYTHM_STEPS = 16;
+// The offset of a hit delays it in quarters of a sixteenth.
+export const HIT_OFFSETS_PER_STEP = 4;
+
+// The drumRhythm slider morphs over the built-in styles only, so a stored
+// slider value always plays the same rhythm.
+const BUILT_IN_RHYTHMS = RHYTHM_PATTERNS.map(pattern => normalizeRhythmPattern(pattern));
+
+// The user's rhythm library. Starts as the built-in styles; rhythms can be
+// added, reordered and removed at runtime. A rhythm is picked from it into
+// the customRhythm parameter as a copy, so editing the library changes no
+// saved state.
+const rhythmLibrary = BUILT_IN_RHYTHMS.map(cloneRhythmPattern);
+
+function clampHitValue(value, min, max, fallback) {
+  const numeric = parseFloat(value);
+  if (!Number.isFinite(numeric)) return fallback;
+  return Math.min(max, Math.max(min, numeric));
+}
+
+// Validates a rhythm in the [quarter, sixteenth, offset, velocity] tuple format.
+export function normalizeRhythmPattern(pattern) {
+  if (!pattern || typeof pattern !== 'object') {
+    throw new Error('Rhythm must be an object');
+  }
+  const normalized = { label: String(pattern.label || 'Custom').trim() || 'Custom' };
+  DRUM_VOICES.forEach(drum => {
+    const hits = Array.isArray(pattern[drum]) ? pattern[drum] : [];
+    normalized[drum] = hits
+      .filter(hit => Array.isArray(hit) && hit.length >= 4)
+      .map(([quarter, sixteenth, offset, velocity]) => [
+        Math.round(clampHitValue(quarter, 0, 3, 0)),
+        Math.round(clampHitValue(sixteenth, 0, 3, 0)),
+        Math.round(clampHitValue(offset, 0, 3, 0)),
+        clampHitValue(velocity, 0, 1, 0)
+      ])
+      .filter(hit => hit[3] > 0);
+  });
+  return normalized;
+}
+
+function cloneRhythmPattern(pattern) {
+  const clone = { label: pattern.label };
+  DRUM_VOICES.forEach(drum => {
+    clone[drum] = pattern[drum].map(hit => [...hit]);
+  });
+  return clone;
+}
+
+export function getRhythmPatterns() {
+  return rhythmLibrary.map(cloneRhythmPattern);
+}
+
+export function addRhythmPattern(pattern) {
+  rhythmLibrary.push(normalizeRhythmPattern(pattern));
+  return rhythmLibrary.length - 1;
+}
+
+export function setRhythmPatterns(patterns) {
+  if (!Array.isArray(patterns) || !patterns.length) {
+    throw new Error('Rhythm library needs at least one rhythm');
+  }
+  const normalized = patterns.map(pattern => normalizeRhythmPattern(pattern));
+  rhythmLibrary.splice(0, rhythmLibrary.length, ...normalized);
+}
+
+export function resetRhythmPatterns() {
+  setRhythmPatterns(RHYTHM_PATTERNS);
+}
+
+export function getRhythmLabel(value) {
+  const names = BUILT_IN_RHYTHMS.map(pattern => pattern.label);
+  if (!names.length) {
+    return `${Math.round(value * 100)}%`;
+  }
+  const maxIndex = names.length - 1;
+  const clampedValue = Math.min(Math.max(value, 0), 1);
+  const position = clampedValue * maxIndex;
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.min(maxIndex, lowerIndex + 1);
+  const blend = position - lowerIndex;
+  const lowerName = names[lowerIndex];
+  const upperName = names[upperIndex];
+  if (blend < 0.05 || lowerIndex === upperIndex) return lowerName;
+  if (blend > 0.95) return upperName;
+  return `${lowerName} -> ${upperName} (${Math.round(blend * 100)}%)`;
+}
+
+export function timeStringToSteps(timeStr) {
+  const parts = timeStr.split(':').map(num => parseInt(num, 10) || 0);
+  const [measure = 0, quarter = 0, sixteenth = 0] = parts;
+  return (measure * 16) + (quarter * 4) + sixteenth;
+}
+
+export function stepsToTimeString(steps) {
+  const measure = Math.floor(steps / 16);
+  const remainder = steps % 16;
+  const quarter = Math.floor(remainder / 4);
+  const sixteenth = remainder % 4;
+  return `${measure}:${quarter}:${sixteenth}`;
+}
+
+// Spreads `pulses` onsets as evenly as possible over `steps`; the rotation
+// moves the first onset later.
+export function euclideanRhythm(pulses, steps, rotation = 0) {
+  const count = Math.max(0, Math.min(steps, Math.round(pulses)));
+  return Array.from({ length: steps }, (_, idx) => (
+    count > 0 && (((idx - rotation) % steps + steps) % steps * count) % steps < count
+  ));
+}
+
+// --- Drum Pattern Generation ---
+function addRandomRepeats(pattern, params) {
+  if (!pattern || pattern.length === 0) return pattern;
+  const totalSteps = Math.max(16, params.patternLength * 16);
+  const configs = [
+    { drum: 'kick', amount: params.kickRepeat, spread: 2 },
+    { drum: 'snare', amount: params.snareRepeat, spread: 3 },
+    { drum: 'hihat', amount: params.hihatRepeat, spread: 1 },
+    { drum: 'clap', amount: params.clapRepeat, spread: 2 }
+  ];
+  const augmented = [...pattern];
+
+  configs.forEach(({ drum, amount, spread }, configIdx) => {
+    if (!amount || amount <= 0) return;
+    const baseHits = pattern.filter(hit => hit.drum === drum);
+    const repeatsPerHit = Math.max(1, Math.round(mapValue(amount, 0, 1, 0, 3)));
+    baseHits.forEach((hit, hitIdx) => {
+      const baseSteps = timeStringToSteps(hit.time);
+      for (let i = 0; i < repeatsPerHit; i++) {
+        // Deterministic threshold based on amount and indices
+        const threshold = ((configIdx + hitIdx + i) % 10) / 10;
+        if (threshold > amount) continue;
+        // Deterministic direction based on index
+        const direction = ((hitIdx + i) % 2 === 0) ? 1 : -1;
+        // Deterministic offset based on indices
+        const offset = 1 + ((configIdx + hitIdx + i) % spread);
+        let newSteps = baseSteps + direction * offset;
+        if (newSteps < 0) newSteps += totalSteps;
+        if (newSteps >= totalSteps) newSteps -= totalSteps;
+        augmented.push({
+          time: stepsToTimeString(newSteps),
+          drum,
+          velocity: Math.min(1, hit.velocity * mapValue(amount, 0, 1, 0.4, 0.95))
+        });
+      }
+    });
+  });
+
+  return augmented;
+}
+
+// Blends the two built-in rhythms around `rhythmValue` into a single rhythm
+// in the same tuple format.
+export function blendRhythmPatterns(rhythmValue) {
+  const rhythmPatterns = BUILT_IN_RHYTHMS;
+  // Interpolate between patterns based on rhythm value
+  const patternCount = rhythmPatterns.length;
+  const position = rhythmValue * (patternCount - 1);
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.min(lowerIndex + 1, patternCount - 1);
+  const blend = position - lowerIndex;
+  const lowerPattern = rhythmPatterns[lowerIndex];
+  const upperPattern = rhythmPatterns[upperIndex];
+
+  // Helper function to blend two hit arrays
+  const blendHits = (lower, upper) => {
+    const allHits = new Map();
+
+    // Add lower pattern hits
+    lower.forEach(hit => {
+      const key = `${hit[0]}:${hit[1]}:${hit[2]}`;
+      allHits.set(key, [hit[0], hit[1], hit[2], hit[3] * (1 - blend)]);
+    });
+
+    // Add or blend upper pattern hits
+    upper.forEach(hit => {
+      const key = `${hit[0]}:${hit[1]}:${hit[2]}`;
+      if (allHits.has(key)) {
+        allHits.get(key)[3] += hit[3] * blend;
+      } else if (blend > 0.5) { // Only add new upper hits if blend is > 0.5
+        allHits.set(key, [hit[0], hit[1], hit[2], hit[3] * blend]);
+      }
+    });
+
+    return Array.from(allHits.values()).map(hit => [hit[0], hit[1], hit[2], Math.min(1.0, hit[3])]);
+  };
+
+  const blended = {
+    label: getRhythmLabel(rhythmValue)
+  };
+  DRUM_VOICES.forEach(drum => {
+    blended[drum] = blendHits(lowerPattern[drum], upperPattern[drum]);
+  });
+  return blended;
+}
+
+const EUCLIDEAN_VELOCITIES = { kick: 1.0, snare: 0.85, hihat: 0.45, clap: 0.6 };
+
+// Per-voice Euclidean cycles on the sixteenth grid, set by the
+// `${drum}Hits`, `${drum}Steps` and `${drum}Rotation` params. Each voice runs
+// its own cycle through the whole pattern, so a cycle that does not divide
+// the bar (5 against 16) shifts against it; the first hit of a cycle is
+// accented.
+export function generateEuclideanDrumHits(params) {
+  const totalSteps = params.patternLength * RHYTHM_STEPS;
+  const hits = [];
+  DRUM_VOICES.forEach(drum => {
+    const cycle = Math.max(1, Math.round(params[`${drum}Steps`]));
+    const rhythm = euclideanRhythm(params[`${drum}Hits`], cycle, Math.round(params[`${drum}Rotation`]) % cycle);
+    const firstHit = rhythm.indexOf(true);
+    for (let step = 0; step < totalSteps; step++) {
+      const position = step % cycle;
+      if (!rhythm[position]) continue;
+      hits.push({
+        time: stepsToTimeString(step),
+        drum,
+        velocity: EUCLIDEAN_VELOCITIES[drum] * (position === firstHit ? 1 : 0.75)
+      });
+    }
+  });
+  return hits;
+}
+
+// `rhythm` replaces the slider blend and the picked customRhythm, e.g. while
+// the step sequencer is auditioning an edit. With drumGenerator 1 the
+// Euclidean generator takes the place of the blend; the repeats apply to
+// either.
+export function generateDrumPattern(params, rhythm = null) {
+  if (!rhythm && params.drumGenerator === 1) {
+    return addRandomRepeats(generateEuclideanDrumHits(params), params);
+  }
+  const source = rhythm || params.customRhythm || blendRhythmPatterns(params.drumRhythm);
+  const blendedPattern = [];
+
+  // Convert to Tone.js format and repeat for pattern length
+  for (let measure = 0; measure < params.patternLength; measure++) {
+    DRUM_VOICES.forEach(drum => {
+      source[drum].forEach(hit => {
+        blendedPattern.push({
+          time: `${measure}:${hit[0]}:${hit[1] + hit[2] / HIT_OFFSETS_PER_STEP}`,
+          drum,
+          velocity: Math.min(1.0, hit[3])
+        });
+      });
+    });
+  }
+
+  const hiHatExtras = [];
+  const hiHatDensity = mapValue(params.drumRhythm, 0, 1, 0.4, 0.85);
+  const hiHatVelocity = mapValue(params.drumRhythm, 0, 1, 0.35, 0.75);
+  // Deterministic hi-hat pattern based on rhythm value
+  const hiHatSteps = Math.floor(hiHatDensity * params.patternLength * 4);
+  for (let i = 0; i < hiHatSteps; i++) {
+    const totalSteps = params.patternLength * 4;
+    const step = Math.floor((i * totalSteps) / hiHatSteps);
+    const measure = Math.floor(step / 4);
+    const quarter = step % 4;
+    const sixteenth = (i % 2) + 1; // Alternate between 1 and 2
+    const velocityVar = 0.15 * Math.sin(i * 2.5); // Subtle variation
+    hiHatExtras.push({
+      time: `${measure}:${quarter}:${sixteenth}`,
+      drum: 'hihat',
+      velocity: hiHatVelocity + velocityVar * hiHatVelocity
+    });
+  }
+
+  const clapExtras = [];
+  const clapDensity = mapValue(params.drumRhythm, 0, 1, 0.25, 0.65);
+  // Deterministic clap pattern based on rhythm value
+  const clapCount = Math.floor(clapDensity * params.patternLength * 1.5);
+  for (let i = 0; i < clapCount; i++) {
+    const measure = Math.floor((i * params.patternLength) / Math.max(1, clapCount));
+    const quarter = (i % 3) + 1; // Distribute across beats
+    const sixteenth = (i % 2) * 2; // 0 or 2
+    const velocityBase = 0.35 + (0.4 * clapDensity);
+    const velocityVar = 0.1 * Math.sin(i * 3.7);
+    clapExtras.push({
+      time: `${measure}:${quarter}:${sixteenth}`,
+      drum: 'clap',
+      velocity: velocityBase + velocityVar
+    });
+  }
+
+  const basePattern = [...blendedPattern, ...hiHatExtras, ...clapExtras];
+  return addRandomRepeats(basePattern, params);
+}
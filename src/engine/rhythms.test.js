@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DRUM_VOICES,
+  blendRhythmPatterns,
+  euclideanRhythm,
+  generateDrumPattern,
+  generateEuclideanDrumHits,
+  normalizeRhythmPattern,
+  resetRhythmPatterns,
+  setRhythmPatterns,
+  stepsToTimeString,
+  timeStringToSteps,
+} from './rhythms.js';
+
+const toText = rhythm => rhythm.map(hit => (hit ? 'x' : '.')).join('');
+
+// Euclidean params with every voice silent except the ones given.
+function euclideanParams(patternLength, voices) {
+  const params = { patternLength };
+  DRUM_VOICES.forEach(drum => {
+    const { hits = 0, steps = 16, rotation = 0 } = voices[drum] || {};
+    params[`${drum}Hits`] = hits;
+    params[`${drum}Steps`] = steps;
+    params[`${drum}Rotation`] = rotation;
+  });
+  return params;
+}
+
+describe('euclideanRhythm', () => {
+  it('spreads the pulses as evenly as possible', () => {
+    expect(toText(euclideanRhythm(3, 8))).toBe('x..x..x.');
+    expect(toText(euclideanRhythm(4, 16))).toBe('x...x...x...x...');
+  });
+
+  it('keeps the gaps between onsets within one step of each other', () => {
+    const rhythm = euclideanRhythm(5, 16);
+    const onsets = rhythm.flatMap((hit, idx) => (hit ? [idx] : []));
+    const gaps = onsets.map((onset, idx) => (onsets[(idx + 1) % onsets.length] - onset + 16) % 16);
+    expect(rhythm[0]).toBe(true);
+    expect(onsets).toHaveLength(5);
+    expect(Math.max(...gaps) - Math.min(...gaps)).toBe(1);
+  });
+
+  it('moves the first onset later by the rotation', () => {
+    expect(toText(euclideanRhythm(3, 8, 1))).toBe('.x..x..x');
+    expect(toText(euclideanRhythm(3, 8, -1))).toBe('..x..x.x');
+  });
+
+  it('clamps the pulses to the number of steps', () => {
+    expect(toText(euclideanRhythm(0, 4))).toBe('....');
+    expect(toText(euclideanRhythm(9, 4))).toBe('xxxx');
+    expect(toText(euclideanRhythm(2.6, 6))).toBe('x.x.x.');
+  });
+});
+
+describe('time strings', () => {
+  it('convert between "m:q:s" and sixteenths', () => {
+    expect(timeStringToSteps('2:3:1')).toBe(45);
+    expect(stepsToTimeString(45)).toBe('2:3:1');
+    expect(timeStringToSteps('1')).toBe(16);
+  });
+});
+
+describe('generateEuclideanDrumHits', () => {
+  it('repeats a cycle that fills the bar every bar and accents its first hit', () => {
+    const hits = generateEuclideanDrumHits(euclideanParams(2, { kick: { hits: 4, steps: 16 } }));
+    expect(hits.map(hit => hit.time)).toEqual([
+      '0:0:0', '0:1:0', '0:2:0', '0:3:0',
+      '1:0:0', '1:1:0', '1:2:0', '1:3:0',
+    ]);
+    expect(hits.every(hit => hit.drum === 'kick')).toBe(true);
+    expect(hits.map(hit => hit.velocity)).toEqual([1, 0.75, 0.75, 0.75, 1, 0.75, 0.75, 0.75]);
+  });
+
+  it('lets a shorter cycle run on across the bar line', () => {
+    const hits = generateEuclideanDrumHits(euclideanParams(1, { hihat: { hits: 2, steps: 5 } }));
+    // x..x. repeated from step 0.
+    expect(hits.map(hit => timeStringToSteps(hit.time))).toEqual([0, 3, 5, 8, 10, 13, 15]);
+  });
+
+  it('applies the rotation within the cycle', () => {
+    const hits = generateEuclideanDrumHits(euclideanParams(1, { snare: { hits: 1, steps: 8, rotation: 12 } }));
+    expect(hits.map(hit => hit.time)).toEqual(['0:1:0', '0:3:0']);
+  });
+});
+
+describe('generateDrumPattern', () => {
+  const rhythm = {
+    label: 'Offsets',
+    kick: [[0, 0, 0, 1], [1, 2, 2, 0.8]],
+    snare: [[3, 1, 3, 0.6]],
+    hihat: [],
+    clap: []
+  };
+  const params = { patternLength: 2, drumRhythm: 0, drumGenerator: 0, kickRepeat: 0, snareRepeat: 0, hihatRepeat: 0, clapRepeat: 0 };
+
+  it('delays hits by their offset in quarters of a sixteenth', () => {
+    const hits = generateDrumPattern(params, rhythm);
+    const timesOf = drum => hits.filter(hit => hit.drum === drum).map(hit => hit.time);
+    expect(timesOf('kick')).toEqual(['0:0:0', '0:1:2.5', '1:0:0', '1:1:2.5']);
+    expect(timesOf('snare')).toEqual(['0:3:1.75', '1:3:1.75']);
+  });
+
+  it('plays the picked rhythm instead of the slider blend', () => {
+    const hits = generateDrumPattern({ ...params, customRhythm: rhythm });
+    expect(hits).toEqual(generateDrumPattern(params, rhythm));
+  });
+});
+
+describe('blendRhythmPatterns', () => {
+  it('blends the built-in styles whatever the library holds', () => {
+    const blend = blendRhythmPatterns(0.3);
+    setRhythmPatterns([{ label: 'Leeg', kick: [[0, 0, 0, 1]] }]);
+    try {
+      expect(blendRhythmPatterns(0.3)).toEqual(blend);
+    } finally {
+      resetRhythmPatterns();
+    }
+  });
+});
+
+describe('normalizeRhythmPattern', () => {
+  it('clamps hit values and drops silent or malformed hits', () => {
+    expect(normalizeRhythmPattern({
+      label: '  ',
+      kick: [[0, 0, 0, 1], [5, -1, 0, 2], [1, 0, 0, 0], [1, 2]],
+      snare: 'x...'
+    })).toEqual({
+      label: 'Custom',
+      kick: [[0, 0, 0, 1], [3, 0, 0, 1]],
+      snare: [],
+      hihat: [],
+      clap: []
+    });
+  });
+
+  it('rejects values that are not objects', () => {
+    expect(() => normalizeRhythmPattern(null)).toThrow();
+  });
+});
@@ -0,0 +1,214 @@
+// Scales are lists of cents above the root within one period (1200 for an
+// octave). The library holds 12-TET scales; custom scales can use any cents,
+// a non-octave period and, from a Scala keyboard mapping, their own root
+// frequency.
+
+export const OCTAVE_CENTS = 1200;
+export const MAX_SCALE_STEPS = 128;
+
+// The first five keep their original order: stored states refer to scales
+// by index.
+export const SCALE_LIBRARY = [
+  { name: 'Major', semitones: [0, 2, 4, 5, 7, 9, 11] },
+  { name: 'Natural Minor', semitones: [0, 2, 3, 5, 7, 8, 10] },
+  { name: 'Blues Minor', semitones: [0, 3, 5, 6, 7, 10] },
+  { name: 'Hungarian Minor', semitones: [0, 2, 3, 6, 7, 8, 11] },
+  { name: 'Phrygian', semitones: [0, 1, 3, 5, 7, 8, 10] },
+  { name: 'Dorian', semitones: [0, 2, 3, 5, 7, 9, 10] },
+  { name: 'Lydian', semitones: [0, 2, 4, 6, 7, 9, 11] },
+  { name: 'Mixolydian', semitones: [0, 2, 4, 5, 7, 9, 10] },
+  { name: 'Locrian', semitones: [0, 1, 3, 5, 6, 8, 10] },
+  { name: 'Harmonic Minor', semitones: [0, 2, 3, 5, 7, 8, 11] },
+  { name: 'Melodic Minor', semitones: [0, 2, 3, 5, 7, 9, 11] },
+  { name: 'Major Pentatonic', semitones: [0, 2, 4, 7, 9] },
+  { name: 'Minor Pentatonic', semitones: [0, 3, 5, 7, 10] },
+  { name: 'Blues Major', semitones: [0, 2, 3, 4, 7, 9] },
+  { name: 'Whole Tone', semitones: [0, 2, 4, 6, 8, 10] },
+  { name: 'Diminished', semitones: [0, 2, 3, 5, 6, 8, 9, 11] },
+  { name: 'Phrygian Dominant', semitones: [0, 1, 4, 5, 7, 8, 10] },
+  { name: 'Double Harmonic', semitones: [0, 1, 4, 5, 7, 8, 11] },
+  { name: 'Hirajoshi', semitones: [0, 2, 3, 7, 8] },
+  { name: 'In Sen', semitones: [0, 1, 5, 7, 10] },
+  { name: 'Iwato', semitones: [0, 1, 5, 6, 10] },
+  { name: 'Pelog', semitones: [0, 1, 3, 7, 8] },
+  { name: 'Prometheus', semitones: [0, 2, 4, 6, 9, 10] },
+  { name: 'Enigmatic', semitones: [0, 1, 4, 6, 8, 10, 11] },
+  { name: 'Chromatic', semitones: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+].map(({ name, semitones }) => ({
+  name,
+  semitones,
+  cents: semitones.map(semitone => semitone * 100),
+  period: OCTAVE_CENTS
+}));
+
+export class ScaleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScaleError';
+  }
+}
+
+// Checks a custom scale and brings it into the canonical form: cents sorted,
+// unique, starting at 0 and below the period.
+export function normalizeScale(scale) {
+  if (!scale || typeof scale !== 'object' || !Array.isArray(scale.cents)) {
+    throw new ScaleError('Scale has no list of cents');
+  }
+  const period = Number(scale.period ?? OCTAVE_CENTS);
+  if (!Number.isFinite(period) || period <= 0 || period > OCTAVE_CENTS * 4) {
+    throw new ScaleError('Scale period must be between 0 and 4800 cents');
+  }
+  const cents = [...new Set([0, ...scale.cents.map(Number)]
+    .filter(value => Number.isFinite(value))
+    .map(value => Math.round(value * 1000) / 1000)
+    .filter(value => value >= 0 && value < period))]
+    .sort((a, b) => a - b);
+  if (cents.length > MAX_SCALE_STEPS) {
+    throw new ScaleError(`Scale has more than ${MAX_SCALE_STEPS} steps`);
+  }
+  const normalized = {
+    name: String(scale.name || 'Custom').slice(0, 80),
+    cents,
+    period
+  };
+  const rootFrequency = Number(scale.rootFrequency);
+  if (scale.rootFrequency !== undefined && scale.rootFrequency !== null) {
+    if (!Number.isFinite(rootFrequency) || rootFrequency < 10 || rootFrequency > 20000) {
+      throw new ScaleError('Root frequency must be between 10 and 20000 Hz');
+    }
+    normalized.rootFrequency = rootFrequency;
+  }
+  return normalized;
+}
+
+export function degreeToCents(degree, scale) {
+  const { cents, period = OCTAVE_CENTS } = scale;
+  if (!cents || !cents.length) return degree * 200;
+  const len = cents.length;
+  const normalizedDegree = Math.floor(degree);
+  const periods = Math.floor(normalizedDegree / len);
+  const idx = ((normalizedDegree % len) + len) % len;
+  return cents[idx] + periods * period;
+}
+
+function ratioToCents(numerator, denominator = 1) {
+  if (!(numerator > 0) || !(denominator > 0)) {
+    throw new ScaleError(`Invalid ratio ${numerator}/${denominator}`);
+  }
+  return OCTAVE_CENTS * Math.log2(numerator / denominator);
+}
+
+// A Scala pitch: cents when it contains a period, otherwise a ratio
+// ("3/2", or "2" for 2/1).
+export function parseScalaPitch(text) {
+  const token = String(text).trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (!Number.isFinite(cents)) throw new ScaleError(`Invalid pitch "${token}"`);
+    return cents;
+  }
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  if (!match) throw new ScaleError(`Invalid pitch "${token}"`);
+  return ratioToCents(Number(match[1]), match[2] ? Number(match[2]) : 1);
+}
+
+function readScalaLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .filter(line => !line.startsWith('!'));
+}
+
+// Parses a Scala .scl file. The last pitch is the period, the others are
+// the scale steps above the implied 0 cents.
+export function parseScala(text, fallbackName = 'Scala') {
+  const lines = readScalaLines(text);
+  if (lines.length < 2) throw new ScaleError('Scala file is too short');
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ScaleError('Scala file has no note count');
+  }
+  const pitches = lines.slice(2)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .slice(0, count)
+    .map(parseScalaPitch);
+  if (pitches.length !== count) {
+    throw new ScaleError(`Scala file lists ${pitches.length} of ${count} pitches`);
+  }
+  const period = pitches[pitches.length - 1];
+  return normalizeScale({
+    name: description || fallbackName,
+    cents: pitches.slice(0, -1),
+    period
+  });
+}
+
+// Parses a Scala .kbm keyboard mapping.
+export function parseKeyboardMapping(text) {
+  const lines = readScalaLines(text).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 7) throw new ScaleError('Keyboard mapping is too short');
+  const [size, , , middleNote, referenceNote, referenceFrequency, octaveDegree] = lines.slice(0, 7).map(Number);
+  if (!Number.isInteger(size) || size < 0 || !(referenceFrequency > 0)) {
+    throw new ScaleError('Keyboard mapping header is invalid');
+  }
+  const mapping = lines.slice(7, 7 + size).map(entry => (
+    entry.toLowerCase() === 'x' ? null : parseInt(entry, 10)
+  ));
+  while (mapping.length < size) mapping.push(null);
+  return {
+    size,
+    middleNote,
+    referenceNote,
+    referenceFrequency,
+    octaveDegree,
+    // A size of 0 maps every key to the next scale step.
+    mapping: mapping.map(degree => (Number.isInteger(degree) ? degree : null))
+  };
+}
+
+// Applies a keyboard mapping: the mapped degrees (in key order) become the
+// scale steps, the formal octave becomes the period and the reference
+// frequency sets the frequency of the middle note, which is the root.
+export function applyKeyboardMapping(scale, keyboardMapping) {
+  const { size, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping } = keyboardMapping;
+  const centsOf = degree => degreeToCents(degree, scale);
+  const keyCents = size > 0 ? mapping.map(degree => (degree === null ? null : centsOf(degree))) : scale.cents;
+  const period = size > 0 && octaveDegree > 0 ? centsOf(octaveDegree) : scale.period;
+
+  // Cents of a key relative to the middle note.
+  const keyOffset = key => {
+    const steps = key - middleNote;
+    if (size === 0) return centsOf(steps);
+    const idx = ((steps % size) + size) % size;
+    if (keyCents[idx] === null) return null;
+    return keyCents[idx] + Math.floor(steps / size) * period;
+  };
+  const rootCents = keyCents[0] ?? 0;
+  const referenceOffset = keyOffset(referenceNote) ?? rootCents;
+  const rootFrequency = referenceFrequency / Math.pow(2, (referenceOffset - rootCents) / OCTAVE_CENTS);
+
+  return normalizeScale({
+    name: scale.name,
+    cents: keyCents.filter(value => value !== null).map(value => value - rootCents),
+    period,
+    rootFrequency
+  });
+}
+
+// User-entered steps: "3/2" is a ratio, "701.955" (with a period) is in
+// cents and a whole number like "7" is in semitones. An octave is the period
+// unless another one follows a "|", as in "0 146.3 292.6 | 1901.955".
+export function parseScaleText(text, name = 'Custom') {
+  const [stepsText, periodText] = String(text).split('|');
+  const tokens = stepsText.split(/[\s,;]+/).filter(Boolean);
+  if (!tokens.length) throw new ScaleError('Enter at least one step');
+  const toCents = token => (
+    /^-?\d+$/.test(token) ? Number(token) * 100 : parseScalaPitch(token)
+  );
+  return normalizeScale({
+    name,
+    cents: tokens.map(toCents),
+    period: periodText && periodText.trim() ? toCents(periodText.trim()) : OCTAVE_CENTS
+  });
+}
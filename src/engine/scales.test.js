@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SCALE_LIBRARY,
+  ScaleError,
+  applyKeyboardMapping,
+  degreeToCents,
+  normalizeScale,
+  parseKeyboardMapping,
+  parseScala,
+  parseScalaPitch,
+  parseScaleText,
+} from './scales.js';
+
+const MAJOR = SCALE_LIBRARY[0];
+
+describe('normalizeScale', () => {
+  it('sorts the steps, adds the root and drops duplicates and steps past the period', () => {
+    expect(normalizeScale({ name: 'Test', cents: [700, 400, 400, 1200, 1300, -100] })).toEqual({
+      name: 'Test',
+      cents: [0, 400, 700],
+      period: 1200
+    });
+  });
+
+  it('rejects periods and root frequencies out of range', () => {
+    expect(() => normalizeScale({ cents: [0], period: 0 })).toThrow(ScaleError);
+    expect(() => normalizeScale({ cents: [0], period: 5000 })).toThrow(ScaleError);
+    expect(() => normalizeScale({ cents: [0], rootFrequency: 5 })).toThrow(ScaleError);
+    expect(() => normalizeScale({ steps: [0] })).toThrow(ScaleError);
+  });
+});
+
+describe('degreeToCents', () => {
+  it('wraps degrees into the next and previous period', () => {
+    expect(degreeToCents(0, MAJOR)).toBe(0);
+    expect(degreeToCents(4, MAJOR)).toBe(700);
+    expect(degreeToCents(7, MAJOR)).toBe(1200);
+    expect(degreeToCents(-1, MAJOR)).toBe(-100);
+  });
+
+  it('uses the period of non-octave scales', () => {
+    const scale = { cents: [0, 146.3, 292.6], period: 1901.955 };
+    expect(degreeToCents(3, scale)).toBeCloseTo(1901.955);
+    expect(degreeToCents(-2, scale)).toBeCloseTo(146.3 - 1901.955);
+  });
+});
+
+describe('parseScalaPitch', () => {
+  it('reads cents, ratios and whole-number ratios', () => {
+    expect(parseScalaPitch('701.955')).toBe(701.955);
+    expect(parseScalaPitch('3/2')).toBeCloseTo(701.955, 3);
+    expect(parseScalaPitch('2 ! octave')).toBeCloseTo(1200);
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseScalaPitch('abc')).toThrow(ScaleError);
+    expect(() => parseScalaPitch('3/0')).toThrow(ScaleError);
+  });
+});
+
+describe('parseScala', () => {
+  it('reads a .scl file with comments', () => {
+    const scale = parseScala([
+      '! pentatonic.scl',
+      '!',
+      'Just pentatonic',
+      ' 5',
+      '!',
+      ' 9/8',
+      ' 5/4',
+      ' 3/2',
+      ' 5/3',
+      ' 2/1',
+    ].join('\n'));
+    expect(scale.name).toBe('Just pentatonic');
+    expect(scale.period).toBeCloseTo(1200);
+    expect(scale.cents.map(Math.round)).toEqual([0, 204, 386, 702, 884]);
+  });
+
+  it('takes the last pitch as a non-octave period', () => {
+    const scale = parseScala('\n3\n146.3\n292.6\n3/1\n', 'Bohlen');
+    expect(scale.name).toBe('Bohlen');
+    expect(scale.cents).toEqual([0, 146.3, 292.6]);
+    expect(scale.period).toBeCloseTo(1901.955, 3);
+  });
+
+  it('rejects files with fewer pitches than announced', () => {
+    expect(() => parseScala('Short\n3\n100.0\n1200.0\n')).toThrow(ScaleError);
+    expect(() => parseScala('Only a name')).toThrow(ScaleError);
+  });
+});
+
+describe('keyboard mappings', () => {
+  const KBM = [
+    '! whole tone mapping',
+    '6', '0', '127', '60', '69', '440.0', '12',
+    '0', '2', '4', '6', '8', '10',
+  ].join('\n');
+  const chromatic = SCALE_LIBRARY.find(scale => scale.name === 'Chromatic');
+
+  it('reads the header and the mapped degrees', () => {
+    expect(parseKeyboardMapping(KBM)).toEqual({
+      size: 6,
+      middleNote: 60,
+      referenceNote: 69,
+      referenceFrequency: 440,
+      octaveDegree: 12,
+      mapping: [0, 2, 4, 6, 8, 10]
+    });
+  });
+
+  it('turns unmapped keys into gaps', () => {
+    const mapping = parseKeyboardMapping('3\n0\n127\n60\n60\n261.6\n3\n0\nx\n');
+    expect(mapping.mapping).toEqual([0, null, null]);
+  });
+
+  it('builds the mapped scale with the root tuned from the reference note', () => {
+    const scale = applyKeyboardMapping(chromatic, parseKeyboardMapping(KBM));
+    expect(scale.cents).toEqual([0, 200, 400, 600, 800, 1000]);
+    expect(scale.period).toBe(1200);
+    // With six keys to the octave, key 69 is the fourth key of the second
+    // octave above 60, so 440 Hz sits 1800 cents above the root.
+    expect(scale.rootFrequency).toBeCloseTo(440 / Math.pow(2, 1800 / 1200));
+  });
+
+  it('rejects short mappings', () => {
+    expect(() => parseKeyboardMapping('12\n0\n127')).toThrow(ScaleError);
+  });
+});
+
+describe('parseScaleText', () => {
+  it('reads semitones, cents and ratios', () => {
+    expect(parseScaleText('0 2 3/2 1000.5', 'Mixed')).toEqual({
+      name: 'Mixed',
+      cents: [0, 200, 701.955, 1000.5],
+      period: 1200
+    });
+  });
+
+  it('reads a period after a bar', () => {
+    expect(parseScaleText('0 146.3 292.6 | 1901.955').period).toBe(1901.955);
+  });
+
+  it('needs at least one step', () => {
+    expect(() => parseScaleText('  ')).toThrow(ScaleError);
+  });
+});
@@ -0,0 +1,228 @@
+import {
+  NOTE_NAMES,
+  PARAM_DEFINITIONS,
+  PARAM_NAMES,
+  SCALE_CYCLE_STEP_COUNT,
+  STRUCTURED_NORMALIZERS,
+  clampScaleIndex,
+  normalizeParamValue,
+} from './params.js';
+import { DRUM_VOICES } from './rhythms.js';
+import { normalizeSeed } from '../utils/random.js';
+
+// State strings are base64 JSON. Version history:
+//   0 - unversioned flat object, written by old-script.js, legacy-blokken.html
+//       and the first app builds. The oldest ones only carry `fundamental` in
+//       Hz and `gevoel` as a 0-1 float instead of note/octave and scaleIndex.
+//   1 - unversioned flat object with a `seed`.
+//   2 - { version, seed, params, drumFilterBypass } with engine parameter names.
+export const STATE_VERSION = 2;
+
+// `gevoel` floats were spread over the five scales the app had at the time.
+const LEGACY_SCALE_COUNT = 5;
+
+export class StateError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'StateError';
+    this.issues = issues;
+  }
+}
+
+function frequencyToNoteAndOctave(frequency) {
+  const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+  return {
+    note: NOTE_NAMES[((midi % 12) + 12) % 12],
+    octave: Math.max(1, Math.min(6, Math.floor(midi / 12) - 1))
+  };
+}
+
+// Each entry upgrades a state from the version it is keyed by to the next one.
+const MIGRATIONS = {
+  0: data => {
+    const next = { ...data, seed: null };
+    const hasNote = NOTE_NAMES.includes(data.fundamentalNote) && typeof data.fundamentalOctave === 'number';
+    if (!hasNote && Number(data.fundamental) > 0) {
+      const { note, octave } = frequencyToNoteAndOctave(Number(data.fundamental));
+      next.fundamentalNote = NOTE_NAMES.includes(data.fundamentalNote) ? data.fundamentalNote : note;
+      next.fundamentalOctave = typeof data.fundamentalOctave === 'number' ? data.fundamentalOctave : octave;
+    }
+    if (typeof data.scaleIndex !== 'number' && typeof data.gevoel === 'number') {
+      next.scaleIndex = clampScaleIndex(data.gevoel * (LEGACY_SCALE_COUNT - 1));
+    }
+    return next;
+  },
+  1: data => {
+    const { seed, drumFilterBypass, reverb, fundamental, gevoel, ...rest } = data;
+    const params = {};
+    PARAM_NAMES.forEach(name => {
+      if (rest[name] !== undefined) params[name] = rest[name];
+    });
+    if (reverb !== undefined) params.reverbWet = reverb;
+    if (Array.isArray(rest.scaleCycleSteps)) {
+      params.scaleCycleSteps = Array.from({ length: SCALE_CYCLE_STEP_COUNT }, (_, idx) => rest.scaleCycleSteps[idx] || '');
+    }
+    return { version: 2, seed, params, drumFilterBypass: drumFilterBypass || {} };
+  },
+};
+
+export function getStateVersion(data) {
+  if (typeof data.version === 'number') return data.version;
+  return Object.prototype.hasOwnProperty.call(data, 'seed') ? 1 : 0;
+}
+
+// btoa and atob only take Latin-1, so the JSON goes through UTF-8 bytes;
+// names of custom scales can contain any character.
+export function jsonToStateString(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+// States written before the UTF-8 step hold Latin-1 text, which is not
+// always valid UTF-8; those are read as they are.
+export function stateStringToJson(stateString) {
+  const binary = atob(stateString);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    return binary;
+  }
+}
+
+// Reads the base64 JSON without interpreting it.
+export function parseState(stateString) {
+  let data;
+  try {
+    data = JSON.parse(stateStringToJson(String(stateString).trim()));
+  } catch (e) {
+    throw new StateError('State is not valid base64 JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new StateError('State does not contain an object');
+  }
+  return data;
+}
+
+// Runs the migrations from the state's own version up to STATE_VERSION.
+export function migrateState(data) {
+  const fromVersion = getStateVersion(data);
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new StateError(`Unknown state version "${data.version}"`);
+  }
+  if (fromVersion > STATE_VERSION) {
+    throw new StateError(`State version ${fromVersion} is newer than this app supports (${STATE_VERSION})`);
+  }
+  let migrated = data;
+  for (let version = fromVersion; version < STATE_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { data: migrated, fromVersion };
+}
+
+function validateParam(name, value) {
+  const definition = PARAM_DEFINITIONS[name];
+  if (definition.type === 'note') {
+    return NOTE_NAMES.includes(value) ? null : 'is not a note name';
+  }
+  if (STRUCTURED_NORMALIZERS[definition.type]) {
+    if (value === null) return null;
+    try {
+      STRUCTURED_NORMALIZERS[definition.type](value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+  if (definition.type === 'noteList') {
+    if (!Array.isArray(value)) return 'is not a list';
+    return value.every(step => step === '' || NOTE_NAMES.includes(step)) ? null : 'contains an unknown note';
+  }
+  const numeric = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(numeric)) return 'is not a number';
+  if (numeric < definition.min || numeric > definition.max) {
+    return `is out of range (${definition.min} to ${definition.max})`;
+  }
+  return null;
+}
+
+// Lists what is wrong with a current-version state object. Missing
+// parameters are not issues; they take their default when loaded.
+export function validateState(data) {
+  const issues = [];
+  const report = (field, value, message) => issues.push({ field, value, message });
+  if (data.version !== STATE_VERSION) {
+    report('version', data.version, `is not ${STATE_VERSION}`);
+  }
+  if (data.seed !== undefined && data.seed !== null && normalizeSeed(data.seed) === null) {
+    report('seed', data.seed, 'is not a valid seed');
+  }
+  const params = data.params && typeof data.params === 'object' ? data.params : {};
+  if (params !== data.params) {
+    report('params', data.params, 'is not an object');
+  }
+  Object.keys(params).forEach(name => {
+    if (!PARAM_DEFINITIONS[name]) {
+      report(`params.${name}`, params[name], 'is not a known parameter');
+      return;
+    }
+    const message = validateParam(name, params[name]);
+    if (message) report(`params.${name}`, params[name], message);
+  });
+  const bypass = data.drumFilterBypass && typeof data.drumFilterBypass === 'object' ? data.drumFilterBypass : {};
+  Object.keys(bypass).forEach(drum => {
+    if (!DRUM_VOICES.includes(drum)) {
+      report(`drumFilterBypass.${drum}`, bypass[drum], 'is not a drum voice');
+    } else if (typeof bypass[drum] !== 'boolean') {
+      report(`drumFilterBypass.${drum}`, bypass[drum], 'is not true or false');
+    }
+  });
+  return issues;
+}
+
+export function encodeState(params, drumFilterBypass, seed) {
+  const stateParams = {};
+  PARAM_NAMES.forEach(name => {
+    const value = params[name];
+    stateParams[name] = Array.isArray(value) ? [...value] : value;
+  });
+  return jsonToStateString(JSON.stringify({
+    version: STATE_VERSION,
+    seed,
+    params: stateParams,
+    drumFilterBypass: { ...drumFilterBypass }
+  }));
+}
+
+// Turns a state string of any version into engine parameter values. Fields
+// that fail validation are reported in `issues` and replaced: out-of-range
+// numbers are clamped, anything unusable falls back to the default. Throws a
+// StateError when the string cannot be read or comes from a newer version.
+export function decodeState(stateString) {
+  const { data, fromVersion } = migrateState(parseState(stateString));
+  const issues = validateState(data);
+  const params = data.params && typeof data.params === 'object' ? data.params : {};
+
+  const values = {};
+  PARAM_NAMES.forEach(name => {
+    values[name] = normalizeParamValue(name, params[name]);
+  });
+
+  const drumFilterBypass = {};
+  const storedBypass = data.drumFilterBypass && typeof data.drumFilterBypass === 'object' ? data.drumFilterBypass : {};
+  DRUM_VOICES.forEach(drum => {
+    if (typeof storedBypass[drum] === 'boolean') drumFilterBypass[drum] = storedBypass[drum];
+  });
+
+  return {
+    values,
+    drumFilterBypass,
+    seed: normalizeSeed(data.seed),
+    version: fromVersion,
+    issues
+  };
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { getDefaultParamValues } from './params.js';
+import {
+  STATE_VERSION,
+  StateError,
+  decodeState,
+  encodeState,
+  getStateVersion,
+  migrateState,
+} from './state.js';
+
+// Old states were written with plain btoa, so the fixtures are too.
+const toStateString = data => btoa(JSON.stringify(data));
+
+describe('getStateVersion', () => {
+  it('reads the version field of current states', () => {
+    expect(getStateVersion({ version: 2, params: {} })).toBe(2);
+  });
+
+  it('tells the unversioned formats apart by the seed', () => {
+    expect(getStateVersion({ bpm: 90 })).toBe(0);
+    expect(getStateVersion({ bpm: 90, seed: 1 })).toBe(1);
+  });
+});
+
+describe('migrateState', () => {
+  it('derives note, octave and scale from a version 0 fundamental and gevoel', () => {
+    const { data, fromVersion } = migrateState({ fundamental: 440, gevoel: 0.5, reverb: 0.3, bpm: 100 });
+    expect(fromVersion).toBe(0);
+    expect(data).toEqual({
+      version: STATE_VERSION,
+      seed: null,
+      params: { fundamentalNote: 'A', fundamentalOctave: 4, scaleIndex: 2, reverbWet: 0.3, bpm: 100 },
+      drumFilterBypass: {}
+    });
+  });
+
+  it('keeps a note and scale that a version 0 state already has', () => {
+    const { data } = migrateState({ fundamental: 440, fundamentalNote: 'D', fundamentalOctave: 2, gevoel: 1, scaleIndex: 7 });
+    expect(data.params).toMatchObject({ fundamentalNote: 'D', fundamentalOctave: 2, scaleIndex: 7 });
+  });
+
+  it('moves version 1 fields into params and drops unknown ones', () => {
+    const { data, fromVersion } = migrateState({
+      seed: 42,
+      bpm: 120,
+      reverb: 0.2,
+      scaleCycleSteps: ['C', 'G'],
+      drumFilterBypass: { kick: true },
+      somethingElse: 1
+    });
+    expect(fromVersion).toBe(1);
+    expect(data).toEqual({
+      version: 2,
+      seed: 42,
+      params: { bpm: 120, reverbWet: 0.2, scaleCycleSteps: ['C', 'G', '', ''] },
+      drumFilterBypass: { kick: true }
+    });
+  });
+
+  it('rejects versions it does not know', () => {
+    expect(() => migrateState({ version: STATE_VERSION + 1 })).toThrow(StateError);
+    expect(() => migrateState({ version: -1 })).toThrow(StateError);
+    expect(() => migrateState({ version: 1.5 })).toThrow(StateError);
+  });
+});
+
+describe('decodeState', () => {
+  it('round-trips what encodeState writes', () => {
+    const params = { ...getDefaultParamValues(), bpm: 132, fundamentalNote: 'F#', scaleCycleSteps: ['C', '', 'E', ''] };
+    const decoded = decodeState(encodeState(params, { snare: true }, 1234));
+    expect(decoded.values).toEqual(params);
+    expect(decoded.drumFilterBypass).toEqual({ snare: true });
+    expect(decoded.seed).toBe(1234);
+    expect(decoded.version).toBe(STATE_VERSION);
+    expect(decoded.issues).toEqual([]);
+  });
+
+  it('keeps a picked rhythm in the state', () => {
+    const customRhythm = { label: 'Eigen', kick: [[0, 0, 0, 1], [2, 2, 1, 0.8]], snare: [[1, 0, 0, 0.9]], hihat: [], clap: [] };
+    const params = { ...getDefaultParamValues(), customRhythm };
+    expect(decodeState(encodeState(params, {}, 1)).values.customRhythm).toEqual(customRhythm);
+  });
+
+  it('gives missing parameters their default', () => {
+    const decoded = decodeState(toStateString({ version: 2, seed: 1, params: { bpm: 100 }, drumFilterBypass: {} }));
+    expect(decoded.values).toEqual({ ...getDefaultParamValues(), bpm: 100 });
+    expect(decoded.issues).toEqual([]);
+  });
+
+  it('reports and corrects invalid fields', () => {
+    const decoded = decodeState(toStateString({
+      version: 2,
+      seed: 'abc',
+      params: { bpm: 500, fundamentalNote: 'H', volume: 1 },
+      drumFilterBypass: { kick: 'yes', cowbell: true }
+    }));
+    expect(decoded.values.bpm).toBe(240);
+    expect(decoded.values.fundamentalNote).toBe(getDefaultParamValues().fundamentalNote);
+    expect(decoded.seed).toBeNull();
+    expect(decoded.drumFilterBypass).toEqual({});
+    expect(decoded.issues.map(issue => issue.field)).toEqual([
+      'seed',
+      'params.bpm',
+      'params.fundamentalNote',
+      'params.volume',
+      'drumFilterBypass.kick',
+      'drumFilterBypass.cowbell'
+    ]);
+  });
+
+  it('decodes a legacy state from the first app builds', () => {
+    const decoded = decodeState(toStateString({ fundamental: 130.81, gevoel: 0.25, reverb: 0.4 }));
+    expect(decoded.version).toBe(0);
+    expect(decoded.seed).toBeNull();
+    expect(decoded.values).toMatchObject({ fundamentalNote: 'C', fundamentalOctave: 3, scaleIndex: 1, reverbWet: 0.4 });
+  });
+
+  it('keeps custom scale names outside Latin-1', () => {
+    const params = { ...getDefaultParamValues(), customScale: { name: '平調 ✦', cents: [0, 200, 700], period: 1200 } };
+    expect(decodeState(encodeState(params, {}, 1)).values.customScale.name).toBe('平調 ✦');
+  });
+
+  it('still reads Latin-1 text written before the UTF-8 encoding', () => {
+    const stateString = btoa(JSON.stringify({
+      version: 2,
+      seed: 1,
+      params: { customScale: { name: 'Gamme à Dür', cents: [0, 500], period: 1200 } }
+    }));
+    expect(decodeState(stateString).values.customScale.name).toBe('Gamme à Dür');
+  });
+
+  it('throws a StateError for strings that are not base64 JSON', () => {
+    expect(() => decodeState('not a state')).toThrow(StateError);
+    expect(() => decodeState(btoa('[1, 2]'))).toThrow(StateError);
+  });
+});
@@ -0,0 +1,143 @@
+// MIDI clock: 24 pulses per quarter note plus start, continue and stop.
+
+export const MIDI_CLOCKS_PER_BEAT = 24;
+export const MIDI_CLOCK = 0xF8;
+export const MIDI_START = 0xFA;
+export const MIDI_CONTINUE = 0xFB;
+export const MIDI_STOP = 0xFC;
+
+const TEMPO_WINDOW = MIDI_CLOCKS_PER_BEAT * 2;
+// Pulses further apart than this mean the clock stopped without a stop message.
+const MAX_PULSE_GAP_MS = 1000;
+const SYNC_EVERY_PULSES = MIDI_CLOCKS_PER_BEAT / 4;
+
+// Estimates tempo from pulse timestamps, averaged over the last two beats to
+// smooth out the jitter in MIDI timing.
+export function createTempoEstimator(windowSize = TEMPO_WINDOW) {
+  let timestamps = [];
+
+  return {
+    add(timeStamp) {
+      const last = timestamps[timestamps.length - 1];
+      if (last !== undefined && timeStamp - last > MAX_PULSE_GAP_MS) {
+        timestamps = [];
+      }
+      timestamps.push(timeStamp);
+      if (timestamps.length > windowSize + 1) timestamps.shift();
+    },
+    getBpm() {
+      if (timestamps.length < MIDI_CLOCKS_PER_BEAT / 2) return null;
+      const span = timestamps[timestamps.length - 1] - timestamps[0];
+      if (span <= 0) return null;
+      const pulseMs = span / (timestamps.length - 1);
+      return 60000 / (pulseMs * MIDI_CLOCKS_PER_BEAT);
+    },
+    reset() {
+      timestamps = [];
+    },
+  };
+}
+
+// Makes the engine's transport follow incoming clock, start, continue and
+// stop. The beat position counts pulses since the last start; after a
+// continue (or when joining a running clock) it is taken from the transport.
+// onError gets failures of starting the audio on a start or continue.
+export function createClockFollower({ engine, midiInput, onTempo = () => {}, onError = () => {} } = {}) {
+  const estimator = createTempoEstimator();
+  let enabled = false;
+  let pulses = null;
+
+  function handlePulse(timeStamp) {
+    estimator.add(timeStamp);
+    if (pulses === null && engine.getTransportState() === 'started') {
+      pulses = Math.round(engine.getClockBeats(timeStamp) * MIDI_CLOCKS_PER_BEAT);
+    } else if (pulses !== null) {
+      pulses++;
+    }
+    if (pulses === null || pulses % SYNC_EVERY_PULSES !== 0) return;
+    const bpm = estimator.getBpm();
+    if (!bpm) return;
+    engine.followClock({ bpm, beats: pulses / MIDI_CLOCKS_PER_BEAT, timeStamp });
+    onTempo(bpm);
+  }
+
+  midiInput.subscribe((message, event) => {
+    if (!enabled) return;
+    const timeStamp = event && event.timeStamp ? event.timeStamp : performance.now();
+    switch (message.type) {
+      case 'clock':
+        handlePulse(timeStamp);
+        break;
+      case 'start':
+        // The pulse after a start is the first beat.
+        pulses = -1;
+        estimator.reset();
+        engine.startFromClock().catch(onError);
+        break;
+      case 'continue':
+        pulses = null;
+        engine.play().catch(onError);
+        break;
+      case 'stop':
+        pulses = null;
+        engine.pause();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    setEnabled(value) {
+      enabled = Boolean(value);
+      pulses = null;
+      estimator.reset();
+    },
+    isEnabled: () => enabled,
+    getBpm: () => estimator.getBpm(),
+  };
+}
+
+// Sends clock on a MIDI output while the transport runs, timestamped ahead
+// so the pulses leave in step with the audio.
+export function createClockSender({ engine } = {}) {
+  let output = null;
+  let running = false;
+
+  function send(data, timeStamp) {
+    if (!output) return;
+    try {
+      output.send(data, timeStamp);
+    } catch (e) {
+      console.warn('MIDI clock send failed:', e);
+    }
+  }
+
+  function handlePulse({ timeStamp, ticks }) {
+    if (!running) {
+      running = true;
+      send([ticks > 0 ? MIDI_CONTINUE : MIDI_START], timeStamp);
+    }
+    send([MIDI_CLOCK], timeStamp);
+  }
+
+  // Called with the engine's transport state.
+  function handleTransport(state) {
+    if (state === 'started' || !running) return;
+    running = false;
+    send([MIDI_STOP]);
+  }
+
+  function setOutput(nextOutput) {
+    if (running) send([MIDI_STOP]);
+    running = false;
+    output = nextOutput || null;
+    engine.setClockListener(output ? handlePulse : null);
+  }
+
+  return {
+    setOutput,
+    handleTransport,
+    getOutput: () => output,
+  };
+}
@@ -0,0 +1,144 @@
+// Standard MIDI File (format 1) writer and the conversion from Blokken's
+// generated parts to tracks.
+
+export const MIDI_PPQ = 480;
+export const GM_DRUM_NOTES = { kick: 36, snare: 38, hihat: 42, clap: 39 };
+export const GM_DRUM_CHANNEL = 9;
+const MELODY_CHANNEL = 0;
+const GRANULAR_CHANNEL = 1;
+const DRUM_NOTE_BEATS = 0.25;
+
+function writeVariableLength(value) {
+  let remaining = Math.max(0, Math.round(value));
+  const bytes = [remaining & 0x7F];
+  remaining >>= 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7F) | 0x80);
+    remaining >>= 7;
+  }
+  return bytes;
+}
+
+function writeUint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+function metaEvent(type, data) {
+  return [0xFF, type, ...writeVariableLength(data.length), ...data];
+}
+
+function clampMidi(value, min = 0, max = 127) {
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+// Turns Tone-style times into beats: "m:q:s" transport positions, "8n"/"4n."
+// note values and plain seconds (which is how Tone reads strings such as the
+// fractional "0.05n" grain durations).
+export function toBeats(value, bpm) {
+  if (typeof value === 'number') return value * (bpm / 60);
+  const text = String(value).trim();
+  const position = text.match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?):?(\d+(?:\.\d+)?)?$/);
+  if (position) {
+    return parseFloat(position[1]) * 4 + parseFloat(position[2]) + parseFloat(position[3] || 0) / 4;
+  }
+  const noteValue = text.match(/^(\d+)n(\.?)$/i);
+  if (noteValue) {
+    return (4 / parseInt(noteValue[1], 10)) * (noteValue[2] === '.' ? 1.5 : 1);
+  }
+  const seconds = parseFloat(text);
+  return Number.isFinite(seconds) ? seconds * (bpm / 60) : 0;
+}
+
+// notes: [{ beat, durationBeats, note, velocity (0-1), channel }]
+function buildTrack(name, notes) {
+  const events = [];
+  notes.forEach(({ beat, durationBeats, note, velocity, channel }) => {
+    const start = Math.round(beat * MIDI_PPQ);
+    const end = Math.max(start + 1, Math.round((beat + durationBeats) * MIDI_PPQ));
+    const pitch = clampMidi(note);
+    events.push({ tick: start, order: 1, data: [0x90 | channel, pitch, clampMidi(velocity * 127, 1)] });
+    events.push({ tick: end, order: 0, data: [0x80 | channel, pitch, 0] });
+  });
+  // Note-offs go first on shared ticks so repeated notes are not cut short.
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const bytes = [...writeVariableLength(0), ...metaEvent(0x03, textBytes(name))];
+  let lastTick = 0;
+  events.forEach(event => {
+    bytes.push(...writeVariableLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  bytes.push(...writeVariableLength(0), ...metaEvent(0x2F, []));
+  return bytes;
+}
+
+function buildTempoTrack(bpm) {
+  const microsecondsPerBeat = Math.round(60000000 / bpm);
+  return [
+    ...writeVariableLength(0), ...metaEvent(0x03, textBytes('Blokken')),
+    ...writeVariableLength(0), ...metaEvent(0x51, [(microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF]),
+    ...writeVariableLength(0), ...metaEvent(0x58, [4, 2, 24, 8]),
+    ...writeVariableLength(0), ...metaEvent(0x2F, [])
+  ];
+}
+
+export function writeMidiFile(tracks) {
+  const bytes = [
+    ...textBytes('MThd'), ...writeUint32(6),
+    0, 1,
+    (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+    (MIDI_PPQ >> 8) & 0xFF, MIDI_PPQ & 0xFF
+  ];
+  tracks.forEach(track => {
+    bytes.push(...textBytes('MTrk'), ...writeUint32(track.length), ...track);
+  });
+  return new Uint8Array(bytes);
+}
+
+// data is what engine.getPatternData() returns. Only the part of each
+// pattern that plays before the loop point is exported.
+export function createPatternMidiFile(data) {
+  const { bpm, fundamentalMidi, patternLength, granularAmount } = data;
+  const loopBeats = patternLength * 4;
+  const inLoop = note => note.beat < loopBeats;
+
+  const melodyNotes = data.melodicEvents.map(event => ({
+    beat: toBeats(event.time, bpm),
+    durationBeats: toBeats(event.duration || '8n', bpm),
+    note: fundamentalMidi + (event.semitoneOffset || 0),
+    velocity: event.velocity,
+    channel: MELODY_CHANNEL
+  })).filter(inLoop);
+
+  const grainNotes = granularAmount > 0
+    ? data.grainNotes.map(grain => ({
+      beat: toBeats(grain.time, bpm),
+      durationBeats: toBeats(grain.duration || '16n', bpm),
+      note: fundamentalMidi + 12 * Math.log2(grain.ratio ?? 1),
+      velocity: (grain.velocity || 0.1) * granularAmount,
+      channel: GRANULAR_CHANNEL
+    })).filter(inLoop)
+    : [];
+
+  const drumNotes = data.drumPattern
+    .filter(hit => GM_DRUM_NOTES[hit.drum] !== undefined)
+    .map(hit => ({
+      beat: toBeats(hit.time, bpm),
+      durationBeats: DRUM_NOTE_BEATS,
+      note: GM_DRUM_NOTES[hit.drum],
+      velocity: hit.velocity,
+      channel: GM_DRUM_CHANNEL
+    }))
+    .filter(inLoop);
+
+  return writeMidiFile([
+    buildTempoTrack(bpm),
+    buildTrack('Melodie', melodyNotes),
+    buildTrack('Granulair', grainNotes),
+    buildTrack('Drums', drumNotes)
+  ]);
+}
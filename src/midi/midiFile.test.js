@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { GM_DRUM_CHANNEL, GM_DRUM_NOTES, MIDI_PPQ, createPatternMidiFile, toBeats, writeMidiFile } from './midiFile.js';
+
+function readVariableLength(bytes, position) {
+  let value = 0;
+  let offset = position;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    value = (value << 7) | (byte & 0x7F);
+  } while (byte & 0x80);
+  return { value, offset };
+}
+
+// Reads what the writer produces: the header and per track its name and
+// channel messages with absolute ticks.
+function readMidiFile(bytes) {
+  const text = (start, length) => String.fromCharCode(...bytes.slice(start, start + length));
+  const uint = (start, length) => bytes.slice(start, start + length).reduce((value, byte) => value * 256 + byte, 0);
+  const header = { format: uint(8, 2), trackCount: uint(10, 2), ppq: uint(12, 2) };
+  expect(text(0, 4)).toBe('MThd');
+  const tracks = [];
+  let position = 14;
+  while (position < bytes.length) {
+    expect(text(position, 4)).toBe('MTrk');
+    const end = position + 8 + uint(position + 4, 4);
+    const track = { name: '', events: [] };
+    let offset = position + 8;
+    let tick = 0;
+    while (offset < end) {
+      const delta = readVariableLength(bytes, offset);
+      tick += delta.value;
+      offset = delta.offset;
+      if (bytes[offset] === 0xFF) {
+        const type = bytes[offset + 1];
+        const length = readVariableLength(bytes, offset + 2);
+        if (type === 0x03) track.name = new TextDecoder().decode(bytes.slice(length.offset, length.offset + length.value));
+        offset = length.offset + length.value;
+      } else {
+        const [status, note, velocity] = bytes.slice(offset, offset + 3);
+        track.events.push({ tick, type: status & 0xF0, channel: status & 0x0F, note, velocity });
+        offset += 3;
+      }
+    }
+    expect(offset).toBe(end);
+    tracks.push(track);
+    position = end;
+  }
+  return { header, tracks };
+}
+
+describe('toBeats', () => {
+  it('reads transport positions, note values and seconds', () => {
+    expect(toBeats('1:2:2', 120)).toBe(6.5);
+    expect(toBeats('0:1:1.5', 120)).toBe(1.375);
+    expect(toBeats('8n', 120)).toBe(0.5);
+    expect(toBeats('4n.', 120)).toBe(1.5);
+    expect(toBeats('0.05n', 120)).toBeCloseTo(0.1);
+    expect(toBeats(1, 90)).toBe(1.5);
+    expect(toBeats('soon', 120)).toBe(0);
+  });
+});
+
+describe('writeMidiFile', () => {
+  it('writes a format 1 header with the track count and resolution', () => {
+    const bytes = writeMidiFile([[0x00, 0xFF, 0x2F, 0x00], [0x00, 0xFF, 0x2F, 0x00]]);
+    expect(readMidiFile(bytes).header).toEqual({ format: 1, trackCount: 2, ppq: MIDI_PPQ });
+  });
+});
+
+describe('createPatternMidiFile', () => {
+  const data = {
+    bpm: 120,
+    fundamentalMidi: 60,
+    patternLength: 1,
+    granularAmount: 0.5,
+    melodicEvents: [
+      { time: '0:0:0', duration: '8n', semitoneOffset: 4, velocity: 0.5 },
+      { time: '0:0:2', duration: '8n', semitoneOffset: 4, velocity: 1 },
+      { time: '1:0:0', duration: '4n', semitoneOffset: 0, velocity: 1 },
+    ],
+    grainNotes: [{ time: '0:2:0', duration: '16n', ratio: 2, velocity: 0.4 }],
+    drumPattern: [
+      { time: '0:1:0', drum: 'kick', velocity: 1 },
+      { time: '0:1:0', drum: 'cowbell', velocity: 1 },
+    ]
+  };
+
+  it('writes a tempo track and one track per part', () => {
+    const { header, tracks } = readMidiFile(createPatternMidiFile(data));
+    expect(header.trackCount).toBe(4);
+    expect(tracks.map(track => track.name)).toEqual(['Blokken', 'Melodie', 'Granulair', 'Drums']);
+  });
+
+  it('keeps only the notes inside the loop and puts note-offs first on shared ticks', () => {
+    const [, melody] = readMidiFile(createPatternMidiFile(data)).tracks;
+    expect(melody.events).toEqual([
+      { tick: 0, type: 0x90, channel: 0, note: 64, velocity: 64 },
+      { tick: MIDI_PPQ / 2, type: 0x80, channel: 0, note: 64, velocity: 0 },
+      { tick: MIDI_PPQ / 2, type: 0x90, channel: 0, note: 64, velocity: 127 },
+      { tick: MIDI_PPQ, type: 0x80, channel: 0, note: 64, velocity: 0 },
+    ]);
+  });
+
+  it('transposes grains by their ratio and scales them by the granular amount', () => {
+    const [, , grains] = readMidiFile(createPatternMidiFile(data)).tracks;
+    expect(grains.events[0]).toEqual({ tick: 2 * MIDI_PPQ, type: 0x90, channel: 1, note: 72, velocity: 25 });
+  });
+
+  it('writes General MIDI drums and skips voices without a note', () => {
+    const [, , , drums] = readMidiFile(createPatternMidiFile(data)).tracks;
+    expect(drums.events.map(({ tick, type, channel, note }) => ({ tick, type, channel, note }))).toEqual([
+      { tick: MIDI_PPQ, type: 0x90, channel: GM_DRUM_CHANNEL, note: GM_DRUM_NOTES.kick },
+      { tick: MIDI_PPQ * 1.25, type: 0x80, channel: GM_DRUM_CHANNEL, note: GM_DRUM_NOTES.kick },
+    ]);
+  });
+
+  it('leaves the granular track empty when granular is off', () => {
+    const [, , grains] = readMidiFile(createPatternMidiFile({ ...data, granularAmount: 0 })).tracks;
+    expect(grains.events).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+// Web MIDI access shared by every consumer: incoming messages are parsed once
+// and handed to all subscribers, and outputs are looked up by id.
+
+export const ALL_INPUTS = 'all';
+
+const SYSTEM_MESSAGES = { 0xF8: 'clock', 0xFA: 'start', 0xFB: 'continue', 0xFC: 'stop' };
+
+export function isMidiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+// Turns raw bytes into { type, channel, ... }. Returns null for messages
+// Blokken does not use.
+export function parseMidiMessage(data) {
+  if (!data || !data.length) return null;
+  const status = data[0];
+  if (SYSTEM_MESSAGES[status]) {
+    return { type: SYSTEM_MESSAGES[status] };
+  }
+  const channel = status & 0x0F;
+  switch (status & 0xF0) {
+    case 0x90:
+      // Note on with velocity 0 is a note off.
+      if (data[2] > 0) {
+        return { type: 'noteon', channel, note: data[1], velocity: data[2] / 127 };
+      }
+      return { type: 'noteoff', channel, note: data[1] };
+    case 0x80:
+      return { type: 'noteoff', channel, note: data[1] };
+    case 0xB0:
+      return { type: 'cc', channel, controller: data[1], value: data[2] / 127 };
+    case 0xE0:
+      // 14-bit value centred on 8192, scaled to -1..1.
+      return { type: 'pitchbend', channel, value: Math.max(-1, (((data[2] << 7) | data[1]) - 8192) / 8191) };
+    default:
+      return null;
+  }
+}
+
+export function createMidiInput() {
+  const listeners = new Set();
+  const portListeners = new Set();
+  let access = null;
+  let selectedId = ALL_INPUTS;
+
+  function handleMessage(event) {
+    const input = event.currentTarget || event.target;
+    if (selectedId !== ALL_INPUTS && (!input || input.id !== selectedId)) return;
+    const message = parseMidiMessage(event.data);
+    if (!message) return;
+    listeners.forEach(listener => listener(message, event));
+  }
+
+  function attachInputs() {
+    if (!access) return;
+    access.inputs.forEach(input => {
+      input.onmidimessage = handleMessage;
+    });
+  }
+
+  function notifyPortsChanged() {
+    attachInputs();
+    portListeners.forEach(listener => listener());
+  }
+
+  async function connect() {
+    if (access) return true;
+    if (!isMidiSupported()) return false;
+    try {
+      access = await navigator.requestMIDIAccess();
+    } catch (e) {
+      console.warn('MIDI access denied:', e);
+      return false;
+    }
+    access.onstatechange = notifyPortsChanged;
+    notifyPortsChanged();
+    return true;
+  }
+
+  function getInputs() {
+    if (!access) return [];
+    return [...access.inputs.values()].map(input => ({ id: input.id, name: input.name || input.id }));
+  }
+
+  function getOutputs() {
+    if (!access) return [];
+    return [...access.outputs.values()].map(output => ({ id: output.id, name: output.name || output.id }));
+  }
+
+  // Unplugged ports can stay listed with the state "disconnected".
+  function getOutput(id) {
+    const output = access && id ? access.outputs.get(id) : null;
+    return output && output.state !== 'disconnected' ? output : null;
+  }
+
+  function getAccess() {
+    return access;
+  }
+
+  function selectInput(id) {
+    selectedId = id || ALL_INPUTS;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Called when devices are plugged in or removed.
+  function onPortsChanged(listener) {
+    portListeners.add(listener);
+    return () => portListeners.delete(listener);
+  }
+
+  return {
+    connect,
+    getAccess,
+    getInputs,
+    getOutputs,
+    getOutput,
+    selectInput,
+    getSelectedInput: () => selectedId,
+    subscribe,
+    onPortsChanged,
+  };
+}
@@ -0,0 +1,89 @@
+import { GM_DRUM_NOTES, GM_DRUM_CHANNEL } from './midiFile.js';
+import { frequencyToMidi } from '../engine/params.js';
+
+export const DEFAULT_PART_CHANNELS = { melody: 0, granular: 1, drums: GM_DRUM_CHANNEL };
+
+const ALL_NOTES_OFF = 123;
+
+function clampMidiValue(value) {
+  return Math.max(0, Math.min(127, Math.round(value)));
+}
+
+// Sends the engine's generated notes to a MIDI output, one channel per part.
+// Note on and note off are both sent with the timestamps the engine derives
+// from the scheduled time, so the output stays in step with the audio.
+export function createNoteSender({ engine } = {}) {
+  let output = null;
+  const channels = { ...DEFAULT_PART_CHANNELS };
+  const enabledParts = new Set();
+  const usedChannels = new Set();
+
+  function send(data, timeStamp) {
+    if (!output) return;
+    try {
+      output.send(data, timeStamp);
+    } catch (e) {
+      console.warn('MIDI note send failed:', e);
+    }
+  }
+
+  function handleNote({ part, timeStamp, duration, velocity, frequency, drum }) {
+    if (!enabledParts.has(part)) return;
+    const note = drum ? GM_DRUM_NOTES[drum] : clampMidiValue(frequencyToMidi(frequency));
+    if (note === undefined) return;
+    const channel = channels[part];
+    usedChannels.add(channel);
+    send([0x90 | channel, note, Math.max(1, clampMidiValue(velocity * 127))], timeStamp);
+    send([0x80 | channel, note, 0], timeStamp + duration * 1000);
+  }
+
+  function updateListener() {
+    engine.setNoteListener(output && enabledParts.size ? handleNote : null);
+  }
+
+  function channelNotesOff(channel) {
+    send([0xB0 | channel, ALL_NOTES_OFF, 0]);
+    usedChannels.delete(channel);
+  }
+
+  // Silences everything this sender may have left sounding. Notes queued
+  // with a future timestamp are dropped first, or they would start after
+  // the all-notes-off and hang.
+  function allNotesOff() {
+    if (output && typeof output.clear === 'function') output.clear();
+    usedChannels.forEach(channelNotesOff);
+  }
+
+  function setOutput(nextOutput) {
+    allNotesOff();
+    output = nextOutput || null;
+    updateListener();
+  }
+
+  function setPartEnabled(part, enabled) {
+    if (enabled) {
+      enabledParts.add(part);
+    } else {
+      enabledParts.delete(part);
+    }
+    updateListener();
+  }
+
+  // Only a part that moves to another channel can leave notes hanging, and
+  // only on the channel it leaves.
+  function setPartChannel(part, channel) {
+    const previous = channels[part];
+    channels[part] = Math.max(0, Math.min(15, Math.round(channel)));
+    if (channels[part] !== previous && usedChannels.has(previous)) {
+      channelNotesOff(previous);
+    }
+  }
+
+  return {
+    setOutput,
+    setPartEnabled,
+    setPartChannel,
+    allNotesOff,
+    getOutput: () => output,
+  };
+}
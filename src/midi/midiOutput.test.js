@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { createNoteSender } from './midiOutput.js';
+
+function createFakes() {
+  const engine = { listener: null, setNoteListener(listener) { this.listener = listener; } };
+  const output = {
+    sent: [],
+    send(data, timeStamp) { this.sent.push({ data, timeStamp }); },
+    clear() { this.sent.push('clear'); }
+  };
+  const sender = createNoteSender({ engine });
+  sender.setOutput(output);
+  sender.setPartEnabled('melody', true);
+  sender.setPartEnabled('drums', true);
+  return { engine, output, sender };
+}
+
+const playMelodyNote = engine => engine.listener({ part: 'melody', timeStamp: 100, duration: 0.5, velocity: 1, frequency: 440 });
+
+describe('createNoteSender', () => {
+  it('sends note on and note off with their timestamps', () => {
+    const { engine, output } = createFakes();
+    playMelodyNote(engine);
+    expect(output.sent).toEqual([
+      { data: [0x90, 69, 127], timeStamp: 100 },
+      { data: [0x80, 69, 0], timeStamp: 600 },
+    ]);
+  });
+
+  it('leaves playing notes alone when the channel stays the same', () => {
+    const { engine, output, sender } = createFakes();
+    playMelodyNote(engine);
+    output.sent = [];
+    sender.setPartChannel('melody', 0);
+    sender.setPartChannel('drums', 5);
+    expect(output.sent).toEqual([]);
+  });
+
+  it('silences only the channel a part leaves', () => {
+    const { engine, output, sender } = createFakes();
+    playMelodyNote(engine);
+    engine.listener({ part: 'drums', timeStamp: 100, duration: 0.1, velocity: 1, drum: 'kick' });
+    output.sent = [];
+    sender.setPartChannel('melody', 3);
+    expect(output.sent).toEqual([{ data: [0xB0, 123, 0], timeStamp: undefined }]);
+  });
+
+  it('drops queued notes before sending all notes off', () => {
+    const { engine, output, sender } = createFakes();
+    playMelodyNote(engine);
+    output.sent = [];
+    sender.allNotesOff();
+    expect(output.sent).toEqual(['clear', { data: [0xB0, 123, 0], timeStamp: undefined }]);
+  });
+});
@@ -5,13 +5,15 @@ export function resolveBaseAudioContext() {
   const OfflineAudioContextCtor = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
   const queue = [];
   const visited = new Set();
-  if (Tone.context) {
-    queue.push(Tone.context);
-  }
+  // The active context comes first so Tone.Offline renders resolve to their
+  // OfflineAudioContext instead of the live one.
   if (typeof Tone.getContext === 'function') {
     const ctx = Tone.getContext();
     if (ctx) queue.push(ctx);
   }
+  if (Tone.context) {
+    queue.push(Tone.context);
+  }
   while (queue.length) {
     const candidate = queue.shift();
     if (!candidate || visited.has(candidate)) continue;
@@ -0,0 +1,41 @@
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function pipeThrough(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+export function isCompressionSupported() {
+  return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+// Raw deflate + URL-safe base64, for text that has to fit in a link.
+export async function compressToBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  return bytesToBase64Url(await pipeThrough(bytes, new CompressionStream('deflate-raw')));
+}
+
+export async function decompressFromBase64Url(text) {
+  const bytes = await pipeThrough(base64UrlToBytes(text), new DecompressionStream('deflate-raw'));
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodeBase64Url(text) {
+  return bytesToBase64Url(new TextEncoder().encode(text));
+}
+
+export function decodeBase64Url(text) {
+  return new TextDecoder().decode(base64UrlToBytes(text));
+}
@@ -16,6 +16,71 @@ export class Random {
   }
 }
 
+// mulberry32: small, fast 32-bit generator returning floats in [0, 1).
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function normalizeSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.floor(Math.abs(numeric)) >>> 0 : null;
+}
+
+// Deterministic counterpart of Random with the same method names. Named
+// sub-streams derive from the seed alone, so how much one subsystem draws
+// never shifts the numbers another subsystem sees.
+export class SeededRandom {
+  constructor(seed, name = '') {
+    this.seed = seed >>> 0;
+    this.name = name;
+    this._next = mulberry32(name ? this.seed ^ hashString(name) : this.seed);
+  }
+
+  stream(name) {
+    return new SeededRandom(this.seed, this.name ? `${this.name}/${name}` : name);
+  }
+
+  next() {
+    return this._next();
+  }
+
+  float(min, max) {
+    return this._next() * (max - min) + min;
+  }
+
+  int(min, max) {
+    return Math.floor(this._next() * (max - min + 1)) + min;
+  }
+
+  select(arr) {
+    return arr[Math.floor(this._next() * arr.length)];
+  }
+
+  coinToss(probability = 0.5) {
+    return this._next() < probability;
+  }
+}
+
 const LAYER_FILTER_MIN_FREQ = 40;
 const LAYER_FILTER_MAX_FREQ = 12000;
 
@@ -0,0 +1,57 @@
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+// Encodes an AudioBuffer as a RIFF/WAVE file. 16 and 24 bit are written as
+// integer PCM, 32 bit as IEEE float.
+export function encodeWav(audioBuffer, { bitDepth = 16 } = {}) {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+  const channels = audioBuffer.numberOfChannels;
+  const frames = audioBuffer.length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const isFloat = bitDepth === 32;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, isFloat ? 3 : 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = Array.from({ length: channels }, (_, idx) => audioBuffer.getChannelData(idx));
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else if (bitDepth === 16) {
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      } else {
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
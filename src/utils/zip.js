@@ -0,0 +1,73 @@
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Builds an uncompressed (stored) zip archive. Audio barely compresses, so
+// skipping deflate keeps this small and fast.
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(({ name, data }) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.bytes.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  let offset = 0;
+  const localOffsets = [];
+  entries.forEach(entry => {
+    localOffsets.push(offset);
+    view.setUint32(offset, 0x04034B50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 0x0800, true);
+    view.setUint16(offset + 8, 0, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.bytes.length, true);
+    view.setUint32(offset + 22, entry.bytes.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    output.set(entry.name, offset + 30);
+    output.set(entry.bytes, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.bytes.length;
+  });
+
+  const centralStart = offset;
+  entries.forEach((entry, idx) => {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.bytes.length, true);
+    view.setUint32(offset + 24, entry.bytes.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    view.setUint32(offset + 42, localOffsets[idx], true);
+    output.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return output;
+}
@@ -37,6 +37,7 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
   let simpleColorIndex = 0;
   let boringSequencePromise = null;
   let audioReadyChecker = typeof isAudioReady === 'function' ? isAudioReady : () => true;
+  let random = Random;
 
   function setupGrid() {
     cols = Math.ceil(canvas.width / GRID_SIZE);
@@ -121,9 +122,9 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       case 'kick': {
         const radiusLimit = Math.floor(mapValue(intensity, 0, 1, 1, 3));
         const columns = [Math.floor(cols * 0.25), Math.floor(cols * 0.5), Math.floor(cols * 0.75)];
-        const centerX = columns[Random.int(0, columns.length - 1)];
+        const centerX = columns[random.int(0, columns.length - 1)];
         const centerY = Math.floor(rows * 0.8);
-        const circleHue = (hue + 180 + Random.float(-5, 5)) % 360;
+        const circleHue = (hue + 180 + random.float(-5, 5)) % 360;
         for (let r = 0; r <= radiusLimit; r++) {
           const decay = 1 - r / (radiusLimit + 1);
           const lifeIncrease = mapValue(decay, 0, 1, 0.1, 0.5) * intensity;
@@ -148,8 +149,8 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       case 'snare': {
         const snareLength = Math.floor(mapValue(intensity, 0, 1, 3, 8));
         for (let i = 0; i < 4; i++) {
-          const startX = Random.int(0, cols - 1);
-          const startY = Random.int(0, rows - 1);
+          const startX = random.int(0, cols - 1);
+          const startY = random.int(0, rows - 1);
           const angle = (i * Math.PI / 2) + (Math.PI / 4);
           for (let j = 0; j < snareLength; j++) {
             const x = Math.floor(startX + Math.cos(angle) * j);
@@ -168,8 +169,8 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       case 'hihat': {
         const numSparkles = Math.floor(mapValue(intensity, 0, 1, 2, 6));
         for (let i = 0; i < numSparkles; i++) {
-          const x = Random.int(0, cols - 1);
-          const y = Random.int(0, rows - 1);
+          const x = random.int(0, cols - 1);
+          const y = random.int(0, rows - 1);
           if (grid[x] && grid[x][y]) {
             grid[x][y].life = Math.min(0.8, grid[x][y].life + intensity * 0.4);
             grid[x][y].hue = (hue + 120) % 360;
@@ -183,7 +184,7 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       case 'clap': {
         const numColumns = Math.floor(mapValue(intensity, 0, 1, 2, 4));
         for (let i = 0; i < numColumns; i++) {
-          const x = Random.int(0, cols - 1);
+          const x = random.int(0, cols - 1);
           const height = Math.floor(mapValue(intensity, 0, 1, 2, 5));
           for (let y = 0; y < height && y < rows; y++) {
             if (grid[x] && grid[x][y]) {
@@ -213,16 +214,16 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
 
   function triggerGridPattern(velocity = 1.0, isGrain = false, isLayer = false, transposeAmount = 0) {
     const transposeHueShift = isLayer ? mapValue(transposeAmount, -24, 24, -120, 120) : 0;
-    let hue = (currentBaseHue + Random.float(-8, 8) + transposeHueShift + 360) % 360;
+    let hue = (currentBaseHue + random.float(-8, 8) + transposeHueShift + 360) % 360;
 
     if (isGrain) {
-      if (Random.coinToss(0.12)) {
+      if (random.coinToss(0.12)) {
         const simpleColor = useSimpleStartColor();
         const grainHue = simpleColor ? simpleColor.hue : hue;
-        const grainSaturation = simpleColor ? simpleColor.saturation : Random.float(35, 45);
-        const grainLightness = simpleColor ? simpleColor.lightness : Random.float(45, 55);
-        const x = Random.int(0, cols - 1);
-        const y = Random.int(0, rows - 1);
+        const grainSaturation = simpleColor ? simpleColor.saturation : random.float(35, 45);
+        const grainLightness = simpleColor ? simpleColor.lightness : random.float(45, 55);
+        const x = random.int(0, cols - 1);
+        const y = random.int(0, rows - 1);
         if (grid[x] && grid[x][y]) {
           grid[x][y].life = Math.min(0.6, grid[x][y].life + velocity * 0.2);
           grid[x][y].hue = grainHue;
@@ -239,9 +240,9 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       hue = simpleColor.hue;
     }
 
-    const eventType = Math.random();
-    const saturation = simpleColor ? simpleColor.saturation : Random.float(45, 60);
-    const lightness = simpleColor ? simpleColor.lightness : Random.float(55, 65);
+    const eventType = random.float(0, 1);
+    const saturation = simpleColor ? simpleColor.saturation : random.float(45, 60);
+    const lightness = simpleColor ? simpleColor.lightness : random.float(55, 65);
     const fadeSpeed = mapValue(velocity, 0.1, 0.7, 0.006, 0.003);
 
     if (eventType < 0.04) {
@@ -263,10 +264,10 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
     const midX = Math.ceil(cols / 2);
     const midY = Math.ceil(rows / 2);
     const sizeMultiplier = isLayer ? 1.3 : 1.0;
-    const w = Math.floor(Random.int(2, Math.floor(cols / 2.5)) * sizeMultiplier);
-    const h = Math.floor(Random.int(1, 2) * sizeMultiplier);
-    const sx = Random.int(0, Math.max(1, midX - w));
-    const sy = Random.int(0, Math.max(1, midY - h));
+    const w = Math.floor(random.int(2, Math.floor(cols / 2.5)) * sizeMultiplier);
+    const h = Math.floor(random.int(1, 2) * sizeMultiplier);
+    const sx = random.int(0, Math.max(1, midX - w));
+    const sy = random.int(0, Math.max(1, midY - h));
 
     for (let x = sx; x < sx + w && x < cols; x++) {
       for (let y = sy; y < sy + h && y < rows; y++) {
@@ -335,6 +336,23 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
     currentBaseHue = value;
   }
 
+  // Scaled-down JPEG data URL of the current frame, cropped to the aspect
+  // ratio of the thumbnail.
+  function captureThumbnail(width = 120, height = 68) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = height;
+    const scale = Math.min(canvas.width / width, canvas.height / height);
+    const sourceWidth = width * scale;
+    const sourceHeight = height * scale;
+    thumbnail.getContext('2d').drawImage(
+      canvas,
+      (canvas.width - sourceWidth) / 2, (canvas.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+      0, 0, width, height
+    );
+    return thumbnail.toDataURL('image/jpeg', 0.7);
+  }
+
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
   document.addEventListener('visibilitychange', () => {
@@ -353,6 +371,7 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
     pause: pauseVisualizer,
     resume: resumeVisualizer,
     setBaseHue,
+    captureThumbnail,
     getBaseHue: () => currentBaseHue,
     resetSimpleColors: resetSimpleStartColors,
     useSimpleColor: useSimpleStartColor,
@@ -361,5 +380,8 @@ export function createVisualizer({ canvasId = 'visualizerCanvas', isAudioReady =
       audioReadyChecker = typeof fn === 'function' ? fn : () => true;
     },
     isRunning: () => visualizerRunning,
+    setRandom: (source) => {
+      random = source || Random;
+    },
   };
 }